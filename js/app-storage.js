@@ -0,0 +1,400 @@
+/**
+ * AppStorage - Versioned access to everything the app keeps in localStorage
+ *
+ * Every key is declared with a validator, and every payload is stored as
+ * JSON. The schema version is saved alongside the data; when it is behind,
+ * ordered migrations bring stored payloads up to date before anything reads
+ * them. Payloads that can't be parsed, migrated or validated are moved to a
+ * quarantine list instead of being dropped, so they can still be recovered.
+ * Components can also watch keys for changes saved by the app in other tabs.
+ */
+
+class AppStorage {
+    static VERSION = 2;
+    static #versionKey = 'emoji-copy-storage-version';
+    static #quarantineKey = 'emoji-copy-quarantine';
+    static #maxQuarantined = 20;
+    static #schemas = new Map();
+    static #migrations = [];
+    static #migrated = false;
+    static #listeners = new Map();
+    static #listening = false;
+
+    /**
+     * Declare a stored key
+     * @param {string} key - localStorage key
+     * @param {Function} validate - Returns the cleaned-up value, or throws if it is unusable
+     */
+    static define(key, validate = value => value) {
+        this.#schemas.set(key, { validate });
+    }
+
+    /**
+     * Add a migration to a schema version
+     * @param {number} version - Schema version the migration brings stored data to
+     * @param {string} key - localStorage key to migrate
+     * @param {Function} migrate - Converts the raw stored string to the new raw string
+     */
+    static addMigration(version, key, migrate) {
+        this.#migrations.push({ version, key, migrate });
+        this.#migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {number} Stored version; data saved before versioning is version 1
+     */
+    static getStoredVersion() {
+        try {
+            const version = parseInt(localStorage.getItem(this.#versionKey), 10);
+            return Number.isInteger(version) && version > 0 ? version : 1;
+        } catch (error) {
+            console.error('Failed to load storage version:', error);
+            return 1;
+        }
+    }
+
+    /**
+     * Run the migrations the stored data hasn't had yet
+     * @returns {boolean} True if the stored data is at the current version
+     */
+    static migrate() {
+        this.#migrated = true;
+
+        const storedVersion = this.getStoredVersion();
+        if (storedVersion > this.VERSION) {
+            console.warn(`Saved data is from a newer version (${storedVersion}); leaving it as it is`);
+            return false;
+        }
+
+        this.#migrations
+            .filter(migration => migration.version > storedVersion)
+            .forEach(({ version, key, migrate }) => {
+                let raw = null;
+                try {
+                    raw = localStorage.getItem(key);
+                    if (raw !== null) {
+                        localStorage.setItem(key, migrate(raw));
+                    }
+                } catch (error) {
+                    this.#quarantine(key, raw, `Migration to version ${version} failed: ${error.message}`);
+                }
+            });
+
+        try {
+            localStorage.setItem(this.#versionKey, String(this.VERSION));
+            return true;
+        } catch (error) {
+            console.error('Failed to save storage version:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read a stored value
+     * @param {string} key - localStorage key
+     * @param {*} fallback - Returned when nothing usable is stored
+     * @returns {*} Validated value, or the fallback
+     */
+    static get(key, fallback = null) {
+        this.#ensureMigrated();
+
+        let raw = null;
+        try {
+            raw = localStorage.getItem(key);
+        } catch (error) {
+            console.error(`Failed to load ${key}:`, error);
+            return fallback;
+        }
+
+        if (raw === null) {
+            return fallback;
+        }
+
+        try {
+            return this.validate(key, JSON.parse(raw));
+        } catch (error) {
+            // Data from a newer version may be fine there; only set it aside if it is ours
+            if (this.getStoredVersion() > this.VERSION) {
+                console.warn(`Ignoring ${key} saved by a newer version:`, error.message);
+            } else {
+                this.#quarantine(key, raw, error.message);
+            }
+            return fallback;
+        }
+    }
+
+    /**
+     * Save a value
+     * @param {string} key - localStorage key
+     * @param {*} value - JSON-serializable value
+     * @returns {boolean} True if saved
+     */
+    static set(key, value) {
+        this.#ensureMigrated();
+
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Failed to save ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove a stored value, so its default applies again
+     * @param {string} key - localStorage key
+     * @returns {boolean} True if removed
+     */
+    static remove(key) {
+        this.#ensureMigrated();
+
+        try {
+            localStorage.removeItem(key);
+            return true;
+        } catch (error) {
+            console.error(`Failed to remove ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check a value against its key's validator, e.g. before importing it
+     * @param {string} key - localStorage key
+     * @param {*} value - Parsed value
+     * @returns {*} Cleaned-up value
+     */
+    static validate(key, value) {
+        const schema = this.#schemas.get(key);
+        if (!schema) {
+            throw new Error(`Unknown storage key: ${key}`);
+        }
+
+        return schema.validate(value);
+    }
+
+    /**
+     * Watch a key for changes saved by other tabs
+     *
+     * Browsers only report localStorage changes to the other tabs, so a tab
+     * never hears about its own saves.
+     * @param {string} key - localStorage key
+     * @param {Function} listener - Called with the new value, or null if it was removed
+     */
+    static onExternalChange(key, listener) {
+        if (!this.#listeners.has(key)) {
+            this.#listeners.set(key, []);
+        }
+        this.#listeners.get(key).push(listener);
+
+        if (!this.#listening && typeof window !== 'undefined') {
+            window.addEventListener('storage', event => this.#handleStorageEvent(event));
+            this.#listening = true;
+        }
+    }
+
+    /**
+     * Notify listeners of a change saved by another tab
+     * @param {StorageEvent} event - Storage event
+     */
+    static #handleStorageEvent(event) {
+        if (event.storageArea && event.storageArea !== localStorage) {
+            return;
+        }
+
+        // Clearing all of localStorage reports no key
+        const keys = event.key === null ? Array.from(this.#listeners.keys()) : [event.key];
+        keys.filter(key => this.#listeners.has(key)).forEach(key => {
+            const value = this.get(key);
+            this.#listeners.get(key).forEach(listener => {
+                try {
+                    listener(value);
+                } catch (error) {
+                    console.error('Error in storage listener:', error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get the payloads that were set aside because they couldn't be read
+     * @returns {Array} Entries ({ key, value, reason, version, time }), oldest first
+     */
+    static getQuarantined() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.#quarantineKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.error('Failed to load quarantined data:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Discard the quarantined payloads
+     */
+    static clearQuarantine() {
+        try {
+            localStorage.removeItem(this.#quarantineKey);
+        } catch (error) {
+            console.error('Failed to clear quarantined data:', error);
+        }
+    }
+
+    /**
+     * Run pending migrations before the first read or write
+     */
+    static #ensureMigrated() {
+        if (!this.#migrated) {
+            this.migrate();
+        }
+    }
+
+    /**
+     * Move an unreadable payload out of the way, keeping a copy to recover it from
+     * @param {string} key - localStorage key
+     * @param {string|null} raw - Stored string
+     * @param {string} reason - Why it couldn't be read
+     */
+    static #quarantine(key, raw, reason) {
+        console.warn(`Quarantined unreadable ${key}:`, reason);
+
+        try {
+            const quarantined = this.getQuarantined();
+            quarantined.push({ key, value: raw, reason, version: this.getStoredVersion(), time: Date.now() });
+            localStorage.setItem(this.#quarantineKey, JSON.stringify(quarantined.slice(-this.#maxQuarantined)));
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.error(`Failed to quarantine ${key}:`, error);
+        }
+    }
+
+    /**
+     * Throw a validation error unless a condition holds
+     * @param {boolean} condition - Condition that must hold
+     * @param {string} message - Error message
+     */
+    static #expect(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * Check for a plain object (not an array or null)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for plain objects
+     */
+    static #isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Stored keys and migrations
+    static {
+        const oneOf = (...values) => value => {
+            this.#expect(values.includes(value), `Expected one of ${values.join(', ')}`);
+            return value;
+        };
+        const string = value => {
+            this.#expect(typeof value === 'string' && value !== '', 'Expected a string');
+            return value;
+        };
+        const getBaseEmoji = emoji => (typeof EmojiData !== 'undefined' ? EmojiData.getIdentity(emoji) : emoji);
+        // Lists are rendered as markup, so anything but text is dropped rather than shown
+        const isEmojiEntry = item => this.#isObject(item) &&
+            typeof item.emoji === 'string' && item.emoji !== '' &&
+            typeof item.name === 'string' && item.name !== '';
+        // Missing usage data is filled in; usage data of another type means the entry is corrupt
+        const isNumberOrMissing = value => value === undefined || Number.isFinite(value);
+
+        this.define('emoji-copy-theme', oneOf('light', 'dark'));
+        this.define('emoji-copy-skin-tone', string);
+        this.define('emoji-copy-format', string);
+        this.define('emoji-copy-sort-order', string);
+        this.define('emoji-copy-recent-view', oneOf('recent', 'frequent'));
+
+        this.define('emoji-copy-rich-html', value => {
+            this.#expect(typeof value === 'boolean', 'Expected true or false');
+            return value;
+        });
+
+        // Most recent first; entries without usage data count as a single use
+        this.define('emoji-copy-recently-used', entries => {
+            this.#expect(Array.isArray(entries), 'Expected a list of emojis');
+
+            const now = Date.now();
+            return entries
+                .filter(item => isEmojiEntry(item) &&
+                    isNumberOrMissing(item.timestamp) && isNumberOrMissing(item.count) && isNumberOrMissing(item.frecency))
+                .map((item, index) => {
+                    const timestamp = Number.isFinite(item.timestamp) ? item.timestamp : now - index;
+                    const count = Number.isInteger(item.count) && item.count > 0 ? item.count : 1;
+                    const frecency = Number.isFinite(item.frecency) && item.frecency > 0 ? item.frecency : count;
+
+                    return { emoji: item.emoji, name: item.name, timestamp, count, frecency };
+                });
+        });
+
+        // In the user's order, once per emoji whatever its skin tone
+        this.define('emoji-copy-favorites', favorites => {
+            this.#expect(Array.isArray(favorites), 'Expected a list of emojis');
+
+            const seen = new Set();
+            return favorites
+                .filter(item => {
+                    if (!isEmojiEntry(item) || seen.has(getBaseEmoji(item.emoji))) {
+                        return false;
+                    }
+                    seen.add(getBaseEmoji(item.emoji));
+                    return true;
+                })
+                .map(({ emoji, name }) => ({ emoji, name }));
+        });
+
+        this.define('emoji-copy-compose', compose => {
+            this.#expect(this.#isObject(compose), 'Expected compose text and mode');
+            return {
+                text: typeof compose.text === 'string' ? compose.text : '',
+                active: compose.active === true
+            };
+        });
+
+        // { actionId: keys }
+        this.define('emoji-copy-shortcuts', bindings => {
+            this.#expect(this.#isObject(bindings), 'Expected key bindings');
+            return Object.fromEntries(Object.entries(bindings).filter(([, keys]) => typeof keys === 'string' && keys));
+        });
+
+        // { term: { emojis: { emoji: count }, lastUsed } }
+        this.define('emoji-copy-search-learning', learned => {
+            this.#expect(this.#isObject(learned), 'Expected learned search terms');
+            return Object.fromEntries(Object.entries(learned)
+                .filter(([, entry]) => this.#isObject(entry) && this.#isObject(entry.emojis) && Number.isFinite(entry.lastUsed))
+                .map(([term, entry]) => [term, {
+                    emojis: Object.fromEntries(Object.entries(entry.emojis).filter(([, count]) => Number.isInteger(count) && count > 0)),
+                    lastUsed: entry.lastUsed
+                }])
+                .filter(([, entry]) => Object.keys(entry.emojis).length > 0));
+        });
+
+        // 2: settings saved as bare strings become JSON like everything else
+        ['emoji-copy-theme', 'emoji-copy-skin-tone', 'emoji-copy-format', 'emoji-copy-sort-order', 'emoji-copy-recent-view']
+            .forEach(key => this.addMigration(2, key, raw => JSON.stringify(raw)));
+        this.addMigration(2, 'emoji-copy-rich-html', raw => JSON.stringify(raw === 'true'));
+
+        // 2: recently used entries gain usage counts for frecency ranking
+        this.addMigration(2, 'emoji-copy-recently-used', raw => {
+            const entries = JSON.parse(raw);
+            this.#expect(Array.isArray(entries), 'Expected a list of emojis');
+            return JSON.stringify(entries.map(item =>
+                this.#isObject(item) && typeof item.count !== 'number' ? { ...item, count: 1, frecency: 1 } : item
+            ));
+        });
+    }
+}
+
+// Export for module usage or testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AppStorage;
+}
@@ -40,6 +40,7 @@ class CategoryNavigation {
             // Create category objects with icons
             this.categories = [
                 { id: 'all', name: 'All', icon: '🌟' },
+                { id: 'favorites', name: 'Favorites', icon: '⭐' },
                 ...categoryIds.map(id => ({
                     id,
                     name: displayNames[id] || this.formatCategoryName(id),
@@ -65,6 +66,7 @@ class CategoryNavigation {
                 data-category="${category.id}"
                 title="Show ${category.name} emojis"
                 aria-pressed="${category.id === this.currentCategory}"
+                tabindex="${category.id === this.currentCategory ? 0 : -1}"
             >
                 <span class="category-icon">${category.icon}</span>
                 <span class="category-label">${category.name}</span>
@@ -95,8 +97,47 @@ class CategoryNavigation {
                     event.preventDefault();
                     const categoryId = event.currentTarget.dataset.category;
                     this.selectCategory(categoryId);
+                } else {
+                    this.handleArrowKeys(event);
                 }
             });
+            
+            // The last focused category keeps the Tab stop
+            button.addEventListener('focus', (event) => {
+                this.setTabStop(event.currentTarget);
+            });
+        });
+    }
+    
+    /**
+     * Move focus between category buttons with the arrow keys, Home and End
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleArrowKeys(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+        
+        const buttons = Array.from(this.container.querySelectorAll('.category-button'));
+        const index = buttons.indexOf(event.currentTarget);
+        const targets = {
+            ArrowRight: (index + 1) % buttons.length,
+            ArrowLeft: (index - 1 + buttons.length) % buttons.length,
+            Home: 0,
+            End: buttons.length - 1
+        };
+        
+        if (targets[event.key] !== undefined) {
+            event.preventDefault();
+            buttons[targets[event.key]].focus();
+        }
+    }
+    
+    /**
+     * Make one category button the only Tab stop in the category list
+     * @param {HTMLElement} activeButton - Button that takes the Tab stop
+     */
+    setTabStop(activeButton) {
+        this.container.querySelectorAll('.category-button').forEach(button => {
+            button.tabIndex = button === activeButton ? 0 : -1;
         });
     }
     
@@ -134,6 +175,11 @@ class CategoryNavigation {
             button.classList.toggle('active', isActive);
             button.setAttribute('aria-pressed', isActive.toString());
         });
+        
+        // Keep the Tab stop on the focused button, otherwise on the selected one
+        if (!this.container.contains(document.activeElement)) {
+            this.setTabStop(this.container.querySelector('.category-button.active'));
+        }
     }
     
     /**
@@ -162,6 +208,7 @@ class CategoryNavigation {
     getCategoryIcon(categoryId) {
         const icons = {
             'smileys-emotion': '😀',
+            'people-body': '👋',
             'animals-nature': '🐶',
             'food-drink': '🍎',
             'activities': '⚽',
@@ -195,7 +242,9 @@ class CategoryNavigation {
         if (category) {
             const message = categoryId === 'all' 
                 ? 'Showing all emojis'
-                : `Showing ${category.name} emojis`;
+                : categoryId === 'favorites'
+                    ? 'Showing your favorite emojis'
+                    : `Showing ${category.name} emojis`;
             
             // Create temporary announcement element
             const announcement = document.createElement('div');
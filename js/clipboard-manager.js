@@ -25,13 +25,28 @@ class ClipboardManager {
     /**
      * Copy text to clipboard using the best available method
      * @param {string} text - The text to copy to clipboard
+     * @param {Object} options - Optional configuration
+     * @param {string} options.html - Markup to copy alongside the text for rich editors
      * @returns {Promise<boolean>} Promise that resolves to true if successful
      */
-    static async copyToClipboard(text) {
+    static async copyToClipboard(text, { html = null } = {}) {
         if (!text || typeof text !== 'string') {
             throw new Error('Invalid text provided for clipboard copy');
         }
 
+        // Write both flavors at once where ClipboardItem can take HTML
+        if (html && this.isTypeSupported('text/html')) {
+            try {
+                return await this.copyRichContent({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([html], { type: 'text/html' })
+                });
+            } catch (error) {
+                console.warn('Rich clipboard write failed, falling back to plain text:', error);
+                // Fall through to plain text
+            }
+        }
+
         // Try modern Clipboard API first
         if (this.isSupported()) {
             try {
@@ -44,16 +59,17 @@ class ClipboardManager {
         }
 
         // Fallback to legacy execCommand method
-        return this._copyUsingLegacyMethod(text);
+        return this._copyUsingLegacyMethod(text, html);
     }
 
     /**
      * Copy text using the legacy document.execCommand method
      * @param {string} text - The text to copy
+     * @param {string|null} html - Optional markup to copy alongside the text
      * @returns {boolean} True if successful
      * @private
      */
-    static _copyUsingLegacyMethod(text) {
+    static _copyUsingLegacyMethod(text, html = null) {
         if (!this.isLegacySupported()) {
             throw new Error('No clipboard copy method available');
         }
@@ -68,6 +84,18 @@ class ClipboardManager {
         textarea.setAttribute('readonly', '');
         textarea.setAttribute('aria-hidden', 'true');
 
+        // The copy event can still carry both flavors
+        const addHtml = (event) => {
+            if (event.clipboardData) {
+                event.clipboardData.setData('text/plain', text);
+                event.clipboardData.setData('text/html', html);
+                event.preventDefault();
+            }
+        };
+        if (html) {
+            document.addEventListener('copy', addHtml, { once: true });
+        }
+
         try {
             // Add to DOM, select, copy, and remove
             document.body.appendChild(textarea);
@@ -76,6 +104,7 @@ class ClipboardManager {
             
             const successful = document.execCommand('copy');
             document.body.removeChild(textarea);
+            document.removeEventListener('copy', addHtml);
             
             if (!successful) {
                 throw new Error('execCommand copy failed');
@@ -87,6 +116,7 @@ class ClipboardManager {
             if (textarea.parentNode) {
                 document.body.removeChild(textarea);
             }
+            document.removeEventListener('copy', addHtml);
             throw new Error(`Legacy clipboard copy failed: ${error.message}`);
         }
     }
@@ -103,18 +133,130 @@ class ClipboardManager {
         };
     }
 
+    /**
+     * Check if rich content (images, HTML) can be written to the clipboard
+     * @returns {boolean} True if the async Clipboard API can write ClipboardItems
+     */
+    static isRichContentSupported() {
+        return !!(navigator.clipboard && navigator.clipboard.write && typeof ClipboardItem !== 'undefined');
+    }
+
+    /**
+     * Check if the clipboard accepts content of a MIME type
+     * @param {string} type - MIME type, e.g. 'image/png'
+     * @returns {boolean} True if content of this type can be copied
+     */
+    static isTypeSupported(type) {
+        if (!this.isRichContentSupported()) {
+            return false;
+        }
+
+        if (typeof ClipboardItem.supports === 'function') {
+            return ClipboardItem.supports(type);
+        }
+
+        // Without ClipboardItem.supports(), only the types every browser must accept are safe
+        return ['text/plain', 'text/html', 'image/png'].includes(type);
+    }
+
+    /**
+     * Get information about rich content support
+     * @returns {Object} Object containing support information
+     */
+    static getRichContentSupportInfo() {
+        return {
+            richContent: this.isRichContentSupported(),
+            png: this.isTypeSupported('image/png'),
+            svg: this.isTypeSupported('image/svg+xml'),
+            html: this.isTypeSupported('text/html'),
+            download: typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+        };
+    }
+
+    /**
+     * Copy rich content in one or more formats at once
+     * @param {Object} data - Content keyed by MIME type; each value is a Blob, a string, or a Promise of either
+     * @returns {Promise<boolean>} Promise that resolves to true if successful
+     */
+    static async copyRichContent(data) {
+        const types = data ? Object.keys(data) : [];
+        if (types.length === 0) {
+            throw new Error('No content provided for clipboard copy');
+        }
+
+        if (!this.isRichContentSupported()) {
+            throw new Error('Rich clipboard content is not supported');
+        }
+
+        const unsupported = types.filter(type => !this.isTypeSupported(type));
+        if (unsupported.length > 0) {
+            throw new Error(`Clipboard content type not supported: ${unsupported.join(', ')}`);
+        }
+
+        // Promises are passed through so slow encoding doesn't use up the user activation
+        await navigator.clipboard.write([new ClipboardItem(data)]);
+        return true;
+    }
+
+    /**
+     * Copy an image, or download it where the clipboard can't take it
+     * @param {Blob|Promise<Blob>} image - The image to copy
+     * @param {string} type - Image MIME type
+     * @param {string} fileName - File name for the download fallback
+     * @returns {Promise<string>} 'clipboard' if copied, 'download' if downloaded
+     */
+    static async copyImage(image, type, fileName) {
+        if (this.isTypeSupported(type)) {
+            try {
+                await this.copyRichContent({ [type]: image });
+                return 'clipboard';
+            } catch (error) {
+                console.warn('Image copy failed, falling back to download:', error);
+                // Fall through to download
+            }
+        }
+
+        this.downloadBlob(await image, fileName);
+        return 'download';
+    }
+
+    /**
+     * Save a blob as a file download
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - File name
+     */
+    static downloadBlob(blob, fileName) {
+        if (typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
+            throw new Error('File download is not supported');
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // The download has started by the time the click handler returns
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     /**
      * Copy an emoji to clipboard with proper error handling
      * @param {string} emoji - The emoji character to copy
+     * @param {Object} options - Optional configuration, as for copyToClipboard
      * @returns {Promise<boolean>} Promise that resolves to true if successful
      */
-    static async copyEmoji(emoji) {
+    static async copyEmoji(emoji, options = {}) {
         if (!emoji) {
             throw new Error('No emoji provided');
         }
 
         try {
-            const success = await this.copyToClipboard(emoji);
+            const success = await this.copyToClipboard(emoji, options);
             if (success) {
                 console.log(`Successfully copied emoji: ${emoji}`);
             }
@@ -0,0 +1,316 @@
+/**
+ * ComposeTray - Text field for building emoji strings before copying
+ *
+ * In compose mode, emojis picked from the grid or recently used list are
+ * inserted at the cursor instead of being copied one at a time.
+ */
+class ComposeTray {
+    static #segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+        ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+        : null;
+    
+    constructor(containerElement, onCopyText) {
+        this.container = containerElement;
+        this.onCopyText = onCopyText || (() => {});
+        this.input = null;
+        this.toggleButton = null;
+        this.copyButton = null;
+        this.clearButton = null;
+        this.countElement = null;
+        this.active = false;
+        this.selection = { start: 0, end: 0 }; // Cursor to insert at while focus is elsewhere
+        this.storageKey = 'emoji-copy-compose';
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the compose tray
+     */
+    init() {
+        if (!this.container) {
+            console.error('ComposeTray: Container element not found');
+            return;
+        }
+        
+        this.render();
+        this.loadFromStorage();
+        this.setupEventListeners();
+        this.update();
+        
+        console.log('ComposeTray initialized');
+    }
+    
+    /**
+     * Load the composed text and compose mode from storage
+     */
+    loadFromStorage() {
+        const stored = AppStorage.get(this.storageKey);
+        if (stored) {
+            this.input.value = stored.text;
+            this.active = stored.active;
+        }
+        
+        const end = this.input.value.length;
+        this.selection = { start: end, end };
+    }
+    
+    /**
+     * Save the composed text and compose mode to storage
+     */
+    saveToStorage() {
+        if (!this.input.value && !this.active) {
+            AppStorage.remove(this.storageKey);
+        } else {
+            AppStorage.set(this.storageKey, {
+                text: this.input.value,
+                active: this.active
+            });
+        }
+    }
+    
+    /**
+     * Render the tray controls
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="compose-header">
+                <h2 class="section-title" id="compose-title">Compose</h2>
+                <button type="button" class="compose-toggle" aria-pressed="false">Compose mode</button>
+            </div>
+            <div class="compose-body">
+                <input type="text" class="compose-input" aria-labelledby="compose-title" aria-describedby="compose-count"
+                    placeholder="Turn on compose mode and pick emojis to build a string" autocomplete="off" spellcheck="false">
+                <button type="button" class="compose-copy">Copy all</button>
+                <button type="button" class="compose-clear">Clear</button>
+            </div>
+            <p class="compose-count" id="compose-count"></p>
+        `;
+        
+        this.input = this.container.querySelector('.compose-input');
+        this.toggleButton = this.container.querySelector('.compose-toggle');
+        this.copyButton = this.container.querySelector('.compose-copy');
+        this.clearButton = this.container.querySelector('.compose-clear');
+        this.countElement = this.container.querySelector('.compose-count');
+    }
+    
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.toggleButton.addEventListener('click', () => {
+            this.setActive(!this.active);
+        });
+        
+        this.copyButton.addEventListener('click', () => {
+            this.copyAll();
+        });
+        
+        this.clearButton.addEventListener('click', () => {
+            this.clear();
+            this.input.focus();
+        });
+        
+        this.input.addEventListener('keydown', (event) => {
+            // Modified deletes (e.g. a word at a time) keep their native behavior
+            if (event.ctrlKey || event.altKey || event.metaKey) {
+                return;
+            }
+            
+            if (event.key === 'Backspace' || event.key === 'Delete') {
+                // Delete whole grapheme clusters, not half a ZWJ sequence
+                event.preventDefault();
+                this.deleteGrapheme(event.key === 'Backspace' ? -1 : 1);
+            }
+        });
+        
+        this.input.addEventListener('input', () => {
+            this.rememberSelection();
+            this.update();
+        });
+        
+        // The cursor is where the next picked emoji goes, even after focus leaves
+        ['select', 'keyup', 'pointerup', 'focus'].forEach(type => {
+            this.input.addEventListener(type, () => this.rememberSelection());
+        });
+    }
+    
+    /**
+     * Check whether compose mode is on
+     * @returns {boolean} True if picked emojis should be composed instead of copied
+     */
+    isActive() {
+        return this.active;
+    }
+    
+    /**
+     * Turn compose mode on or off
+     * @param {boolean} active - Compose mode
+     */
+    setActive(active) {
+        this.active = Boolean(active);
+        this.update();
+    }
+    
+    /**
+     * Get the composed text
+     * @returns {string} Composed text
+     */
+    getText() {
+        return this.input ? this.input.value : '';
+    }
+    
+    /**
+     * Insert text at the cursor, replacing any selection
+     * @param {string} text - Text to insert, e.g. an emoji
+     */
+    insert(text) {
+        if (!text) {
+            return;
+        }
+        
+        const { start, end } = this.getSelection();
+        this.replaceRange(start, end, text);
+    }
+    
+    /**
+     * Delete the selection, or the grapheme cluster next to the cursor
+     * @param {number} direction - -1 to delete before the cursor, 1 after it
+     */
+    deleteGrapheme(direction) {
+        const { start, end } = this.getSelection();
+        const range = ComposeTray.getDeletionRange(this.input.value, start, end, direction);
+        
+        if (range) {
+            this.replaceRange(range.start, range.end, '');
+        }
+    }
+    
+    /**
+     * Get what Backspace or Delete removes: the selection, or the whole
+     * grapheme cluster next to the cursor (a ZWJ sequence, flag or toned emoji)
+     * @param {string} text - Composed text
+     * @param {number} start - Selection start offset
+     * @param {number} end - Selection end offset
+     * @param {number} direction - -1 to delete before the cursor, 1 after it
+     * @returns {Object|null} { start, end } offsets to delete, or null if there is nothing to delete
+     */
+    static getDeletionRange(text, start, end, direction) {
+        if (start !== end) {
+            return { start, end };
+        }
+        
+        const cluster = this.getGraphemes(text).find(({ index, segment }) => direction < 0
+            ? index < start && index + segment.length >= start
+            : index <= start && index + segment.length > start
+        );
+        
+        return cluster ? { start: cluster.index, end: cluster.index + cluster.segment.length } : null;
+    }
+    
+    /**
+     * Split text into grapheme clusters
+     * @param {string} text - Text to split
+     * @returns {Array} Clusters ({ segment, index })
+     */
+    static getGraphemes(text) {
+        if (this.#segmenter) {
+            return Array.from(this.#segmenter.segment(text), ({ segment, index }) => ({ segment, index }));
+        }
+        
+        // Without Intl.Segmenter, fall back to whole codepoints
+        let index = 0;
+        return Array.from(text, segment => {
+            const cluster = { segment, index };
+            index += segment.length;
+            return cluster;
+        });
+    }
+    
+    /**
+     * Replace part of the composed text and put the cursor after it
+     * @param {number} start - Start offset
+     * @param {number} end - End offset
+     * @param {string} text - Replacement text
+     */
+    replaceRange(start, end, text) {
+        const value = this.input.value;
+        this.input.value = value.slice(0, start) + text + value.slice(end);
+        
+        const cursor = start + text.length;
+        this.selection = { start: cursor, end: cursor };
+        if (document.activeElement === this.input) {
+            this.input.setSelectionRange(cursor, cursor);
+        }
+        
+        this.update();
+    }
+    
+    /**
+     * Get the cursor, live while the input has focus and remembered otherwise
+     * @returns {Object} { start, end } offsets
+     */
+    getSelection() {
+        if (document.activeElement === this.input) {
+            this.rememberSelection();
+        }
+        
+        const length = this.input.value.length;
+        return {
+            start: Math.min(this.selection.start, length),
+            end: Math.min(this.selection.end, length)
+        };
+    }
+    
+    /**
+     * Remember the input's cursor
+     */
+    rememberSelection() {
+        const start = this.input.selectionStart;
+        const end = this.input.selectionEnd;
+        if (typeof start === 'number' && typeof end === 'number') {
+            this.selection = { start, end };
+        }
+    }
+    
+    /**
+     * Copy the composed text
+     */
+    copyAll() {
+        const text = this.input.value;
+        if (!text) {
+            return;
+        }
+        
+        this.onCopyText(text, `${text} copied to clipboard!`);
+    }
+    
+    /**
+     * Clear the composed text
+     */
+    clear() {
+        this.replaceRange(0, this.input.value.length, '');
+    }
+    
+    /**
+     * Sync the controls with the current state and save it
+     */
+    update() {
+        const count = ComposeTray.getGraphemes(this.input.value).length;
+        
+        this.container.classList.toggle('active', this.active);
+        this.toggleButton.setAttribute('aria-pressed', this.active ? 'true' : 'false');
+        this.copyButton.disabled = count === 0;
+        this.clearButton.disabled = count === 0;
+        this.countElement.textContent = count === 0
+            ? (this.active ? 'Compose mode is on: picked emojis are added here' : '')
+            : `${count} ${count === 1 ? 'character' : 'characters'}`;
+        
+        this.saveToStorage();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComposeTray;
+}
@@ -0,0 +1,205 @@
+/**
+ * CopyFormats - Registry of the notations an emoji can be copied as
+ *
+ * Each format converts a whole emoji string, so ZWJ sequences, flags and
+ * skin tones keep every codepoint. The user's default format is saved with
+ * AppStorage and applied by CopyFeedbackManager.
+ */
+
+class CopyFormats {
+    static #storageKey = 'emoji-copy-format';
+    static #formats = new Map();
+    // GitHub/Slack names where they differ from the CLDR name, e.g. :+1: for "thumbs up"
+    static #shortcodes = new Map([
+        ['😀', 'grinning'], ['😃', 'smiley'], ['😄', 'smile'], ['😁', 'grin'], ['😆', 'laughing'], ['😅', 'sweat_smile'],
+        ['🤣', 'rofl'], ['😂', 'joy'], ['😊', 'blush'], ['😇', 'innocent'], ['🥰', 'smiling_face_with_three_hearts'], ['😍', 'heart_eyes'],
+        ['🤩', 'star_struck'], ['😘', 'kissing_heart'], ['😗', 'kissing'], ['☺️', 'relaxed'], ['😚', 'kissing_closed_eyes'], ['👋', 'wave'],
+        ['👌', 'ok_hand'], ['✌️', 'v'], ['👍', '+1'], ['👎', '-1'], ['👏', 'clap'], ['🙌', 'raised_hands'],
+        ['🙏', 'pray'], ['💪', 'muscle'], ['👨‍👩‍👧‍👦', 'family_man_woman_girl_boy'], ['🐶', 'dog'], ['🐱', 'cat'], ['🐭', 'mouse'],
+        ['🐰', 'rabbit'], ['🦊', 'fox_face'], ['🐼', 'panda_face'], ['🐯', 'tiger'], ['🍎', 'apple'], ['🍑', 'peach'],
+        ['⚽', 'soccer'], ['🏈', 'football'], ['🎱', '8ball'], ['🚗', 'car'], ['🚙', 'blue_car'], ['📱', 'iphone'],
+        ['💻', 'computer'], ['❤️', 'heart'], ['🇺🇸', 'us'], ['🇬🇧', 'gb'], ['🇨🇦', 'canada'], ['🇫🇷', 'fr'],
+        ['🇩🇪', 'de'], ['🇯🇵', 'jp'], ['🇨🇳', 'cn'], ['🇮🇳', 'india'], ['🇧🇷', 'brazil'], ['🇦🇺', 'australia'],
+        ['🇪🇸', 'es'], ['🇮🇹', 'it'], ['🇰🇷', 'kr'], ['🇷🇺', 'ru'], ['😎', 'sunglasses'], ['🤔', 'thinking'],
+        ['😴', 'sleeping'], ['😭', 'sob'], ['😤', 'triumph'], ['🙄', 'roll_eyes'], ['🐝', 'bee'], ['🍟', 'fries'],
+        ['🍜', 'ramen'], ['🍰', 'cake'], ['🍦', 'icecream'], ['☕', 'coffee'], ['🎨', 'art'], ['🎬', 'clapper'],
+        ['🏊', 'swimmer'], ['🚴', 'bicyclist'], ['🏃', 'runner'], ['🚂', 'steam_locomotive'], ['🏖️', 'beach_umbrella'], ['🏔️', 'mountain_snow'],
+        ['🌍', 'earth_africa'], ['💎', 'gem'], ['💡', 'bulb'], ['✏️', 'pencil2'], ['📖', 'book'], ['🎁', 'gift'],
+        ['💰', 'moneybag'], ['🎯', 'dart'], ['💯', '100'], ['⚡', 'zap'], ['🌟', 'star2'], ['💥', 'boom'],
+        ['💢', 'anger']
+    ]);
+
+    /**
+     * Register a copy format
+     * @param {string} id - Format ID
+     * @param {Object} format - Format definition
+     * @param {string} format.label - Name shown to the user
+     * @param {Function} format.convert - Converts an emoji string; returns null if it has no such notation
+     */
+    static register(id, { label, convert }) {
+        if (!id || typeof convert !== 'function') {
+            throw new Error('Copy format needs an ID and a convert function');
+        }
+
+        this.#formats.set(id, { id, label: label || id, convert });
+    }
+
+    /**
+     * Get all registered formats in registration order
+     * @returns {Array} Formats ({ id, label })
+     */
+    static getFormats() {
+        return Array.from(this.#formats.values()).map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * Get a registered format
+     * @param {string} id - Format ID
+     * @returns {Object|null} Format ({ id, label }) or null if unknown
+     */
+    static getFormat(id) {
+        const format = this.#formats.get(id);
+        return format ? { id: format.id, label: format.label } : null;
+    }
+
+    /**
+     * Convert an emoji to a format
+     * @param {string} unicode - Emoji string
+     * @param {string} id - Format ID
+     * @returns {string|null} Converted text, or null if the emoji has no such notation
+     */
+    static convert(unicode, id = 'emoji') {
+        const format = this.#formats.get(id);
+        if (!format) {
+            throw new Error(`Unknown copy format: ${id}`);
+        }
+
+        if (!unicode || typeof unicode !== 'string') {
+            return null;
+        }
+
+        return format.convert(unicode);
+    }
+
+    /**
+     * Get the user's default copy format
+     * @returns {string} Format ID
+     */
+    static getDefaultFormat() {
+        const stored = AppStorage.get(this.#storageKey);
+        return stored && this.#formats.has(stored) ? stored : 'emoji';
+    }
+
+    /**
+     * Set the user's default copy format
+     * @param {string} id - Format ID
+     * @returns {boolean} True if the format exists and was saved
+     */
+    static setDefaultFormat(id) {
+        if (!this.#formats.has(id)) {
+            return false;
+        }
+
+        return id === 'emoji'
+            ? AppStorage.remove(this.#storageKey)
+            : AppStorage.set(this.#storageKey, id);
+    }
+
+    /**
+     * Get the codepoints of an emoji string as numbers
+     * @param {string} unicode - Emoji string
+     * @returns {Array} Codepoints
+     */
+    static getCodepoints(unicode) {
+        return Array.from(unicode).map(char => char.codePointAt(0));
+    }
+
+    /**
+     * Get a Slack/GitHub-style shortcode
+     *
+     * Uses the name those apps know the emoji by, e.g. :grinning: or :+1:,
+     * and falls back to one derived from the CLDR name. Skin tones are appended as :skin-tone-2: … :skin-tone-6:, as those
+     * apps expect.
+     * @param {string} unicode - Emoji string
+     * @returns {string|null} Shortcode, or null for emojis not in the dataset
+     */
+    static toShortcode(unicode) {
+        const emoji = typeof EmojiData !== 'undefined' ? EmojiData.findByUnicode(unicode) : null;
+        if (!emoji) {
+            return null;
+        }
+
+        const name = this.#shortcodes.get(emoji.unicode) || emoji.name
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9+-]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+
+        // Fitzpatrick modifiers U+1F3FB…U+1F3FF are Slack's skin tones 2…6
+        const tone = this.getCodepoints(unicode).find(codepoint => codepoint >= 0x1F3FB && codepoint <= 0x1F3FF);
+
+        return tone ? `:${name}::skin-tone-${tone - 0x1F3FB + 2}:` : `:${name}:`;
+    }
+
+    /**
+     * Format codepoints as uppercase hex
+     * @param {string} unicode - Emoji string
+     * @returns {Array} Hex codepoints
+     */
+    static #toHex(unicode) {
+        return this.getCodepoints(unicode).map(codepoint => codepoint.toString(16).toUpperCase());
+    }
+
+    // Built-in formats
+    static {
+        this.register('emoji', {
+            label: 'Emoji',
+            convert: unicode => unicode
+        });
+
+        this.register('codepoints', {
+            label: 'Codepoints',
+            convert: unicode => this.#toHex(unicode).map(hex => `U+${hex.padStart(4, '0')}`).join(' ')
+        });
+
+        this.register('html', {
+            label: 'HTML entity',
+            convert: unicode => this.#toHex(unicode).map(hex => `&#x${hex};`).join('')
+        });
+
+        this.register('js', {
+            label: 'JavaScript escape',
+            convert: unicode => this.#toHex(unicode).map(hex => `\\u{${hex}}`).join('')
+        });
+
+        // Every UTF-16 code unit, so astral characters become surrogate pairs
+        this.register('utf16', {
+            label: 'UTF-16 escape',
+            convert: unicode => Array.from({ length: unicode.length }, (_, index) =>
+                `\\u${unicode.charCodeAt(index).toString(16).padStart(4, '0')}`
+            ).join('')
+        });
+
+        // A space ends each CSS escape, so a following hex digit isn't swallowed
+        this.register('css', {
+            label: 'CSS content',
+            convert: unicode => `content: "${this.#toHex(unicode).map(hex => `\\${hex}`).join(' ')}"`
+        });
+
+        this.register('url', {
+            label: 'URL-encoded',
+            convert: unicode => encodeURIComponent(unicode)
+        });
+
+        this.register('shortcode', {
+            label: 'Shortcode',
+            convert: unicode => this.toShortcode(unicode)
+        });
+    }
+}
+
+// Export for module usage or testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CopyFormats;
+}
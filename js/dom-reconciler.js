@@ -0,0 +1,127 @@
+/**
+ * DomReconciler - Updates a list of keyed elements in place
+ *
+ * Instead of rewriting innerHTML, elements are matched by their data-key:
+ * unchanged ones are kept, changed ones replaced, and only out-of-place ones
+ * moved, so focus, hover and running animations survive a re-render.
+ */
+class DomReconciler {
+    // Markup each element was last rendered from
+    static #renderedHtml = new WeakMap();
+    
+    /**
+     * Reconcile the children of a parent with a list of items
+     * @param {HTMLElement} parent - Element whose children are reconciled
+     * @param {Array} items - Items in display order
+     * @param {Object} options - Reconcile options
+     * @param {Function} options.key - Returns a unique string key for an item
+     * @param {Function} options.render - Returns the markup for one item's element
+     * @param {Function} [options.update] - Fills in new and kept elements in place; without
+     *   it, elements whose markup changed are replaced
+     * @param {Node} [options.start] - Only reconcile children after this node
+     * @param {Node} [options.end] - Only reconcile children before this node
+     */
+    static reconcile(parent, items, { key, render, update = null, start = null, end = null }) {
+        const focused = parent.contains(document.activeElement) ? document.activeElement : null;
+        const focusedKey = focused ? DomReconciler.#getKeyedAncestor(focused, parent)?.dataset.key : null;
+        
+        // Index the current keyed children; anything else in range is stale
+        const existing = new Map();
+        const stale = [];
+        for (let node = start ? start.nextSibling : parent.firstChild; node && node !== end; node = node.nextSibling) {
+            if (node.nodeType === Node.ELEMENT_NODE && node.dataset.key !== undefined && !existing.has(node.dataset.key)) {
+                existing.set(node.dataset.key, node);
+            } else {
+                stale.push(node);
+            }
+        }
+        stale.forEach(node => node.remove());
+        
+        let cursor = start ? start.nextSibling : parent.firstChild;
+        items.forEach((item, index) => {
+            const itemKey = String(key(item, index));
+            let element = existing.get(itemKey);
+            existing.delete(itemKey);
+            
+            if (!element) {
+                element = DomReconciler.#createElement(render(item, index), itemKey);
+            } else if (!update) {
+                const html = render(item, index);
+                if (DomReconciler.#renderedHtml.get(element) !== html) {
+                    if (element === cursor) {
+                        cursor = element.nextSibling;
+                    }
+                    element.remove();
+                    element = DomReconciler.#createElement(html, itemKey);
+                }
+            }
+            
+            if (element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                parent.insertBefore(element, cursor);
+            }
+            
+            if (update) {
+                update(element, item, index);
+            }
+        });
+        
+        existing.forEach(element => element.remove());
+        
+        // Moving or replacing the focused element blurs it; focus its counterpart
+        if (focused && document.activeElement !== focused) {
+            const target = focused.isConnected ? focused : DomReconciler.findByKey(parent, focusedKey);
+            if (target) {
+                target.focus({ preventScroll: true });
+            }
+        }
+    }
+    
+    /**
+     * Find a keyed element inside a parent
+     * @param {HTMLElement} parent - Element to search
+     * @param {string} key - Element key
+     * @returns {HTMLElement|null} The element, or null if it is not rendered
+     */
+    static findByKey(parent, key) {
+        if (key === undefined || key === null) {
+            return null;
+        }
+        
+        return Array.from(parent.querySelectorAll('[data-key]'))
+            .find(element => element.dataset.key === String(key)) || null;
+    }
+    
+    /**
+     * Create an element from markup and remember the markup it came from
+     * @param {string} html - Markup for a single element
+     * @param {string} key - Element key
+     * @returns {HTMLElement} The new element
+     */
+    static #createElement(html, key) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        
+        const element = template.content.firstElementChild;
+        element.dataset.key = key;
+        DomReconciler.#renderedHtml.set(element, html);
+        return element;
+    }
+    
+    /**
+     * Get the closest keyed element that is a direct or nested child of a parent
+     * @param {HTMLElement} element - Element to start from
+     * @param {HTMLElement} parent - Reconciled parent
+     * @returns {HTMLElement|null} Innermost keyed ancestor
+     */
+    static #getKeyedAncestor(element, parent) {
+        const keyed = element.closest('[data-key]');
+        return keyed && parent.contains(keyed) ? keyed : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DomReconciler;
+}
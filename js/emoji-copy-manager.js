@@ -119,7 +119,10 @@ class EmojiCopyManager {
             name: `emoji ${unicode}`,
             category: 'unknown',
             keywords: [],
-            codepoint: unicode.codePointAt(0).toString(16).toUpperCase()
+            // Every codepoint, so ZWJ sequences like 👩‍💻 keep their full identity
+            codepoint: Array.from(unicode)
+                .map(char => char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+                .join(' ')
         };
 
         return await this.copyEmoji(emoji, options);
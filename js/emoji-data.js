@@ -5,6 +5,33 @@ class EmojiData {
   static #emojis = [];
   static #categories = new Set();
   static #isLoaded = false;
+  static #searchIndex = null;
+  static #fuzzyThreshold = 0.7;
+  static #MIN_FUZZY_LENGTH = 3;
+  static #SORT_ORDERS = [
+    { id: 'default', name: 'Category order' },
+    { id: 'alphabetical', name: 'Name (A–Z)' },
+    { id: 'codepoint', name: 'Codepoint' },
+    { id: 'version', name: 'Newest first' },
+    { id: 'usage', name: 'Most used' }
+  ];
+  static #QUERY_FIELDS = {
+    category: 'category',
+    cat: 'category',
+    keyword: 'keyword',
+    kw: 'keyword',
+    name: 'name',
+    codepoint: 'codepoint',
+    cp: 'codepoint',
+    version: 'version'
+  };
+  static #SKIN_TONES = [
+    { id: 'light', name: 'light skin tone', modifier: '1F3FB', swatch: '🏻' },
+    { id: 'medium-light', name: 'medium-light skin tone', modifier: '1F3FC', swatch: '🏼' },
+    { id: 'medium', name: 'medium skin tone', modifier: '1F3FD', swatch: '🏽' },
+    { id: 'medium-dark', name: 'medium-dark skin tone', modifier: '1F3FE', swatch: '🏾' },
+    { id: 'dark', name: 'dark skin tone', modifier: '1F3FF', swatch: '🏿' }
+  ];
 
   /**
    * Load emoji data from JSON file
@@ -22,7 +49,7 @@ class EmojiData {
       }
       
       const data = await response.json();
-      this.#emojis = data.emojis || [];
+      this.#emojis = (data.emojis || []).filter(emoji => this.#isValidEmoji(emoji));
       
       // Extract unique categories
       this.#categories.clear();
@@ -32,6 +59,8 @@ class EmojiData {
         }
       });
       
+      this.#buildSearchIndex();
+      
       this.#isLoaded = true;
       return this.#emojis;
     } catch (error) {
@@ -40,6 +69,22 @@ class EmojiData {
     }
   }
 
+  /**
+   * Check an emoji entry against parseEmojiData, logging entries that fail
+   * @private
+   * @param {Object} emoji Raw emoji data object
+   * @returns {boolean} True if the entry is valid
+   */
+  static #isValidEmoji(emoji) {
+    try {
+      this.parseEmojiData(emoji);
+      return true;
+    } catch (error) {
+      console.warn(`Skipping invalid emoji entry (${emoji && emoji.name}):`, error.message);
+      return false;
+    }
+  }
+
   /**
    * Get all emojis
    * @returns {Array} Array of all emoji objects
@@ -78,15 +123,261 @@ class EmojiData {
       }
     }
 
+    const unicode = String(emojiData.unicode);
+    const codepoint = String(emojiData.codepoint).trim().toUpperCase();
+
+    // Codepoints are a space-separated sequence, as in Unicode's emoji-test.txt
+    if (!this.isValidCodepointSequence(codepoint)) {
+      throw new Error(`Invalid codepoint sequence: ${codepoint}`);
+    }
+
+    if (this.toCodepointSequence(unicode) !== codepoint) {
+      throw new Error(`Codepoint sequence ${codepoint} does not match unicode ${unicode}`);
+    }
+
     return {
-      unicode: String(emojiData.unicode),
+      unicode,
       name: String(emojiData.name).toLowerCase(),
       category: String(emojiData.category),
       keywords: Array.isArray(emojiData.keywords) ? emojiData.keywords : [],
-      codepoint: String(emojiData.codepoint)
+      codepoint,
+      version: emojiData.version !== undefined ? String(emojiData.version) : undefined,
+      skinTones: emojiData.skinTones === true
     };
   }
 
+  /**
+   * Check that a string is a space-separated sequence of hex codepoints
+   * @param {string} sequence Codepoint sequence (e.g. "1F469 200D 1F4BB")
+   * @returns {boolean} True if every codepoint is valid
+   */
+  static isValidCodepointSequence(sequence) {
+    if (!sequence || typeof sequence !== 'string') {
+      return false;
+    }
+
+    return sequence.split(' ').every(hex =>
+      /^[0-9A-F]{4,6}$/i.test(hex) && parseInt(hex, 16) <= 0x10FFFF
+    );
+  }
+
+  /**
+   * Convert an emoji string to its full codepoint sequence
+   * @param {string} unicode Emoji string, including any ZWJ, modifier or selector characters
+   * @returns {string} Space-separated hex codepoints (e.g. "1F469 200D 1F4BB")
+   */
+  static toCodepointSequence(unicode) {
+    return Array.from(String(unicode))
+      .map(char => char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'))
+      .join(' ');
+  }
+
+  /**
+   * Convert a codepoint sequence back to an emoji string
+   * @param {string} sequence Space-separated hex codepoints
+   * @returns {string} Emoji string
+   */
+  static fromCodepointSequence(sequence) {
+    if (!this.isValidCodepointSequence(sequence)) {
+      throw new Error(`Invalid codepoint sequence: ${sequence}`);
+    }
+
+    return String.fromCodePoint(...sequence.split(' ').map(hex => parseInt(hex, 16)));
+  }
+
+  /**
+   * Get the Fitzpatrick skin tone modifiers (U+1F3FB–1F3FF)
+   * @returns {Array} Array of skin tone objects with id, name, modifier and swatch
+   */
+  static getSkinTones() {
+    return this.#SKIN_TONES.map(tone => ({ ...tone }));
+  }
+
+  /**
+   * Check if an emoji accepts skin tone modifiers
+   * @param {Object} emoji Emoji object
+   * @returns {boolean} True if the emoji has skin tone variants
+   */
+  static supportsSkinTones(emoji) {
+    return !!(emoji && emoji.skinTones === true);
+  }
+
+  /**
+   * Get all skin tone variants of an emoji
+   * @param {Object} emoji Emoji object
+   * @returns {Array} Array of variant objects with tone, unicode and codepoint
+   */
+  static getSkinToneVariants(emoji) {
+    if (!this.supportsSkinTones(emoji)) {
+      return [];
+    }
+
+    return this.#SKIN_TONES.map(tone => {
+      const unicode = this.#addSkinTone(emoji.unicode, tone.modifier);
+      return {
+        tone: tone.id,
+        name: `${emoji.name}: ${tone.name}`,
+        unicode,
+        codepoint: this.toCodepointSequence(unicode)
+      };
+    });
+  }
+
+  /**
+   * Remove any skin tone modifier from an emoji string
+   * @param {string} unicode Emoji string
+   * @returns {string} Emoji string without skin tone modifiers
+   */
+  static stripSkinTone(unicode) {
+    if (!unicode || typeof unicode !== 'string') {
+      return unicode;
+    }
+
+    return unicode.replace(/[\u{1F3FB}-\u{1F3FF}]/gu, '');
+  }
+
+  /**
+   * Apply a skin tone to an emoji, replacing any tone it already has
+   * @param {string} unicode Emoji string (base or toned)
+   * @param {string} toneId Skin tone ID, or 'default' for the untoned emoji
+   * @returns {string} Toned emoji, or the input unchanged if it has no variants
+   */
+  static applySkinTone(unicode, toneId) {
+    const emoji = this.findByUnicode(unicode);
+    if (!this.supportsSkinTones(emoji)) {
+      return unicode;
+    }
+
+    const tone = this.#SKIN_TONES.find(t => t.id === toneId);
+    if (!tone) {
+      return emoji.unicode;
+    }
+
+    return this.#addSkinTone(emoji.unicode, tone.modifier);
+  }
+
+  /**
+   * Find a loaded emoji by its character, ignoring skin tones and variation selectors
+   * @param {string} unicode Emoji string
+   * @returns {Object|null} Matching emoji object or null
+   */
+  static findByUnicode(unicode) {
+    if (!unicode || typeof unicode !== 'string') {
+      return null;
+    }
+
+    const target = this.getIdentity(unicode);
+    return this.#emojis.find(emoji => this.getIdentity(emoji.unicode) === target) || null;
+  }
+
+  /**
+   * Decode an emoji written as a glyph or in a common notation
+   *
+   * Recognizes pasted emojis ("😀"), codepoints ("U+1F600", "U+1F469 U+200D U+1F4BB"),
+   * HTML entities ("&#128512;", "&#x1F600;") and escapes ("\u{1F600}", "\uD83D\uDE00", "\U0001F600").
+   * @param {string} text Text to decode
+   * @returns {string|null} Emoji string, or null if the text is not an emoji notation
+   */
+  static parseEmojiNotation(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const input = text.trim();
+    const hex = digits => parseInt(digits, 16);
+    let codepoints = null;
+
+    if (/^U\+[0-9A-F]{1,6}(?:[\s,+]*U\+[0-9A-F]{1,6})*$/i.test(input)) {
+      codepoints = input.match(/U\+([0-9A-F]{1,6})/gi).map(cp => hex(cp.slice(2)));
+    } else if (/^(?:&#(?:[xX][0-9A-Fa-f]{1,6}|\d{1,7});?)+$/.test(input)) {
+      codepoints = input.match(/&#[xX]?[0-9A-Fa-f]+/g).map(entity =>
+        (/^&#[xX]/.test(entity) ? hex(entity.slice(3)) : parseInt(entity.slice(2), 10))
+      );
+    } else if (/^(?:\\u\{[0-9A-Fa-f]{1,6}\}|\\U[0-9A-Fa-f]{8}|\\u[0-9A-Fa-f]{4})+$/.test(input)) {
+      // \uXXXX are UTF-16 code units, so surrogate pairs join up when concatenated
+      return input.match(/\\u\{[0-9A-Fa-f]+\}|\\U[0-9A-Fa-f]{8}|\\u[0-9A-Fa-f]{4}/g).map(escape => {
+        if (escape[2] === '{') return this.#fromCodePoints([hex(escape.slice(3, -1))]);
+        if (escape[1] === 'U') return this.#fromCodePoints([hex(escape.slice(2))]);
+        return String.fromCharCode(hex(escape.slice(2)));
+      }).reduce((emoji, part) => (emoji === null || part === null ? null : emoji + part), '');
+    } else if (/^[\p{Emoji}\p{Emoji_Component}\u200D\uFE0F\u20E3]+$/u.test(input) &&
+               /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20E3/u.test(input)) {
+      return input;
+    }
+
+    return codepoints ? this.#fromCodePoints(codepoints) : null;
+  }
+
+  /**
+   * Identify the loaded emoji written in any notation parseEmojiNotation understands
+   * @param {string} text Emoji glyph or notation
+   * @returns {Object|null} Matching emoji object or null
+   */
+  static lookup(text) {
+    return this.findByUnicode(this.parseEmojiNotation(text));
+  }
+
+  /**
+   * Build a string from codepoints, rejecting values outside Unicode
+   * @private
+   * @param {Array} codepoints Numeric codepoints
+   * @returns {string|null} String, or null if a codepoint is invalid
+   */
+  static #fromCodePoints(codepoints) {
+    try {
+      return String.fromCodePoint(...codepoints);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Split a run of pasted emojis into single emojis
+   * @private
+   * @param {string} text Emoji string such as "😀👍🏽"
+   * @returns {Array} Emoji strings
+   */
+  static #splitEmojis(text) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) {
+      return [text];
+    }
+
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(text), segment => segment.segment);
+  }
+
+  /**
+   * Insert a skin tone modifier after the emoji's base character
+   * @private
+   * @param {string} unicode Base emoji string
+   * @param {string} modifier Modifier codepoint (hex)
+   * @returns {string} Toned emoji string
+   */
+  static #addSkinTone(unicode, modifier) {
+    const chars = Array.from(this.stripSkinTone(unicode));
+    // A modifier replaces the emoji presentation selector (e.g. ✌️ → ✌🏽)
+    if (chars[1] === '\uFE0F') {
+      chars.splice(1, 1);
+    }
+    chars.splice(1, 0, String.fromCodePoint(parseInt(modifier, 16)));
+    return chars.join('');
+  }
+
+  /**
+   * Get the form of an emoji used to tell whether two emoji strings are the same emoji
+   *
+   * Skin tones and variation selectors are removed, so ✌🏽, ✌️ and ✌ all match.
+   * @param {string} unicode Emoji string
+   * @returns {string} Emoji string without skin tones or variation selectors
+   */
+  static getIdentity(unicode) {
+    if (!unicode || typeof unicode !== 'string') {
+      return unicode;
+    }
+
+    return this.stripSkinTone(unicode).replace(/\uFE0F/g, '');
+  }
+
   /**
    * Get emojis by category
    * @param {string} category Category name to filter by
@@ -123,6 +414,7 @@ class EmojiData {
   static getCategoryDisplayNames() {
     const displayNames = {
       'smileys-emotion': 'Smileys & Emotion',
+      'people-body': 'People & Body',
       'animals-nature': 'Animals & Nature',
       'food-drink': 'Food & Drink',
       'activities': 'Activities',
@@ -157,29 +449,263 @@ class EmojiData {
     return this.#categories.has(category);
   }
 
+  /**
+   * Get the available sort orders for browsing emojis
+   * @returns {Array} Array of sort order objects ({ id, name })
+   */
+  static getSortOrders() {
+    return this.#SORT_ORDERS.map(order => ({ ...order }));
+  }
+
+  /**
+   * Sort emojis for browsing
+   *
+   * Ties keep their existing order, so 'default' leaves the dataset order
+   * as it is and emojis without a version or usage stay in dataset order.
+   * @param {Array} emojis Emoji objects to sort
+   * @param {string} order Sort order ID from getSortOrders
+   * @param {Object} options Optional configuration
+   * @param {Map} options.usage Usage score per emoji, keyed by getIdentity, for 'usage'
+   * @returns {Array} New sorted array of emoji objects
+   */
+  static sortEmojis(emojis, order = 'default', options = {}) {
+    if (!this.#SORT_ORDERS.some(sortOrder => sortOrder.id === order)) {
+      throw new Error(`Unknown sort order: ${order}`);
+    }
+
+    const sorted = [...emojis];
+    const usage = options.usage || new Map();
+    const getVersion = emoji => (emoji.version !== undefined ? parseFloat(String(emoji.version).replace(/^e/i, '')) : -1);
+    const getUsage = emoji => usage.get(this.getIdentity(emoji.unicode)) || 0;
+    const getCodepoints = emoji => Array.from(emoji.unicode, char => char.codePointAt(0));
+
+    switch (order) {
+      case 'alphabetical':
+        return sorted.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+      case 'codepoint':
+        return sorted.sort((a, b) => {
+          const codepointsA = getCodepoints(a);
+          const codepointsB = getCodepoints(b);
+          for (let i = 0; i < Math.min(codepointsA.length, codepointsB.length); i++) {
+            if (codepointsA[i] !== codepointsB[i]) return codepointsA[i] - codepointsB[i];
+          }
+          return codepointsA.length - codepointsB.length;
+        });
+      case 'version':
+        return sorted.sort((a, b) => getVersion(b) - getVersion(a));
+      case 'usage':
+        return sorted.sort((a, b) => getUsage(b) - getUsage(a));
+      default:
+        return sorted;
+    }
+  }
+
+  /**
+   * Get the minimum similarity (0–1) for a typo-tolerant match
+   * @returns {number} Fuzzy match threshold
+   */
+  static getFuzzyThreshold() {
+    return this.#fuzzyThreshold;
+  }
+
+  /**
+   * Set the minimum similarity (0–1) for a typo-tolerant match
+   * @param {number} threshold Similarity threshold; 1 disables fuzzy matching
+   */
+  static setFuzzyThreshold(threshold) {
+    if (typeof threshold !== 'number' || Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      throw new Error('Fuzzy threshold must be a number between 0 and 1');
+    }
+
+    this.#fuzzyThreshold = threshold;
+  }
+
+  /**
+   * Parse a search query into field filters, exclusions, phrases and OR alternatives
+   *
+   * Supported syntax:
+   * - `red heart` plain words, matched together against names and keywords (typo-tolerant)
+   * - `"red heart"` quoted phrase, matched exactly
+   * - `category:food`, `keyword:fruit`, `name:cat`, `cp:1F60*`, `version:>=13` field filters
+   *   (`cat:`, `kw:` and `codepoint:` are aliases; `*` is a wildcard in field values)
+   * - `-fruit`, `-category:flags` exclude matching emojis
+   * - `cat OR dog` matches either of the neighbouring terms
+   * - `😀`, `U+1F600`, `&#128512;`, `\u{1F600}` find that emoji (see parseEmojiNotation);
+   *   a pasted run of emojis finds each of them
+   *
+   * Unknown fields (`flag:`) are searched as plain text.
+   * @param {string} query Search query
+   * @returns {Object} Parsed query { groups }: every group must match, and a group
+   *   matches when any of its terms ({ field, value, negated, phrase }) does.
+   *   Emoji lookups are terms with the field 'emoji'.
+   */
+  static parseQuery(query) {
+    const groups = [];
+    if (!query || typeof query !== 'string') {
+      return { groups };
+    }
+    
+    // Whitespace separates tokens except inside quotes: -category:"food drink"
+    const tokens = query.match(/(?:[^\s"]+|"[^"]*"?)+/g) || [];
+    let pendingOr = false;
+    let plainTerm = null;
+    let codepointTerm = null;
+    let lookupTerm = null;
+    
+    const addTerm = (term, alternative = false) => {
+      if (alternative || pendingOr) {
+        groups[groups.length - 1].push(term);
+      } else {
+        groups.push([term]);
+      }
+      pendingOr = false;
+      return term;
+    };
+    
+    for (const token of tokens) {
+      if (token === 'OR') {
+        pendingOr = groups.length > 0;
+        plainTerm = null;
+        codepointTerm = null;
+        lookupTerm = null;
+        continue;
+      }
+      
+      const [, minus, fieldName, rest] = token.match(/^(-?)(?:([a-z]+):)?(.*)$/is);
+      let field = fieldName ? this.#QUERY_FIELDS[fieldName.toLowerCase()] || null : null;
+      let text = fieldName && !field ? `${fieldName}:${rest}` : rest;
+      let negated = minus === '-';
+      
+      // A lone "-" is plain text
+      if (negated && !fieldName && text === '') {
+        negated = false;
+        text = '-';
+      }
+      
+      const phrase = text.startsWith('"');
+      
+      // Pasted emojis and notations ("U+1F600", "&#128512;") look emojis up directly
+      const emoji = !fieldName && !phrase ? this.parseEmojiNotation(text) : null;
+      if (emoji) {
+        const isCodepoint = /^U\+/i.test(text);
+        if (isCodepoint && codepointTerm && codepointTerm.negated === negated && !pendingOr &&
+            this.#continuesSequence(codepointTerm.value, emoji)) {
+          codepointTerm.value += emoji;
+          continue;
+        }
+        
+        // Several emojis ("😀👍🏽", "U+1F600 U+1F603") find each of them
+        const emojis = isCodepoint ? [emoji] : this.#splitEmojis(emoji);
+        let term = null;
+        emojis.forEach(value => {
+          const alternative = !negated && lookupTerm !== null && !pendingOr;
+          term = addTerm({ field: 'emoji', value, negated, phrase: false }, alternative);
+          lookupTerm = negated ? null : term;
+        });
+        codepointTerm = isCodepoint ? term : null;
+        plainTerm = null;
+        continue;
+      }
+      
+      const value = this.#normalizeQueryValue(field, text.replace(/"/g, ''));
+      if (value === '') {
+        // Incomplete filter or empty phrase while typing ("category:", '""')
+        continue;
+      }
+      
+      // Neighbouring plain words form one term, so "grinning face" ranks as a whole
+      const isPlain = !field && !phrase && !negated;
+      if (isPlain && plainTerm && !pendingOr) {
+        plainTerm.value += ` ${value}`;
+        continue;
+      }
+      
+      const term = addTerm({ field, value, negated, phrase });
+      plainTerm = isPlain ? term : null;
+      codepointTerm = null;
+      lookupTerm = null;
+    }
+    
+    return { groups };
+  }
+
+  /**
+   * Check whether a codepoint continues the emoji before it rather than
+   * starting a new one ("U+1F469 U+200D U+1F4BB", "U+1F1FA U+1F1F8")
+   * @private
+   * @param {string} previous Emoji decoded so far
+   * @param {string} next Next decoded codepoint
+   * @returns {boolean} True if next belongs to the same sequence
+   */
+  static #continuesSequence(previous, next) {
+    if (/^[\u200D\uFE0F\u20E3\u{1F3FB}-\u{1F3FF}\u{E0020}-\u{E007F}]/u.test(next) || previous.endsWith('\u200D')) {
+      return true;
+    }
+    
+    // Flags are pairs of regional indicators
+    return /^\p{Regional_Indicator}$/u.test(previous) && /^\p{Regional_Indicator}/u.test(next);
+  }
+
+  /**
+   * Normalize a query value for the field it filters
+   * @private
+   * @param {string|null} field Field name, or null for names and keywords
+   * @param {string} value Raw value
+   * @returns {string} Normalized value
+   */
+  static #normalizeQueryValue(field, value) {
+    if (field === 'codepoint') {
+      // "U+1F600", "1f600" and "1F469,200D" all name codepoints
+      return value.toUpperCase().replace(/U\+/g, '').split(/[\s,]+/).filter(Boolean).join(' ');
+    }
+    
+    return value.toLowerCase().trim();
+  }
+
   /**
    * Search emojis by name or keywords
-   * @param {string} query Search query (case-insensitive)
+   *
+   * Queries may use the syntax described in parseQuery. Results are sorted by
+   * the relevance of their name and keyword matches; emojis that only pass
+   * filters keep dataset order.
+   * @param {string|Object} query Search query (case-insensitive) or a query from parseQuery
+   * @param {Object} options Optional configuration
+   * @param {number} options.fuzzyThreshold Override the fuzzy match threshold for this search
    * @returns {Array} Array of matching emoji objects with highlighted matches
    */
-  static search(query) {
+  static search(query, options = {}) {
     if (!this.#isLoaded) {
       throw new Error('Emoji data not loaded. Call loadEmojis() first.');
     }
     
-    if (!query || typeof query !== 'string') {
+    let parsedQuery;
+    if (typeof query === 'string') {
+      parsedQuery = this.parseQuery(query);
+    } else if (query && Array.isArray(query.groups)) {
+      parsedQuery = query;
+    } else {
       return this.getAllEmojis();
     }
     
-    const searchTerm = query.toLowerCase().trim();
-    if (searchTerm === '') {
+    if (parsedQuery.groups.length === 0) {
       return this.getAllEmojis();
     }
     
     const results = [];
+    const fuzzyThreshold = options.fuzzyThreshold !== undefined
+      ? options.fuzzyThreshold
+      : this.#fuzzyThreshold;
+    
+    const groups = parsedQuery.groups.map(group => group.map(term => this.#compileTerm(term, fuzzyThreshold)));
+    
+    // Words repeat across emojis ("face", "hand"), so typo scores are shared per search
+    const similarityCache = new Map();
     
-    for (const emoji of this.#emojis) {
-      const matchInfo = this.#getMatchInfo(emoji, searchTerm);
+    // Only score emojis the index says could match, instead of scanning them all
+    for (const id of this.#getQueryCandidateIds(groups)) {
+      const emoji = this.#emojis[id];
+      const entry = this.#searchIndex.entries[id];
+      const matchInfo = this.#getMatchInfo(emoji, entry, groups, similarityCache);
       if (matchInfo.isMatch) {
         results.push({
           ...emoji,
@@ -188,38 +714,291 @@ class EmojiData {
       }
     }
     
-    // Sort results by relevance (exact name matches first, then keyword matches)
-    results.sort((a, b) => {
-      // Exact name matches get highest priority
-      if (a.matchInfo.exactNameMatch && !b.matchInfo.exactNameMatch) return -1;
-      if (!a.matchInfo.exactNameMatch && b.matchInfo.exactNameMatch) return 1;
+    // Sort results by relevance (exact name matches first, then keyword matches, then typos)
+    results.sort((a, b) => b.matchInfo.score - a.matchInfo.score);
+    
+    return results;
+  }
+
+  /**
+   * Turn a parsed query term into a matcher
+   * @private
+   * @param {Object} term Term from parseQuery
+   * @param {number} fuzzyThreshold Minimum similarity for a typo-tolerant match
+   * @returns {Object} { term, candidates, match } where match(emoji, entry, cache)
+   *   returns a scored match or null, and candidates() lists the IDs of every emoji
+   *   the term could match (null when the index cannot tell)
+   */
+  static #compileTerm(term, fuzzyThreshold) {
+    const { field, value, phrase } = term;
+    const wildcard = value.includes('*') ? this.#wildcardToRegExp(value) : null;
+    const filterMatch = { score: 0, keywordMatches: [], similarity: 1, highlightTerms: [] };
+    // Quoted phrases and exclusions match exactly; plain words also allow typos
+    const textThreshold = field === null && !phrase && !term.negated ? fuzzyThreshold : 1;
+    let match;
+    
+    switch (field) {
+      case 'name':
+        match = (emoji, entry) => (wildcard
+          ? (wildcard.test(entry.name) ? { ...filterMatch, score: 2000, highlightTerms: this.#wildcardParts(value) } : null)
+          : this.#matchText(entry.name, [], value, 1));
+        break;
+      case 'keyword':
+        match = (emoji, entry) => {
+          if (!wildcard) return this.#matchText('', entry.keywords, value, 1);
+          const keywordMatches = entry.keywords.filter(keyword => wildcard.test(keyword));
+          return keywordMatches.length > 0
+            ? { ...filterMatch, score: 1000 + keywordMatches.length * 10, keywordMatches, highlightTerms: this.#wildcardParts(value) }
+            : null;
+        };
+        break;
+      case 'category': {
+        const displayNames = this.getCategoryDisplayNames();
+        const categories = new Set(Array.from(this.#categories).filter(category =>
+          [category, ...category.split('-'), ...(displayNames[category] || '').toLowerCase().split(/[\s&]+/)]
+            .some(part => (wildcard ? wildcard.test(part) : part.startsWith(value)))
+        ));
+        match = emoji => (categories.has(emoji.category) ? filterMatch : null);
+        break;
+      }
+      case 'codepoint':
+        match = emoji => {
+          const sequence = emoji.codepoint.toUpperCase();
+          const matches = codepoint => (wildcard ? wildcard.test(codepoint) : codepoint === value);
+          return matches(sequence) || sequence.split(' ').some(matches) ? filterMatch : null;
+        };
+        break;
+      case 'emoji':
+        match = emoji => (this.getIdentity(emoji.unicode) === this.getIdentity(value)
+          ? { ...filterMatch, score: 5000, lookupMatch: true, lookupUnicode: value }
+          : null);
+        break;
+      case 'version':
+        match = emoji => {
+          const matches = wildcard
+            ? emoji.version !== undefined && wildcard.test(String(emoji.version))
+            : this.#matchesVersion(emoji.version, value);
+          return matches ? filterMatch : null;
+        };
+        break;
+      default:
+        match = (emoji, entry, cache) =>
+          this.#matchText(entry.name, entry.keywords, value, textThreshold, cache);
+    }
+    
+    // The index can list every emoji a positive name, keyword or lookup term matches
+    let candidates = null;
+    if (!term.negated && field === 'emoji') {
+      candidates = () => this.#searchIndex.unicodes.get(this.getIdentity(value)) || [];
+    } else if (!term.negated && !wildcard && (field === null || field === 'name' || field === 'keyword')) {
+      candidates = () => this.#getCandidateIds(value, textThreshold);
+    }
+    
+    return { term, candidates, match };
+  }
+
+  /**
+   * Get the IDs of emojis that could match a compiled query
+   * @private
+   * @param {Array} groups Compiled query groups
+   * @returns {Array} Candidate emoji IDs in dataset order
+   */
+  static #getQueryCandidateIds(groups) {
+    let candidates = null;
+    
+    // A group narrows the search only when the index covers all of its alternatives
+    for (const group of groups) {
+      if (!group.every(compiled => compiled.candidates)) continue;
       
-      // Name starts with query gets second priority
-      if (a.matchInfo.nameStartsWithQuery && !b.matchInfo.nameStartsWithQuery) return -1;
-      if (!a.matchInfo.nameStartsWithQuery && b.matchInfo.nameStartsWithQuery) return 1;
+      const groupIds = new Set();
+      group.forEach(compiled => {
+        compiled.candidates().forEach(id => groupIds.add(id));
+      });
       
-      // Name contains query gets third priority
-      if (a.matchInfo.nameContainsQuery && !b.matchInfo.nameContainsQuery) return -1;
-      if (!a.matchInfo.nameContainsQuery && b.matchInfo.nameContainsQuery) return 1;
+      if (candidates === null) {
+        candidates = groupIds;
+      } else {
+        candidates.forEach(id => {
+          if (!groupIds.has(id)) candidates.delete(id);
+        });
+      }
+    }
+    
+    if (candidates === null) {
+      return this.#emojis.map((emoji, id) => id);
+    }
+    
+    return Array.from(candidates).sort((a, b) => a - b);
+  }
+
+  /**
+   * Build the search index for the loaded emojis
+   *
+   * Every 1–3 character substring of an emoji's name and keywords maps to the
+   * IDs (dataset positions) of the emojis containing it, and names/keywords are
+   * kept sorted for prefix lookups. Lowercased text is cached per emoji so
+   * searches never re-lowercase the dataset, and emojis are keyed by their
+   * characters (without skin tones or variation selectors) for lookups.
+   * @private
+   */
+  static #buildSearchIndex() {
+    const grams = new Map();
+    const phrases = new Map();
+    const unicodes = new Map();
+    
+    const entries = this.#emojis.map((emoji, id) => {
+      const name = emoji.name.toLowerCase();
+      const keywords = emoji.keywords.map(k => k.toLowerCase());
+      
+      const emojiGrams = new Set();
+      for (const text of [name, ...keywords]) {
+        for (let length = 1; length <= 3; length++) {
+          for (let i = 0; i + length <= text.length; i++) {
+            emojiGrams.add(text.slice(i, i + length));
+          }
+        }
+      }
+      
+      // IDs are pushed in dataset order, so every posting list stays sorted
+      emojiGrams.forEach(gram => {
+        if (!grams.has(gram)) grams.set(gram, []);
+        grams.get(gram).push(id);
+      });
       
-      // Sort by number of keyword matches (more matches = higher relevance)
-      return b.matchInfo.keywordMatches.length - a.matchInfo.keywordMatches.length;
+      [emoji.name, ...emoji.keywords].forEach((text, position) => {
+        const key = text.toLowerCase();
+        if (!phrases.has(key)) {
+          phrases.set(key, { key, text, rank: id * 1000 + position });
+        }
+      });
+      
+      const unicode = this.getIdentity(emoji.unicode);
+      if (!unicodes.has(unicode)) unicodes.set(unicode, []);
+      unicodes.get(unicode).push(id);
+      
+      return { name, keywords };
     });
     
-    return results;
+    this.#searchIndex = {
+      grams,
+      entries,
+      unicodes,
+      phrases: Array.from(phrases.values()).sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    };
   }
 
   /**
-   * Get match information for an emoji against a search term
+   * Get the IDs of emojis that could match a search term
    * @private
-   * @param {Object} emoji Emoji object
    * @param {string} searchTerm Lowercase search term
+   * @param {number} fuzzyThreshold Minimum similarity for a typo-tolerant match
+   * @returns {Array} Candidate emoji IDs in dataset order
+   */
+  static #getCandidateIds(searchTerm, fuzzyThreshold) {
+    const { grams } = this.#searchIndex;
+    const trigrams = [];
+    for (let i = 0; i + 3 <= searchTerm.length; i++) {
+      trigrams.push(searchTerm.slice(i, i + 3));
+    }
+    
+    // Substring matches: short terms are a gram themselves; longer terms must
+    // contain every one of their trigrams (a superset, confirmed by #getMatchInfo)
+    let candidates;
+    if (searchTerm.length <= 3) {
+      candidates = new Set(grams.get(searchTerm) || []);
+    } else {
+      const postings = trigrams.map(gram => grams.get(gram) || []).sort((a, b) => a.length - b.length);
+      candidates = new Set(postings[0]);
+      for (const posting of postings.slice(1)) {
+        const inPosting = new Set(posting);
+        candidates.forEach(id => {
+          if (!inPosting.has(id)) candidates.delete(id);
+        });
+      }
+    }
+    
+    // Typo-tolerant matches only need to share one trigram with the term
+    if (fuzzyThreshold < 1 && searchTerm.length >= this.#MIN_FUZZY_LENGTH) {
+      trigrams.forEach(gram => {
+        (grams.get(gram) || []).forEach(id => candidates.add(id));
+      });
+    }
+    
+    return Array.from(candidates).sort((a, b) => a - b);
+  }
+
+  /**
+   * Get match information for an emoji against a compiled query
+   * @private
+   * @param {Object} emoji Emoji object
+   * @param {Object} entry Cached lowercase name and keywords from the search index
+   * @param {Array} groups Compiled query groups
+   * @param {Map} similarityCache Similarity scores already computed during this search
    * @returns {Object} Match information object
    */
-  static #getMatchInfo(emoji, searchTerm) {
-    const name = emoji.name.toLowerCase();
-    const keywords = emoji.keywords.map(k => k.toLowerCase());
+  static #getMatchInfo(emoji, entry, groups, similarityCache) {
+    const noScore = { score: 0, keywordMatches: [], similarity: 1, highlightTerms: [] };
+    const matches = [];
+    
+    // Every group must match; within a group the best-scoring alternative counts
+    for (const group of groups) {
+      let best = null;
+      for (const compiled of group) {
+        const match = compiled.match(emoji, entry, similarityCache);
+        if (compiled.term.negated ? match : !match) continue;
+        
+        const counted = compiled.term.negated ? noScore : match;
+        if (!best || counted.score > best.score) best = counted;
+      }
+      
+      if (!best) {
+        return { isMatch: false };
+      }
+      matches.push(best);
+    }
+    
+    const highlightTerms = matches.flatMap(match => match.highlightTerms);
     
+    return {
+      isMatch: true,
+      exactNameMatch: matches.some(match => match.exactNameMatch),
+      nameStartsWithQuery: matches.some(match => match.nameStartsWithQuery),
+      nameContainsQuery: matches.some(match => match.nameContainsQuery),
+      keywordMatches: [...new Set(matches.flatMap(match => match.keywordMatches))],
+      fuzzyMatch: matches.some(match => match.fuzzyMatch),
+      lookupMatch: matches.some(match => match.lookupMatch),
+      // The emoji as it was looked up, e.g. with its skin tone
+      lookupUnicode: (matches.find(match => match.lookupMatch) || {}).lookupUnicode || null,
+      similarity: Math.min(...matches.map(match => match.similarity)),
+      score: matches.reduce((total, match) => total + match.score, 0),
+      // Highlighting is deferred until read, so it only runs for results that are shown
+      get highlightedName() {
+        return EmojiData.#highlightTerms(emoji.name, highlightTerms);
+      },
+      get highlightedKeywords() {
+        return entry.keywords.map(keyword => EmojiData.#highlightTerms(keyword, highlightTerms));
+      },
+      // The same highlights as { text, highlighted } segments, for safe rendering
+      get nameSegments() {
+        return EmojiData.#getHighlightSegments(emoji.name, highlightTerms);
+      },
+      get keywordSegments() {
+        return emoji.keywords.map(keyword => EmojiData.#getHighlightSegments(keyword, highlightTerms));
+      }
+    };
+  }
+
+  /**
+   * Match a search term against an emoji's name and keywords
+   * @private
+   * @param {string} name Lowercase emoji name ('' to match keywords only)
+   * @param {Array} keywords Lowercase keywords ([] to match the name only)
+   * @param {string} searchTerm Lowercase search term
+   * @param {number} fuzzyThreshold Minimum similarity for a typo-tolerant match
+   * @param {Map} similarityCache Similarity scores already computed during this search
+   * @returns {Object|null} Scored match, or null if the term does not match
+   */
+  static #matchText(name, keywords, searchTerm, fuzzyThreshold, similarityCache) {
     // Check name matches
     const exactNameMatch = name === searchTerm;
     const nameStartsWithQuery = name.startsWith(searchTerm);
@@ -230,33 +1009,253 @@ class EmojiData {
       keyword.includes(searchTerm)
     );
     
-    const isMatch = exactNameMatch || nameStartsWithQuery || nameContainsQuery || keywordMatches.length > 0;
+    const isSubstringMatch = nameContainsQuery || keywordMatches.length > 0;
+    
+    // Only fall back to typo-tolerant matching when nothing matched exactly
+    const fuzzy = isSubstringMatch || fuzzyThreshold >= 1
+      ? { similarity: 0, matchedTerms: [] }
+      : this.#getFuzzyMatch(name, keywords, searchTerm, fuzzyThreshold, similarityCache);
+    const fuzzyMatch = fuzzy.similarity >= fuzzyThreshold && fuzzyThreshold < 1;
+    
+    if (!isSubstringMatch && !fuzzyMatch) {
+      return null;
+    }
+    
+    // Tiers keep the original order: exact, prefix, contains, keywords, then typos.
+    // Within a tier more keyword matches rank higher; typos rank by similarity,
+    // and a whole word ("red heart") beats part of one ("smiling face with hearts").
+    let score = 0;
+    if (exactNameMatch) score = 4000;
+    else if (nameStartsWithQuery) score = 3000;
+    else if (nameContainsQuery) score = ` ${name} `.includes(` ${searchTerm} `) ? 2500 : 2000;
+    else if (keywordMatches.length > 0) score = 1000;
+    else if (fuzzyMatch) score = Math.round(fuzzy.similarity * 100);
+    score += keywordMatches.length * 10;
     
     return {
-      isMatch,
       exactNameMatch,
       nameStartsWithQuery,
       nameContainsQuery,
       keywordMatches,
-      highlightedName: this.#highlightText(emoji.name, searchTerm),
-      highlightedKeywords: keywords.map(keyword => 
-        this.#highlightText(keyword, searchTerm)
-      )
+      fuzzyMatch,
+      similarity: isSubstringMatch ? 1 : fuzzy.similarity,
+      score,
+      highlightTerms: fuzzyMatch ? fuzzy.matchedTerms : [searchTerm]
     };
   }
 
   /**
-   * Highlight matching text in a string
+   * Check an emoji's Unicode version against a version filter
+   * @private
+   * @param {string|number|undefined} version Emoji version ("13.0")
+   * @param {string} value Filter value: "13", "13.1", ">=13", "<12.0"
+   * @returns {boolean} True if the version satisfies the filter
+   */
+  static #matchesVersion(version, value) {
+    if (version === undefined || version === null) {
+      return false;
+    }
+    
+    const [, operator = '=', number] = value.match(/^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)?)$/) || [];
+    if (!number) {
+      return false;
+    }
+    
+    const text = String(version).replace(/^e/i, '');
+    const actual = parseFloat(text);
+    const expected = parseFloat(number);
+    
+    switch (operator) {
+      case '>=': return actual >= expected;
+      case '<=': return actual <= expected;
+      case '>': return actual > expected;
+      case '<': return actual < expected;
+      default:
+        // "13" covers 13.0 and 13.1
+        return text === number || text.startsWith(`${number}.`) || actual === expected;
+    }
+  }
+
+  /**
+   * Build an anchored, case-insensitive pattern from a value with * wildcards
+   * @private
+   * @param {string} value Value such as "1f60*"
+   * @returns {RegExp} Pattern matching the whole value
+   */
+  static #wildcardToRegExp(value) {
+    const pattern = value.split('*').map(part => this.#escapeRegExp(part)).join('.*');
+    return new RegExp(`^${pattern}$`, 'i');
+  }
+
+  /**
+   * Literal parts of a wildcard value, for highlighting
+   * @private
+   * @param {string} value Value such as "*face"
+   * @returns {Array} Non-empty parts between wildcards
+   */
+  static #wildcardParts(value) {
+    return value.split('*').filter(Boolean);
+  }
+
+  /**
+   * Find the closest typo-tolerant match for a search term
+   * @private
+   * @param {string} name Lowercase emoji name
+   * @param {Array} keywords Lowercase keywords
+   * @param {string} searchTerm Lowercase search term
+   * @param {number} threshold Minimum similarity worth computing
+   * @param {Map} cache Similarity scores already computed during this search
+   * @returns {Object} Best similarity (0–1) and the words it matched
+   */
+  static #getFuzzyMatch(name, keywords, searchTerm, threshold, cache = new Map()) {
+    const best = { similarity: 0, matchedTerms: [] };
+    if (searchTerm.length < this.#MIN_FUZZY_LENGTH) {
+      return best;
+    }
+    
+    const getSimilarity = (a, b, minSimilarity) => {
+      const key = `${minSimilarity}\u0000${a}\u0000${b}`;
+      if (!cache.has(key)) {
+        cache.set(key, this.#getSimilarity(a, b, minSimilarity));
+      }
+      return cache.get(key);
+    };
+    
+    const words = [...name.split(/\s+/), ...keywords.flatMap(keyword => keyword.split(/\s+/))];
+    
+    // Whole-term comparison ("thumsb up" vs "thumbs up", "hapy" vs "happy")
+    for (const candidate of [name, ...keywords, ...words]) {
+      const similarity = getSimilarity(searchTerm, candidate, threshold);
+      if (similarity > best.similarity) {
+        best.similarity = similarity;
+        best.matchedTerms = [candidate];
+      }
+    }
+    
+    // Word-by-word comparison for multi-word queries ("hapy face")
+    const tokens = searchTerm.split(/\s+/).filter(Boolean);
+    if (tokens.length > 1) {
+      let total = 0;
+      const matchedTerms = [];
+      
+      for (const token of tokens) {
+        let tokenBest = 0;
+        let tokenMatch = null;
+        for (const word of words) {
+          const similarity = getSimilarity(token, word, 0);
+          if (similarity > tokenBest) {
+            tokenBest = similarity;
+            tokenMatch = word;
+          }
+        }
+        total += tokenBest;
+        if (tokenMatch) matchedTerms.push(tokenMatch);
+      }
+      
+      const similarity = total / tokens.length;
+      if (similarity > best.similarity) {
+        best.similarity = similarity;
+        best.matchedTerms = matchedTerms;
+      }
+    }
+    
+    return best;
+  }
+
+  /**
+   * Normalized similarity between two strings based on edit distance
+   * @private
+   * @param {string} a First string
+   * @param {string} b Second string
+   * @param {number} minSimilarity Return 0 early when the result cannot reach this
+   * @returns {number} Similarity from 0 (unrelated) to 1 (identical)
+   */
+  static #getSimilarity(a, b, minSimilarity = 0) {
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) return 1;
+    
+    // Cheap bound: the length difference alone already rules out a close match
+    if (1 - Math.abs(a.length - b.length) / maxLength < minSimilarity) {
+      return 0;
+    }
+    
+    return 1 - this.#getEditDistance(a, b) / maxLength;
+  }
+
+  /**
+   * Damerau-Levenshtein (optimal string alignment) distance, so a swapped
+   * pair of letters ("thumsb") counts as a single typo
+   * @private
+   * @param {string} a First string
+   * @param {string} b Second string
+   * @returns {number} Number of edits to turn a into b
+   */
+  static #getEditDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => {
+      const row = new Array(cols).fill(0);
+      row[0] = i;
+      return row;
+    });
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+    
+    for (let i = 1; i < rows; i++) {
+      for (let j = 1; j < cols; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    
+    return d[a.length][b.length];
+  }
+
+  /**
+   * Highlight every occurrence of several terms in a string
    * @private
    * @param {string} text Text to highlight
-   * @param {string} searchTerm Search term to highlight
+   * @param {Array} terms Terms to highlight
    * @returns {string} Text with highlighted matches
    */
-  static #highlightText(text, searchTerm) {
-    if (!searchTerm || !text) return text;
+  static #highlightTerms(text, terms) {
+    if (!text) return text;
+    
+    return this.#getHighlightSegments(text, terms)
+      .map(segment => (segment.highlighted ? `<mark>${segment.text}</mark>` : segment.text))
+      .join('');
+  }
+
+  /**
+   * Split a string into plain and highlighted segments, so callers can
+   * render matches without building HTML from the text
+   * @private
+   * @param {string} text Text to split
+   * @param {Array} terms Terms to highlight
+   * @returns {Array} Segments ({ text, highlighted }) in order
+   */
+  static #getHighlightSegments(text, terms) {
+    const unique = [...new Set(terms.filter(Boolean))];
+    if (unique.length === 0 || !text) {
+      return text ? [{ text, highlighted: false }] : [];
+    }
     
-    const regex = new RegExp(`(${this.#escapeRegExp(searchTerm)})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
+    // One pass with an alternation, longest first, so matches never overlap
+    const pattern = unique
+      .sort((a, b) => b.length - a.length)
+      .map(term => this.#escapeRegExp(term))
+      .join('|');
+    
+    // Splitting on a capturing group alternates plain and matched text
+    return text.split(new RegExp(`(${pattern})`, 'gi'))
+      .map((part, i) => ({ text: part, highlighted: i % 2 === 1 }))
+      .filter(segment => segment.text !== '');
   }
 
   /**
@@ -289,25 +1288,26 @@ class EmojiData {
       return [];
     }
     
-    const suggestions = new Set();
+    // Binary search for the first name/keyword at or after the query
+    const { phrases } = this.#searchIndex;
+    let low = 0;
+    let high = phrases.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (phrases[mid].key < query) low = mid + 1;
+      else high = mid;
+    }
     
-    // Add matching emoji names
-    for (const emoji of this.#emojis) {
-      if (emoji.name.toLowerCase().startsWith(query)) {
-        suggestions.add(emoji.name);
-      }
-      
-      // Add matching keywords
-      for (const keyword of emoji.keywords) {
-        if (keyword.toLowerCase().startsWith(query)) {
-          suggestions.add(keyword);
-        }
-      }
-      
-      if (suggestions.size >= limit) break;
+    const matches = [];
+    for (let i = low; i < phrases.length && phrases[i].key.startsWith(query); i++) {
+      matches.push(phrases[i]);
     }
     
-    return Array.from(suggestions).slice(0, limit);
+    // Names and keywords in the order they appear in the dataset
+    return matches
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit)
+      .map(phrase => phrase.text);
   }
 
   /**
@@ -317,6 +1317,7 @@ class EmojiData {
   static async reloadEmojis() {
     this.#isLoaded = false;
     this.#emojis = [];
+    this.#searchIndex = null;
     this.#categories.clear();
     return await this.loadEmojis();
   }
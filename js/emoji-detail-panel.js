@@ -0,0 +1,282 @@
+/**
+ * EmojiDetailPanel - Side panel (a dialog on small screens) with an emoji's
+ * metadata, copy buttons for each of its representations and image export
+ */
+class EmojiDetailPanel {
+    constructor(onCopy, onCopyImage) {
+        this.onCopy = onCopy || (() => {});
+        this.onCopyImage = onCopyImage || (() => {});
+        this.imageOptions = { size: 128, transparent: true, color: '#ffffff' };
+        this.panel = null;
+        this.emoji = null;
+        this.unicode = null;
+        this.returnFocusTo = null;
+        this.mobileQuery = '(max-width: 768px)'; // Same breakpoint as the stylesheet
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the detail panel
+     */
+    init() {
+        this.createPanel();
+        this.setupEventListeners();
+        
+        console.log('EmojiDetailPanel initialized');
+    }
+    
+    /**
+     * Create the panel element
+     */
+    createPanel() {
+        this.panel = document.createElement('dialog');
+        this.panel.className = 'emoji-detail-panel';
+        this.panel.setAttribute('aria-labelledby', 'emoji-detail-title');
+        this.panel.innerHTML = `
+            <div class="emoji-detail-header">
+                <h2 id="emoji-detail-title" class="emoji-detail-title">Emoji details</h2>
+                <button type="button" class="emoji-detail-close" aria-label="Close emoji details">✕</button>
+            </div>
+            <div class="emoji-detail-content"></div>
+        `;
+        document.body.appendChild(this.panel);
+    }
+    
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.panel.querySelector('.emoji-detail-close').addEventListener('click', () => this.close());
+        
+        this.panel.addEventListener('click', (event) => {
+            const copyButton = event.target.closest('.emoji-detail-copy');
+            const imageButton = event.target.closest('.emoji-detail-image-copy');
+            if (copyButton) {
+                this.copyRepresentation(copyButton.dataset.format);
+            } else if (imageButton) {
+                this.copyImage(imageButton.dataset.type);
+            } else if (event.target === this.panel) {
+                // Clicks on the backdrop of the mobile dialog land on the dialog itself
+                this.close();
+            }
+        });
+        
+        this.panel.addEventListener('change', (event) => {
+            if (event.target.closest('.emoji-detail-image-options')) {
+                this.updateImageOptions();
+            }
+        });
+        
+        // The side panel isn't modal, so Escape doesn't close it natively
+        this.panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.close();
+            }
+        });
+        
+        this.panel.addEventListener('close', () => {
+            if (this.returnFocusTo && this.returnFocusTo.isConnected) {
+                this.returnFocusTo.focus();
+            }
+            this.returnFocusTo = null;
+        });
+    }
+    
+    /**
+     * Show an emoji's details
+     * @param {Object} emoji - Emoji object from EmojiData
+     * @param {string} unicode - Emoji as displayed, e.g. with the default skin tone
+     */
+    open(emoji, unicode = emoji.unicode) {
+        this.emoji = emoji;
+        this.unicode = unicode;
+        this.render();
+        
+        if (!this.panel.open) {
+            this.returnFocusTo = document.activeElement;
+            if (window.matchMedia && window.matchMedia(this.mobileQuery).matches) {
+                this.panel.showModal();
+            } else {
+                this.panel.show();
+            }
+        }
+        
+        this.panel.querySelector('.emoji-detail-close').focus();
+    }
+    
+    /**
+     * Close the panel
+     */
+    close() {
+        if (this.panel.open) {
+            this.panel.close();
+        }
+    }
+    
+    /**
+     * Check whether the panel is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.panel.open;
+    }
+    
+    /**
+     * Render the current emoji's details
+     */
+    render() {
+        const emoji = this.emoji;
+        const details = this.getDetails();
+        
+        this.panel.querySelector('.emoji-detail-title').textContent = emoji.name;
+        this.panel.querySelector('.emoji-detail-content').innerHTML = `
+            <div class="emoji-detail-glyph" aria-hidden="true">${this.escapeHtml(this.unicode)}</div>
+            <dl class="emoji-detail-list">
+                ${details.map(([label, value]) => `
+                    <dt>${label}</dt>
+                    <dd>${this.escapeHtml(value)}</dd>
+                `).join('')}
+            </dl>
+            <h3 class="emoji-detail-subtitle">Copy as</h3>
+            <ul class="emoji-detail-formats">
+                ${this.getRepresentations().map(format => `
+                    <li class="emoji-detail-format">
+                        <span class="emoji-detail-format-label">${format.label}</span>
+                        <code class="emoji-detail-format-value">${this.escapeHtml(format.value)}</code>
+                        <button type="button" class="emoji-detail-copy" data-format="${format.id}" aria-label="Copy ${format.label.toLowerCase()}: ${this.escapeHtml(format.value)}">Copy</button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${this.renderImageOptions()}
+        `;
+    }
+    
+    /**
+     * Get the metadata rows shown for the current emoji
+     * @returns {Array} Rows as [label, value] pairs
+     */
+    getDetails() {
+        const emoji = this.emoji;
+        const categoryName = EmojiData.getCategoryDisplayNames()[emoji.category] || emoji.category;
+        const details = [
+            ['Category', emoji.subgroup ? `${categoryName} › ${emoji.subgroup}` : categoryName],
+            ['Keywords', emoji.keywords.join(', ')],
+            ['Codepoints', this.getRepresentations().find(format => format.id === 'codepoints').value]
+        ];
+        if (emoji.version) {
+            details.push(['Unicode version', `Emoji ${emoji.version}`]);
+        }
+        if (EmojiData.supportsSkinTones(emoji)) {
+            details.push(['Skin tones', 'Supported (right-click or long-press in the grid)']);
+        }
+        
+        return details;
+    }
+    
+    /**
+     * Render the image export controls
+     * @returns {string} Markup for the image section
+     */
+    renderImageOptions() {
+        const { size, transparent, color } = this.imageOptions;
+        const support = ClipboardManager.getRichContentSupportInfo();
+        const canRender = EmojiImageRenderer.isSupported();
+        
+        return `
+            <h3 class="emoji-detail-subtitle">Copy as image</h3>
+            <div class="emoji-detail-image-options">
+                <label class="emoji-detail-image-option">
+                    Size
+                    <input type="number" class="emoji-detail-image-size" min="${EmojiImageRenderer.MIN_SIZE}" max="${EmojiImageRenderer.MAX_SIZE}" step="1" value="${size}">
+                    px
+                </label>
+                <label class="emoji-detail-image-option">
+                    <input type="checkbox" class="emoji-detail-image-transparent"${transparent ? ' checked' : ''}>
+                    Transparent
+                </label>
+                <input type="color" class="emoji-detail-image-color" value="${color}" aria-label="Background color"${transparent ? ' disabled' : ''}>
+            </div>
+            <div class="emoji-detail-image-actions">
+                <button type="button" class="emoji-detail-image-copy" data-type="png"${canRender ? '' : ' disabled'}>${support.png ? 'Copy' : 'Download'} PNG</button>
+                <button type="button" class="emoji-detail-image-copy" data-type="svg">${support.svg ? 'Copy' : 'Download'} SVG</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the image export controls
+     */
+    updateImageOptions() {
+        const sizeInput = this.panel.querySelector('.emoji-detail-image-size');
+        const transparentInput = this.panel.querySelector('.emoji-detail-image-transparent');
+        const colorInput = this.panel.querySelector('.emoji-detail-image-color');
+        
+        const size = parseInt(sizeInput.value, 10);
+        this.imageOptions = {
+            size: Number.isNaN(size) ? this.imageOptions.size
+                : Math.min(EmojiImageRenderer.MAX_SIZE, Math.max(EmojiImageRenderer.MIN_SIZE, size)),
+            transparent: transparentInput.checked,
+            color: colorInput.value
+        };
+        
+        sizeInput.value = this.imageOptions.size;
+        colorInput.disabled = this.imageOptions.transparent;
+    }
+    
+    /**
+     * Copy the current emoji as an image
+     * @param {string} type - 'png' or 'svg'
+     */
+    copyImage(type) {
+        this.updateImageOptions();
+        
+        const { size, transparent, color } = this.imageOptions;
+        this.onCopyImage(this.unicode, this.emoji.name, {
+            type,
+            size,
+            background: transparent ? null : color
+        });
+    }
+    
+    /**
+     * Get the current emoji in each copy format it has
+     * @returns {Array} Representations ({ id, label, value })
+     */
+    getRepresentations() {
+        return CopyFormats.getFormats()
+            .map(format => ({ ...format, value: CopyFormats.convert(this.unicode, format.id) }))
+            .filter(format => format.value !== null);
+    }
+    
+    /**
+     * Copy one representation of the current emoji
+     * @param {string} formatId - Copy format ID
+     */
+    copyRepresentation(formatId) {
+        if (CopyFormats.getFormat(formatId)) {
+            this.onCopy(this.unicode, this.emoji.name, formatId);
+        }
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmojiDetailPanel;
+}
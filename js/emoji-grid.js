@@ -2,13 +2,35 @@
  * EmojiGrid - Handles emoji display and interaction in a responsive grid
  */
 class EmojiGrid {
-    constructor(containerElement, onEmojiClick) {
+    constructor(containerElement, onEmojiClick, skinToneManager = null) {
         this.container = containerElement;
         this.onEmojiClick = onEmojiClick || (() => {});
+        this.skinToneManager = skinToneManager;
         this.emojis = [];
         this.filteredEmojis = [];
         this.currentCategory = 'all';
         this.searchQuery = '';
+        this.showingCloseMatches = false;
+        this.lookupResults = [];
+        this.sortOrder = 'default';
+        this.usageProvider = () => new Map();
+        this.favoritesManager = null;
+        this.onShowDetails = () => {};
+        this.skinTonePicker = null;
+        this.longPressTimeout = null;
+        this.suppressNextClick = false;
+        this.longPressDelay = 500; // ms to hold before the skin tone picker opens
+        this.lookupContainer = null;
+        this.topSpacer = null;
+        this.bottomSpacer = null;
+        this.columnCount = 1;
+        this.rowHeight = 0; // Measured from a mounted row, including the gap below it
+        this.overscanRows = 4; // Rows mounted above and below the viewport
+        this.renderedRange = null;
+        this.renderedEmojis = [];
+        this.renderedQuery = '';
+        this.scrollFrame = null;
+        this.activeIndex = 0; // The cell that is the grid's single Tab stop
         
         this.init();
     }
@@ -22,6 +44,18 @@ class EmojiGrid {
             return;
         }
         
+        // Lookup details sit above the grid, which only holds rows of emojis
+        this.lookupContainer = document.createElement('div');
+        this.lookupContainer.className = 'emoji-lookup-results';
+        this.container.insertAdjacentElement('beforebegin', this.lookupContainer);
+        
+        // Re-render so buttons show the newly chosen default tone
+        if (this.skinToneManager) {
+            this.skinToneManager.onChange(() => this.renderEmojis());
+        }
+        
+        this.setupEventListeners();
+        this.setupVirtualScrolling();
         this.loadEmojis();
     }
     
@@ -36,9 +70,14 @@ class EmojiGrid {
             }
             
             this.emojis = EmojiData.getAllEmojis();
-            this.filteredEmojis = [...this.emojis];
             
-            this.renderEmojis();
+            // A search or category chosen while the data loaded applies now
+            if (this.searchQuery || this.currentCategory !== 'all') {
+                this.applyFilters();
+            } else {
+                this.filteredEmojis = this.sortEmojis(this.emojis);
+                this.renderEmojis();
+            }
             
         } catch (error) {
             console.error('Failed to load emojis:', error);
@@ -46,70 +85,1013 @@ class EmojiGrid {
         }
     }
     
+    /**
+     * Re-render the mounted rows as the page scrolls or the grid resizes
+     */
+    setupVirtualScrolling() {
+        const scheduleUpdate = () => {
+            if (this.scrollFrame) return;
+            
+            this.scrollFrame = requestAnimationFrame(() => {
+                this.scrollFrame = null;
+                this.renderVisibleRows();
+            });
+        };
+        
+        // A new column count reflows every row; otherwise only the window moves
+        const handleResize = () => {
+            if (this.topSpacer && this.getColumnCount() !== this.columnCount) {
+                this.renderEmojis();
+            } else {
+                scheduleUpdate();
+            }
+        };
+        
+        window.addEventListener('scroll', scheduleUpdate, { passive: true });
+        window.addEventListener('resize', handleResize);
+        
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(handleResize).observe(this.container);
+        }
+    }
+    
     /**
      * Render emojis in the grid
+     *
+     * Only the rows in and near the viewport are mounted; spacers above and
+     * below stand in for the rest, so thousands of emojis stay cheap to show.
      */
     renderEmojis() {
+        this.lookupContainer.innerHTML = this.lookupResults.map(result => 
+            this.createLookupCard(result)
+        ).join('');
+        
         if (this.filteredEmojis.length === 0) {
+            this.topSpacer = null;
+            this.bottomSpacer = null;
+            this.renderedRange = null;
+            this.container.removeAttribute('aria-rowcount');
+            this.container.removeAttribute('aria-colcount');
             this.renderEmptyState();
             return;
         }
         
-        const emojiButtons = this.filteredEmojis.map(emoji => 
-            this.createEmojiButton(emoji)
-        ).join('');
+        // Keep the emoji at the top of the viewport in place while rows reflow
+        const anchor = this.getScrollAnchor();
+        
+        // The Tab stop stays on the same emoji if it is still shown
+        const activeEmoji = this.renderedEmojis[this.activeIndex];
+        this.activeIndex = activeEmoji
+            ? Math.max(0, this.filteredEmojis.findIndex(emoji => emoji.unicode === activeEmoji.unicode))
+            : 0;
+        
+        // Search results show their highlighted names, so cells are wider
+        this.container.classList.toggle('is-searching', this.isSearching());
+        this.columnCount = this.getColumnCount();
+        this.container.style.setProperty('--grid-columns', this.columnCount);
+        this.container.setAttribute('aria-rowcount', this.getRowCount());
+        this.container.setAttribute('aria-colcount', this.columnCount);
+        
+        // Mounted rows are reconciled in place, so keep them unless the empty state replaced them
+        if (!this.topSpacer || !this.topSpacer.isConnected) {
+            this.container.innerHTML = '<div class="emoji-grid-spacer" aria-hidden="true"></div>' +
+                '<div class="emoji-grid-spacer" aria-hidden="true"></div>';
+            [this.topSpacer, this.bottomSpacer] = this.container.querySelectorAll('.emoji-grid-spacer');
+        }
+        this.renderedRange = null;
+        this.rowHeight = this.measureRowHeight(); // An estimate until a row is mounted
+        this.renderVisibleRows();
+        this.restoreScrollAnchor(anchor);
+        
+        this.renderedEmojis = this.filteredEmojis;
+        this.renderedQuery = this.searchQuery;
+    }
+    
+    /**
+     * Mount the rows in and near the viewport
+     *
+     * Rows and buttons are keyed, so only rows scrolled into or out of range
+     * and buttons whose emoji changed touch the DOM, and focus survives.
+     * @param {boolean} force - Re-render even if the same rows are mounted
+     */
+    renderVisibleRows(force = false) {
+        if (!this.topSpacer || !this.topSpacer.isConnected) return;
+        
+        const rowCount = this.getRowCount();
+        const range = this.getVisibleRowRange(rowCount);
+        const unchanged = this.renderedRange &&
+            range.first === this.renderedRange.first && range.last === this.renderedRange.last;
+        if (unchanged && !force) return;
+        
+        const rows = [];
+        for (let row = range.first; row <= range.last; row++) {
+            rows.push(row);
+        }
+        DomReconciler.reconcile(this.container, rows, {
+            key: row => `row-${row}`,
+            render: row => this.createRow(row),
+            update: (element, row) => this.updateRow(element, row),
+            start: this.topSpacer,
+            end: this.bottomSpacer
+        });
+        this.renderedRange = range;
+        this.updateTabStop();
+        
+        const previousRowHeight = this.rowHeight;
+        this.rowHeight = this.measureRowHeight();
+        this.topSpacer.style.height = `${range.first * this.rowHeight}px`;
+        this.bottomSpacer.style.height = `${(rowCount - range.last - 1) * this.rowHeight}px`;
+        
+        // Keep the skin tone picker attached to the re-mounted button, if any
+        if (this.skinTonePicker && !this.skinTonePicker.anchor.isConnected) {
+            const anchor = this.findButton(this.skinTonePicker.anchor.dataset.emoji);
+            if (anchor) {
+                this.skinTonePicker.anchor = anchor;
+                anchor.setAttribute('aria-expanded', 'true');
+            } else {
+                this.closeSkinTonePicker(false);
+            }
+        }
+        
+        // The range was estimated with a different row height, so redo it once
+        if (previousRowHeight !== this.rowHeight && !unchanged) {
+            this.renderVisibleRows();
+        }
+    }
+    
+    /**
+     * Create HTML for an empty grid row; updateRow fills in its buttons
+     * @param {number} row - Zero-based row index
+     * @returns {string} HTML string for the row
+     */
+    createRow(row) {
+        return `<div class="emoji-grid-row" role="row" aria-rowindex="${row + 1}"></div>`;
+    }
+    
+    /**
+     * Reconcile a row's buttons with the emojis that now fall in it
+     * @param {HTMLElement} rowElement - Row element
+     * @param {number} row - Zero-based row index
+     */
+    updateRow(rowElement, row) {
+        const start = row * this.columnCount;
+        
+        DomReconciler.reconcile(rowElement, this.filteredEmojis.slice(start, start + this.columnCount), {
+            key: emoji => emoji.unicode,
+            render: (emoji, column) => this.createEmojiButton(emoji, start + column)
+        });
+    }
+    
+    /**
+     * Give the active cell the grid's single Tab stop (roving tabindex)
+     *
+     * If the active cell's row is not mounted, the first cell in view takes
+     * over, so Tab always lands somewhere visible.
+     */
+    updateTabStop() {
+        const buttons = Array.from(this.container.querySelectorAll('.emoji-button'));
+        if (buttons.length === 0) return;
+        
+        let active = this.getCellButton(this.activeIndex);
+        if (!active) {
+            const viewportTop = this.getViewportTop();
+            active = buttons.find(button => button.getBoundingClientRect().bottom > viewportTop) || buttons[0];
+            this.activeIndex = this.getCellIndex(active);
+        }
+        
+        buttons.forEach(button => {
+            button.tabIndex = button === active ? 0 : -1;
+        });
+    }
+    
+    /**
+     * Get the mounted button for a cell
+     * @param {number} index - Position in the filtered emojis
+     * @returns {HTMLElement|null} The button, or null if its row is not mounted
+     */
+    getCellButton(index) {
+        const emoji = this.filteredEmojis[index];
+        return emoji ? DomReconciler.findByKey(this.container, emoji.unicode) : null;
+    }
+    
+    /**
+     * Get a button's position in the filtered emojis from its row and column
+     * @param {HTMLElement} button - Emoji button
+     * @returns {number} Position in the filtered emojis
+     */
+    getCellIndex(button) {
+        const row = parseInt(button.closest('[role="row"]').getAttribute('aria-rowindex'), 10) - 1;
+        const column = parseInt(button.getAttribute('aria-colindex'), 10) - 1;
+        return row * this.columnCount + column;
+    }
+    
+    /**
+     * Move focus to a cell, scrolling its row into view first
+     * @param {number} index - Position in the filtered emojis
+     */
+    focusCell(index) {
+        if (index < 0 || index >= this.filteredEmojis.length) return;
+        
+        this.activeIndex = index;
+        this.scrollRowIntoView(Math.floor(index / this.columnCount));
+        this.renderVisibleRows();
+        this.updateTabStop();
+        
+        const button = this.getCellButton(index);
+        if (button) {
+            button.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Move focus into the grid, to the cell that holds its Tab stop
+     */
+    focusActiveCell() {
+        this.focusCell(Math.min(this.activeIndex, this.filteredEmojis.length - 1));
+    }
+    
+    /**
+     * Get the cell a navigation key moves to (WAI-ARIA grid pattern)
+     * @param {KeyboardEvent} event - Keydown event
+     * @param {number} index - Position of the focused cell
+     * @returns {number|null} Target position, or null if the key does not navigate
+     */
+    getNavigationTarget(event, index) {
+        if (event.altKey || event.metaKey || event.shiftKey) return null;
+        
+        const columns = this.columnCount;
+        const last = this.filteredEmojis.length - 1;
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        const lastRow = Math.floor(last / columns);
+        const pageRows = this.getPageRowCount();
+        
+        // Moving by rows keeps the column, clamped to the shorter last row
+        const toRow = targetRow => Math.min(Math.max(0, Math.min(targetRow, lastRow)) * columns + column, last);
+        
+        if (event.ctrlKey) {
+            if (event.key === 'Home') return 0;
+            if (event.key === 'End') return last;
+            return null;
+        }
+        
+        switch (event.key) {
+            case 'ArrowRight':
+                return Math.min(index + 1, last);
+            case 'ArrowLeft':
+                return Math.max(index - 1, 0);
+            case 'ArrowDown':
+                return toRow(row + 1);
+            case 'ArrowUp':
+                return toRow(row - 1);
+            case 'PageDown':
+                return toRow(row + pageRows);
+            case 'PageUp':
+                return toRow(row - pageRows);
+            case 'Home':
+                return row * columns;
+            case 'End':
+                return Math.min(row * columns + columns - 1, last);
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Get how many rows PageUp/PageDown move by
+     * @returns {number} Rows that fit in the viewport
+     */
+    getPageRowCount() {
+        if (!this.container.clientWidth) {
+            return 5;
+        }
+        
+        return Math.max(1, Math.floor((window.innerHeight - this.getViewportTop()) / this.rowHeight));
+    }
+    
+    /**
+     * Scroll the page just enough to show a row
+     * @param {number} row - Zero-based row index
+     */
+    scrollRowIntoView(row) {
+        if (!this.topSpacer || !this.container.clientWidth) return;
+        
+        const { gap } = this.getGridMetrics();
+        const rowTop = this.topSpacer.getBoundingClientRect().top + row * this.rowHeight;
+        const rowBottom = rowTop + this.rowHeight - gap;
+        const viewportTop = this.getViewportTop();
+        
+        if (rowTop < viewportTop) {
+            window.scrollBy(0, rowTop - viewportTop);
+        } else if (rowBottom > window.innerHeight) {
+            window.scrollBy(0, rowBottom - window.innerHeight);
+        }
+    }
+    
+    /**
+     * Find a mounted emoji button
+     * @param {string} unicode - Displayed emoji (data-emoji)
+     * @returns {HTMLElement|null} The button, or null if its row is not mounted
+     */
+    findButton(unicode) {
+        return Array.from(this.container.querySelectorAll('.emoji-button'))
+            .find(button => button.dataset.emoji === unicode) || null;
+    }
+    
+    /**
+     * Get the cell size and gap the stylesheet uses for the grid
+     * @returns {Object} { cellWidth, cellHeight, gap } in pixels
+     */
+    getGridMetrics() {
+        const style = getComputedStyle(this.container);
+        const read = (property, fallback) => parseFloat(style.getPropertyValue(property)) || fallback;
+        
+        return {
+            cellWidth: read('--cell-width', 60),
+            cellHeight: read('--cell-height', 60),
+            gap: read('--cell-gap', 8)
+        };
+    }
+    
+    /**
+     * Get how many emojis fit in a row at the grid's current width
+     * @returns {number} Column count
+     */
+    getColumnCount() {
+        const width = this.container.clientWidth;
+        if (!width) {
+            return this.columnCount;
+        }
+        
+        const { cellWidth, gap } = this.getGridMetrics();
+        return Math.max(1, Math.floor((width + gap) / (cellWidth + gap)));
+    }
+    
+    /**
+     * Get the number of rows the filtered emojis fill
+     * @returns {number} Row count
+     */
+    getRowCount() {
+        return Math.ceil(this.filteredEmojis.length / this.columnCount);
+    }
+    
+    /**
+     * Measure the height of a mounted row, including the gap below it
+     * @returns {number} Row height in pixels
+     */
+    measureRowHeight() {
+        const { cellHeight, gap } = this.getGridMetrics();
+        const row = this.topSpacer.nextElementSibling;
+        const height = row && row !== this.bottomSpacer ? row.getBoundingClientRect().height : 0;
+        
+        return (height || cellHeight) + gap;
+    }
+    
+    /**
+     * Get the rows to mount: those in the viewport plus some overscan
+     * @param {number} rowCount - Total number of rows
+     * @returns {Object} { first, last } zero-based row indexes (inclusive)
+     */
+    getVisibleRowRange(rowCount) {
+        // Without layout (a hidden grid) nothing can be measured, so mount every row
+        if (!this.container.clientWidth) {
+            return { first: 0, last: rowCount - 1 };
+        }
+        
+        const rowsTop = this.topSpacer.getBoundingClientRect().top;
+        const first = Math.max(0, Math.min(rowCount - 1,
+            Math.floor(-rowsTop / this.rowHeight) - this.overscanRows));
+        const last = Math.max(first, Math.min(rowCount - 1,
+            Math.ceil((window.innerHeight - rowsTop) / this.rowHeight) + this.overscanRows));
         
-        this.container.innerHTML = emojiButtons;
-        this.addEventListeners();
+        return { first, last };
+    }
+    
+    /**
+     * Remember which emojis are at the top of the viewport before a re-render
+     * @returns {Object|null} Anchor, or null if the grid starts below the viewport top
+     */
+    getScrollAnchor() {
+        if (!this.topSpacer || !this.topSpacer.isConnected || !this.container.clientWidth ||
+            this.container.getBoundingClientRect().top >= this.getViewportTop()) {
+            return null;
+        }
+        
+        const row = Array.from(this.container.querySelectorAll('.emoji-grid-row'))
+            .find(element => element.getBoundingClientRect().bottom > this.getViewportTop());
+        if (!row) {
+            return { query: this.renderedQuery, unicodes: [], top: 0 };
+        }
+        
+        const start = (parseInt(row.getAttribute('aria-rowindex'), 10) - 1) * this.columnCount;
+        return {
+            query: this.renderedQuery,
+            unicodes: this.renderedEmojis.slice(start, start + this.columnCount).map(emoji => emoji.unicode),
+            top: row.getBoundingClientRect().top
+        };
+    }
+    
+    /**
+     * Scroll so the anchored emojis stay where they were after a re-render
+     *
+     * New search results start from the top of the grid instead, as do results
+     * that would otherwise end above the viewport.
+     * @param {Object|null} anchor - Anchor from getScrollAnchor
+     */
+    restoreScrollAnchor(anchor) {
+        if (!anchor) return;
+        
+        const rowsTop = this.topSpacer.getBoundingClientRect().top;
+        const unicodes = this.filteredEmojis.map(emoji => emoji.unicode);
+        const anchored = anchor.query === this.searchQuery
+            ? anchor.unicodes.find(unicode => unicodes.includes(unicode))
+            : undefined;
+        const index = anchored ? unicodes.indexOf(anchored) : -1;
+        
+        if (index >= 0) {
+            const rowTop = rowsTop + Math.floor(index / this.columnCount) * this.rowHeight;
+            window.scrollBy(0, rowTop - anchor.top);
+        } else if (anchor.query !== this.searchQuery || rowsTop + this.getRowCount() * this.rowHeight < this.getViewportTop()) {
+            window.scrollBy(0, this.container.getBoundingClientRect().top - this.getViewportTop());
+        } else {
+            return;
+        }
+        
+        this.renderVisibleRows();
+    }
+    
+    /**
+     * Get where content stops being covered by the sticky page header
+     * @returns {number} Viewport offset in pixels
+     */
+    getViewportTop() {
+        const header = document.querySelector('.header');
+        return header ? Math.max(0, header.getBoundingClientRect().bottom) : 0;
     }
     
     /**
      * Create HTML for an emoji button
-     * @param {Object} emoji - Emoji object
+     * @param {Object} emoji - Emoji object, with matchInfo when it is a search result
+     * @param {number} index - Position in the filtered emojis, used for tooltip IDs and the column index
      * @returns {string} HTML string for emoji button
      */
-    createEmojiButton(emoji) {
-        const name = emoji.name || 'Unknown emoji';
-        const unicode = emoji.unicode || '❓';
+    createEmojiButton(emoji, index = 0) {
+        const name = this.escapeHtml(emoji.name || 'Unknown emoji');
+        const unicode = this.getDisplayUnicode(emoji) || '❓';
+        const hasSkinTones = EmojiData.supportsSkinTones(emoji);
+        const skinToneHint = hasSkinTones ? ' (right-click or long-press for skin tones)' : '';
+        const matchInfo = this.isSearching() ? emoji.matchInfo : null;
+        const tooltipId = `emoji-tooltip-${index}`;
+        const isFavorite = this.favoritesManager ? this.favoritesManager.isFavorite(unicode) : false;
         
+        // Search results describe themselves with a tooltip instead of a title
         return `
             <button 
-                class="emoji-button"
+                class="emoji-button${matchInfo ? ' has-match' : ''}"
                 data-emoji="${unicode}"
                 data-name="${name}"
-                title="${name}"
-                aria-label="Copy ${name} emoji"
+                ${matchInfo ? `aria-describedby="${tooltipId}"` : `title="${name}${skinToneHint}"`}
+                aria-label="Copy ${name} emoji${isFavorite ? ' (favorite)' : ''}"
+                ${hasSkinTones ? 'data-skin-tones="true" aria-haspopup="menu"' : ''}
                 role="gridcell"
+                tabindex="-1"
+                aria-colindex="${index % this.columnCount + 1}"
             >
-                ${unicode}
+                ${matchInfo ? `<span class="emoji-glyph">${unicode}</span>` : unicode}
+                ${matchInfo ? this.createMatchDetails(emoji, matchInfo, tooltipId, skinToneHint) : ''}
+                ${this.favoritesManager ? this.createFavoriteToggle(isFavorite) : ''}
             </button>
         `;
     }
     
     /**
-     * Add event listeners to emoji buttons
+     * Create HTML for the star that adds or removes a favorite
+     * @param {boolean} isFavorite - Whether the emoji is a favorite
+     * @returns {string} HTML string for the star
+     */
+    createFavoriteToggle(isFavorite) {
+        return `<span class="favorite-toggle${isFavorite ? ' is-favorite' : ''}" aria-hidden="true" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">${isFavorite ? '★' : '☆'}</span>`;
+    }
+    
+    /**
+     * Create HTML for a search result's highlighted name and detail tooltip
+     * @param {Object} emoji - Emoji search result
+     * @param {Object} matchInfo - Match information from EmojiData.search
+     * @param {string} tooltipId - ID for the tooltip element
+     * @param {string} skinToneHint - Extra hint for emojis with skin tones
+     * @returns {string} HTML string for the match details
      */
-    addEventListeners() {
-        const buttons = this.container.querySelectorAll('.emoji-button');
+    createMatchDetails(emoji, matchInfo, tooltipId, skinToneHint) {
+        const highlightedName = this.renderHighlightSegments(matchInfo.nameSegments);
+        const matchedKeywords = matchInfo.keywordSegments
+            .filter(segments => segments.some(segment => segment.highlighted))
+            .map(segments => this.renderHighlightSegments(segments));
         
-        buttons.forEach(button => {
-            // Click handler
-            button.addEventListener('click', (event) => {
-                const emoji = event.currentTarget.dataset.emoji;
-                const name = event.currentTarget.dataset.name;
-                this.handleEmojiClick(emoji, name, event.currentTarget);
-            });
+        return `
+            <span class="emoji-match-name" aria-hidden="true">${highlightedName}</span>
+            <span class="emoji-tooltip" id="${tooltipId}" role="tooltip">
+                <span class="emoji-tooltip-name">${highlightedName}</span>
+                ${matchedKeywords.length > 0 ? `<span class="emoji-tooltip-keywords">Keywords: ${matchedKeywords.join(', ')}</span>` : ''}
+                ${skinToneHint ? `<span class="emoji-tooltip-hint">${skinToneHint.trim().replace(/[()]/g, '')}</span>` : ''}
+            </span>
+        `;
+    }
+    
+    /**
+     * Render highlight segments as escaped text with <mark> around matches
+     * @param {Array} segments - Segments ({ text, highlighted }) from matchInfo
+     * @returns {string} HTML string
+     */
+    renderHighlightSegments(segments) {
+        return segments.map(segment => {
+            const text = this.escapeHtml(segment.text);
+            return segment.highlighted ? `<mark>${text}</mark>` : text;
+        }).join('');
+    }
+    
+    /**
+     * Sort emojis in the selected browsing order
+     * @param {Array} emojis - Emoji objects
+     * @returns {Array} Sorted emoji objects
+     */
+    sortEmojis(emojis) {
+        return EmojiData.sortEmojis(emojis, this.sortOrder, {
+            usage: this.sortOrder === 'usage' ? this.usageProvider() : undefined
+        });
+    }
+    
+    /**
+     * Set the order emojis are shown in when not searching
+     * @param {string} sortOrder - Sort order ID from EmojiData.getSortOrders
+     */
+    setSortOrder(sortOrder) {
+        if (!EmojiData.getSortOrders().some(order => order.id === sortOrder)) {
+            console.error('EmojiGrid: Unknown sort order', sortOrder);
+            return;
+        }
+        
+        this.sortOrder = sortOrder;
+        if (this.emojis.length > 0) {
+            this.applyFilters();
+        }
+    }
+    
+    /**
+     * Get the order emojis are shown in when not searching
+     * @returns {string} Sort order ID
+     */
+    getSortOrder() {
+        return this.sortOrder;
+    }
+    
+    /**
+     * Set where usage scores for the 'usage' sort order come from
+     * @param {Function} usageProvider - Returns a Map of emoji (without skin tone) to usage score
+     */
+    setUsageProvider(usageProvider) {
+        this.usageProvider = usageProvider;
+    }
+    
+    /**
+     * Show a favorite star on each emoji and enable the Favorites category
+     * @param {FavoritesManager} favoritesManager - Favorites to show and toggle
+     */
+    setFavoritesManager(favoritesManager) {
+        this.favoritesManager = favoritesManager;
+        
+        // Favorites shown as a category come and go with the list; elsewhere only stars change
+        favoritesManager.onChange(() => {
+            if (this.currentCategory === 'favorites') {
+                this.applyFilters();
+            } else {
+                this.renderVisibleRows(true);
+            }
+        });
+        
+        if (this.emojis.length > 0) {
+            this.renderVisibleRows(true);
+        }
+    }
+    
+    /**
+     * Add or remove the emoji in a cell from the favorites
+     * @param {HTMLElement} button - Emoji button
+     */
+    toggleFavorite(button) {
+        if (this.favoritesManager) {
+            this.favoritesManager.toggleFavorite(button.dataset.emoji, button.dataset.name);
+        }
+    }
+    
+    /**
+     * Set what happens on Shift+click or "i" on an emoji
+     * @param {Function} onShowDetails - Called with the emoji object and the displayed unicode
+     */
+    setDetailsHandler(onShowDetails) {
+        this.onShowDetails = onShowDetails;
+    }
+    
+    /**
+     * Show the details of the emoji in a cell
+     * @param {HTMLElement} button - Emoji button
+     */
+    showDetails(button) {
+        const emoji = this.filteredEmojis[this.getCellIndex(button)];
+        if (emoji) {
+            this.onShowDetails(emoji, button.dataset.emoji);
+        }
+    }
+    
+    /**
+     * Check whether a search query is active
+     * @returns {boolean} True if the grid is showing search results
+     */
+    isSearching() {
+        return Boolean(this.searchQuery && this.searchQuery.trim());
+    }
+    
+    /**
+     * Create HTML for the details of an emoji identified by reverse lookup
+     * @param {Object} result - Search result with matchInfo.lookupUnicode
+     * @returns {string} HTML string for the lookup card
+     */
+    createLookupCard(result) {
+        const unicode = result.matchInfo.lookupUnicode || result.unicode;
+        const codepoints = EmojiData.toCodepointSequence(unicode).split(' ');
+        const categoryName = EmojiData.getCategoryDisplayNames()[result.category] || result.category;
+        const skinTone = EmojiData.getSkinTones().find(tone => unicode.includes(tone.swatch));
+        
+        const details = [
+            ['Name', result.name],
+            ['Category', result.subgroup ? `${categoryName} › ${result.subgroup}` : categoryName],
+            ['Codepoints', codepoints.map(codepoint => `U+${codepoint}`).join(' ')],
+            ['HTML', codepoints.map(codepoint => `&#x${codepoint};`).join('')],
+            ['Keywords', result.keywords.join(', ')]
+        ];
+        if (skinTone) {
+            details.push(['Skin tone', skinTone.name]);
+        }
+        if (result.version) {
+            details.push(['Unicode version', `Emoji ${result.version}`]);
+        }
+        
+        return `
+            <div class="emoji-lookup" role="note" aria-label="Details for ${this.escapeHtml(result.name)}">
+                <div class="emoji-lookup-glyph" aria-hidden="true">${this.escapeHtml(unicode)}</div>
+                <dl class="emoji-lookup-details">
+                    ${details.map(([label, value]) => `
+                        <dt>${label}</dt>
+                        <dd>${this.escapeHtml(value)}</dd>
+                    `).join('')}
+                </dl>
+            </div>
+        `;
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Get the glyph to show for an emoji, with the default skin tone applied
+     * @param {Object} emoji - Emoji object
+     * @returns {string} Emoji unicode to display and copy
+     */
+    getDisplayUnicode(emoji) {
+        if (!this.skinToneManager || !EmojiData.supportsSkinTones(emoji)) {
+            return emoji.unicode;
+        }
+        
+        return this.skinToneManager.applyDefaultTone(emoji.unicode);
+    }
+    
+    /**
+     * Set up delegated event listeners for all emoji buttons
+     */
+    setupEventListeners() {
+        const getButton = (event) => {
+            const button = event.target.closest('.emoji-button');
+            return button && this.container.contains(button) ? button : null;
+        };
+        
+        this.container.addEventListener('click', (event) => {
+            const button = getButton(event);
+            if (!button) return;
             
-            // Keyboard support
-            button.addEventListener('keydown', (event) => {
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    const emoji = event.currentTarget.dataset.emoji;
-                    const name = event.currentTarget.dataset.name;
-                    this.handleEmojiClick(emoji, name, event.currentTarget);
-                }
+            // The click that ends a long-press must not copy
+            if (this.suppressNextClick) {
+                this.suppressNextClick = false;
+                return;
+            }
+            
+            if (event.shiftKey) {
+                this.showDetails(button);
+                return;
+            }
+            
+            if (event.target.closest('.favorite-toggle')) {
+                this.toggleFavorite(button);
+                return;
+            }
+            
+            this.handleEmojiClick(button.dataset.emoji, button.dataset.name, button);
+        });
+        
+        // Keyboard support: Enter/Space copy, navigation keys move between cells
+        this.container.addEventListener('keydown', (event) => {
+            const button = getButton(event);
+            if (!button) return;
+            
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.handleEmojiClick(button.dataset.emoji, button.dataset.name, button);
+                return;
+            }
+            
+            if (event.key === 'i' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                this.showDetails(button);
+                return;
+            }
+            
+            if (event.key === 'f' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                this.toggleFavorite(button);
+                return;
+            }
+            
+            const target = this.getNavigationTarget(event, this.getCellIndex(button));
+            if (target !== null) {
+                event.preventDefault();
+                this.focusCell(target);
+            }
+        });
+        
+        // Clicking or tabbing into a cell makes it the Tab stop
+        this.container.addEventListener('focusin', (event) => {
+            const button = getButton(event);
+            if (button) {
+                this.activeIndex = this.getCellIndex(button);
+                this.updateTabStop();
+            }
+        });
+        
+        // Right-click, or the context menu key / Shift+F10 on the keyboard
+        this.container.addEventListener('contextmenu', (event) => {
+            const button = getButton(event);
+            if (!button || button.dataset.skinTones !== 'true') return;
+            
+            event.preventDefault();
+            this.cancelLongPress();
+            this.openSkinTonePicker(button);
+        });
+        
+        // Long-press opens the skin tone picker too
+        this.container.addEventListener('pointerdown', (event) => {
+            const button = getButton(event);
+            if (!button || button.dataset.skinTones !== 'true' || event.button !== 0) return;
+            
+            this.cancelLongPress();
+            this.longPressTimeout = setTimeout(() => {
+                this.longPressTimeout = null;
+                this.suppressClickUntilRelease();
+                this.openSkinTonePicker(button);
+            }, this.longPressDelay);
+        });
+        
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.container.addEventListener(type, () => this.cancelLongPress());
+        });
+        
+        // pointerleave does not bubble; pointerout fires when leaving the button or entering a child
+        this.container.addEventListener('pointerout', (event) => {
+            const button = getButton(event);
+            if (button && !button.contains(event.relatedTarget)) {
+                this.cancelLongPress();
+            }
+        });
+    }
+    
+    /**
+     * Cancel a pending long-press
+     */
+    cancelLongPress() {
+        if (this.longPressTimeout) {
+            clearTimeout(this.longPressTimeout);
+            this.longPressTimeout = null;
+        }
+    }
+    
+    /**
+     * Swallow the click that ends a long-press, and only that one
+     *
+     * Releasing the pointer off the button fires no click, so the flag is
+     * cleared on release instead of waiting for a click that may never come.
+     */
+    suppressClickUntilRelease() {
+        this.suppressNextClick = true;
+        
+        const release = () => {
+            document.removeEventListener('pointerup', release, true);
+            document.removeEventListener('pointercancel', release, true);
+            // A click, if any, is dispatched right after pointerup
+            setTimeout(() => {
+                this.suppressNextClick = false;
+            }, 0);
+        };
+        document.addEventListener('pointerup', release, true);
+        document.addEventListener('pointercancel', release, true);
+    }
+    
+    /**
+     * Open the skin tone picker next to an emoji button
+     * @param {HTMLElement} buttonElement - Emoji button the picker belongs to
+     */
+    openSkinTonePicker(buttonElement) {
+        const emoji = EmojiData.findByUnicode(buttonElement.dataset.emoji);
+        if (!EmojiData.supportsSkinTones(emoji)) {
+            return;
+        }
+        
+        if (this.skinTonePicker && this.skinTonePicker.anchor === buttonElement) {
+            return; // Already open for this button
+        }
+        
+        this.closeSkinTonePicker(false);
+        
+        const currentTone = this.skinToneManager ? this.skinToneManager.getDefaultTone() : 'default';
+        const options = [
+            { tone: 'default', name: emoji.name, unicode: emoji.unicode },
+            ...EmojiData.getSkinToneVariants(emoji)
+        ];
+        
+        const picker = document.createElement('div');
+        picker.className = 'skin-tone-picker';
+        picker.setAttribute('role', 'menu');
+        picker.setAttribute('aria-label', `Skin tones for ${emoji.name}`);
+        
+        options.forEach(option => {
+            const optionButton = document.createElement('button');
+            optionButton.type = 'button';
+            optionButton.className = 'skin-tone-option';
+            optionButton.textContent = option.unicode;
+            optionButton.title = option.name;
+            optionButton.dataset.tone = option.tone;
+            optionButton.dataset.emoji = option.unicode;
+            optionButton.setAttribute('role', 'menuitemradio');
+            optionButton.setAttribute('aria-label', `Copy ${option.name}`);
+            optionButton.setAttribute('aria-checked', String(option.tone === currentTone));
+            optionButton.tabIndex = -1;
+            
+            optionButton.addEventListener('click', () => {
+                this.selectSkinTone(option.tone, emoji.name, rememberButton.getAttribute('aria-checked') === 'true');
             });
+            
+            picker.appendChild(optionButton);
+        });
+        
+        // A pick is a one-off unless the user asks to make it the default
+        const rememberButton = document.createElement('button');
+        rememberButton.type = 'button';
+        rememberButton.className = 'skin-tone-remember';
+        rememberButton.textContent = 'Set as default';
+        rememberButton.setAttribute('role', 'menuitemcheckbox');
+        rememberButton.setAttribute('aria-checked', 'false');
+        rememberButton.tabIndex = -1;
+        rememberButton.addEventListener('click', () => {
+            const checked = rememberButton.getAttribute('aria-checked') === 'true';
+            rememberButton.setAttribute('aria-checked', String(!checked));
         });
+        picker.appendChild(rememberButton);
+        
+        picker.addEventListener('keydown', (event) => this.handleSkinTonePickerKeydown(event));
+        
+        document.body.appendChild(picker);
+        
+        // Position above the button, kept inside the viewport
+        const rect = buttonElement.getBoundingClientRect();
+        const pickerRect = picker.getBoundingClientRect();
+        const left = Math.max(8, Math.min(
+            rect.left + rect.width / 2 - pickerRect.width / 2,
+            document.documentElement.clientWidth - pickerRect.width - 8
+        ));
+        const top = rect.top - pickerRect.height - 8 < 0
+            ? rect.bottom + 8
+            : rect.top - pickerRect.height - 8;
+        picker.style.left = `${left + window.scrollX}px`;
+        picker.style.top = `${top + window.scrollY}px`;
+        
+        this.skinTonePicker = {
+            element: picker,
+            anchor: buttonElement,
+            onOutsidePointer: (event) => {
+                if (!picker.contains(event.target) && event.target !== buttonElement) {
+                    this.closeSkinTonePicker(false);
+                }
+            }
+        };
+        document.addEventListener('pointerdown', this.skinTonePicker.onOutsidePointer);
+        buttonElement.setAttribute('aria-expanded', 'true');
+        
+        const checked = picker.querySelector('[aria-checked="true"]') || picker.firstElementChild;
+        checked.focus();
+    }
+    
+    /**
+     * Handle keyboard navigation inside the skin tone picker
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleSkinTonePickerKeydown(event) {
+        const options = Array.from(this.skinTonePicker.element.querySelectorAll('.skin-tone-option, .skin-tone-remember'));
+        const index = options.indexOf(document.activeElement);
+        let nextIndex = null;
+        
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                nextIndex = (index + 1) % options.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                nextIndex = (index - 1 + options.length) % options.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = options.length - 1;
+                break;
+            case 'Escape':
+                event.preventDefault();
+                event.stopPropagation();
+                this.closeSkinTonePicker(true);
+                return;
+            case 'Tab':
+                this.closeSkinTonePicker(true);
+                return;
+            default:
+                return;
+        }
+        
+        event.preventDefault();
+        options[nextIndex].focus();
+    }
+    
+    /**
+     * Close the skin tone picker
+     * @param {boolean} restoreFocus - Whether to return focus to the emoji button
+     */
+    closeSkinTonePicker(restoreFocus = true) {
+        if (!this.skinTonePicker) return;
+        
+        const { element, anchor, onOutsidePointer } = this.skinTonePicker;
+        this.skinTonePicker = null;
+        
+        document.removeEventListener('pointerdown', onOutsidePointer);
+        element.remove();
+        anchor.removeAttribute('aria-expanded');
+        
+        if (restoreFocus && anchor.isConnected) {
+            anchor.focus();
+        }
+    }
+    
+    /**
+     * Copy the emoji in a tone, making that tone the default if asked to
+     * @param {string} toneId - Selected skin tone ID
+     * @param {string} name - Emoji name
+     * @param {boolean} remember - Whether to make the tone the default
+     */
+    selectSkinTone(toneId, name, remember = false) {
+        const baseEmoji = EmojiData.findByUnicode(this.skinTonePicker.anchor.dataset.emoji);
+        this.closeSkinTonePicker(false);
+        
+        // Changing the default re-renders the grid, so look the button up afterwards
+        if (remember && this.skinToneManager) {
+            this.skinToneManager.setDefaultTone(toneId);
+        }
+        
+        const unicode = EmojiData.applySkinTone(baseEmoji.unicode, toneId);
+        const buttonElement = Array.from(this.container.querySelectorAll('.emoji-button'))
+            .find(button => EmojiData.findByUnicode(button.dataset.emoji) === baseEmoji);
+        
+        if (buttonElement) {
+            buttonElement.focus();
+            this.addClickFeedback(buttonElement);
+        }
+        
+        // The picked tone is copied as it is, not replaced by the default
+        this.onEmojiClick(unicode, name, { keepTone: true });
     }
     
     /**
@@ -162,27 +1144,56 @@ class EmojiGrid {
      * Apply current filters to emoji list
      */
     applyFilters() {
-        let filtered = [...this.emojis];
+        // Until the data loads there is nothing to filter; loadEmojis applies the filters then
+        if (!EmojiData.isLoaded()) {
+            return;
+        }
         
-        // Apply category filter
-        if (this.currentCategory && this.currentCategory !== 'all') {
-            filtered = filtered.filter(emoji => emoji.category === this.currentCategory);
+        // The selected category is one more filter on the parsed search query
+        const query = EmojiData.parseQuery(this.searchQuery);
+        if (this.currentCategory && this.currentCategory !== 'all' && this.currentCategory !== 'favorites') {
+            query.groups.push([{ field: 'category', value: this.currentCategory, negated: false, phrase: false }]);
         }
         
-        // Apply search filter
-        if (this.searchQuery && this.searchQuery.trim()) {
-            const searchResults = EmojiData.search(this.searchQuery);
-            const searchEmojiUnicodes = new Set(searchResults.map(result => result.unicode));
-            filtered = filtered.filter(emoji => searchEmojiUnicodes.has(emoji.unicode));
+        let searchResults = EmojiData.search(query);
+        if (this.currentCategory === 'favorites') {
+            searchResults = this.filterFavorites(searchResults);
         }
         
-        this.filteredEmojis = filtered;
+        // Only typo-tolerant matches were found
+        this.showingCloseMatches = this.isSearching() &&
+            searchResults.length > 0 &&
+            searchResults.every(result => result.matchInfo && result.matchInfo.fuzzyMatch);
+        
+        // Emojis identified from a pasted glyph or notation ("U+1F600")
+        this.lookupResults = searchResults.filter(result => result.matchInfo && result.matchInfo.lookupMatch);
+        
+        // Search results keep their relevance order (and matchInfo, to show what
+        // matched); browsing uses the selected sort order
+        this.filteredEmojis = this.isSearching() ? searchResults : this.sortEmojis(searchResults);
         this.renderEmojis();
         
         // Announce results to screen readers
         this.announceResults();
     }
     
+    /**
+     * Keep only favorites, in the user's order when browsing
+     * @param {Array} emojis - Emoji objects
+     * @returns {Array} Favorite emoji objects
+     */
+    filterFavorites(emojis) {
+        const favorites = this.favoritesManager ? this.favoritesManager.getFavorites() : [];
+        const positions = new Map(favorites.map((item, index) => [EmojiData.getIdentity(item.emoji), index]));
+        const getPosition = emoji => positions.get(EmojiData.getIdentity(emoji.unicode));
+        const matches = emojis.filter(emoji => getPosition(emoji) !== undefined);
+        
+        // Sorting is stable, so 'default' keeps this order and other sort orders apply on top
+        return this.isSearching()
+            ? matches
+            : matches.sort((a, b) => getPosition(a) - getPosition(b));
+    }
+    
     /**
      * Announce search/filter results to screen readers
      */
@@ -190,8 +1201,15 @@ class EmojiGrid {
         const count = this.filteredEmojis.length;
         let message = '';
         
-        if (this.searchQuery && this.searchQuery.trim()) {
+        if (this.lookupResults.length > 0) {
+            const names = this.lookupResults.map(result => result.name).join(', ');
+            message = `Identified ${names}`;
+        } else if (this.searchQuery && this.searchQuery.trim() && this.showingCloseMatches) {
+            message = `No exact matches for "${this.searchQuery}", showing ${count} close match${count !== 1 ? 'es' : ''}`;
+        } else if (this.searchQuery && this.searchQuery.trim()) {
             message = `Found ${count} emoji${count !== 1 ? 's' : ''} matching "${this.searchQuery}"`;
+        } else if (this.currentCategory === 'favorites') {
+            message = `Showing ${count} favorite${count !== 1 ? 's' : ''}`;
         } else if (this.currentCategory && this.currentCategory !== 'all') {
             const categoryName = this.currentCategory.replace('-', ' ');
             message = `Showing ${count} emoji${count !== 1 ? 's' : ''} in ${categoryName} category`;
@@ -224,8 +1242,11 @@ class EmojiGrid {
         let suggestion = '';
         
         if (this.searchQuery && this.searchQuery.trim()) {
-            message = `No emojis found for "${this.searchQuery}"`;
+            message = `No emojis found for "${this.escapeHtml(this.searchQuery)}"`;
             suggestion = 'Try a different search term or browse categories.';
+        } else if (this.currentCategory === 'favorites') {
+            message = 'No favorites yet';
+            suggestion = 'Press F or click the star on an emoji to add it to your favorites.';
         } else if (this.currentCategory && this.currentCategory !== 'all') {
             message = `No emojis found in this category`;
             suggestion = 'Try selecting a different category.';
@@ -292,7 +1313,8 @@ class EmojiGrid {
     clearFilters() {
         this.currentCategory = 'all';
         this.searchQuery = '';
-        this.filteredEmojis = [...this.emojis];
+        this.lookupResults = [];
+        this.filteredEmojis = this.sortEmojis(this.emojis);
         this.renderEmojis();
     }
     
@@ -0,0 +1,159 @@
+/**
+ * EmojiImageRenderer - Renders an emoji glyph to a PNG or SVG image
+ *
+ * PNGs are drawn on an offscreen canvas with the platform's color emoji font,
+ * so they look like the emoji on the user's screen. SVGs keep the glyph as
+ * text and are drawn by whatever font the viewer has.
+ */
+
+class EmojiImageRenderer {
+    static MIN_SIZE = 32;
+    static MAX_SIZE = 512;
+    static #FONT_FAMILY = '"Apple Color Emoji", "Segoe UI Emoji", "Noto Color Emoji", sans-serif';
+    static #GLYPH_SCALE = 0.85; // Leaves room for glyphs that overhang their em box
+
+    /**
+     * Check if canvas rendering is available
+     * @returns {boolean} True if PNGs can be rendered
+     */
+    static isSupported() {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return true;
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(canvas.getContext && canvas.getContext('2d') && canvas.toBlob);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Render an emoji to a PNG
+     * @param {string} unicode - Emoji string
+     * @param {Object} options - Render options
+     * @param {number} options.size - Width and height in pixels (32–512)
+     * @param {string|null} options.background - CSS color, or null for transparent
+     * @returns {Promise<Blob>} PNG image
+     */
+    static async toPng(unicode, { size = 128, background = null } = {}) {
+        this.#validate(unicode, size);
+
+        const canvas = this.#createCanvas(size);
+        const context = canvas.getContext('2d');
+        if (!context) {
+            throw new Error('Canvas rendering not supported');
+        }
+
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, size, size);
+        }
+
+        context.font = `${Math.round(size * this.#GLYPH_SCALE)}px ${this.#FONT_FAMILY}`;
+        context.textAlign = 'center';
+        context.textBaseline = 'alphabetic';
+
+        // Center the glyph's ink rather than its line box, which sits low for emoji fonts
+        const metrics = context.measureText(unicode);
+        const ascent = metrics.actualBoundingBoxAscent;
+        const descent = metrics.actualBoundingBoxDescent;
+        const baseline = Number.isFinite(ascent) && Number.isFinite(descent) && ascent + descent > 0
+            ? (size + ascent - descent) / 2
+            : size * 0.8;
+        context.fillText(unicode, size / 2, baseline);
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/png' });
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode PNG'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Render an emoji to an SVG
+     * @param {string} unicode - Emoji string
+     * @param {Object} options - Render options
+     * @param {number} options.size - Width and height in pixels (32–512)
+     * @param {string|null} options.background - CSS color, or null for transparent
+     * @returns {Blob} SVG image
+     */
+    static toSvg(unicode, { size = 128, background = null } = {}) {
+        this.#validate(unicode, size);
+
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const fontSize = Math.round(size * this.#GLYPH_SCALE);
+        const svg = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`,
+            background ? `<rect width="100%" height="100%" fill="${escape(background)}"/>` : '',
+            `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="central" font-size="${fontSize}" font-family="${escape(this.#FONT_FAMILY)}">${escape(unicode)}</text>`,
+            '</svg>'
+        ].join('');
+
+        return new Blob([svg], { type: 'image/svg+xml' });
+    }
+
+    /**
+     * Get a file name for an emoji image
+     * @param {string} name - Emoji name
+     * @param {string} extension - File extension
+     * @returns {string} File name, e.g. "grinning-face.png"
+     */
+    static getFileName(name, extension) {
+        const slug = String(name || 'emoji')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        return `${slug || 'emoji'}.${extension}`;
+    }
+
+    /**
+     * Check the emoji and size before rendering
+     * @param {string} unicode - Emoji string
+     * @param {number} size - Image size in pixels
+     */
+    static #validate(unicode, size) {
+        if (!unicode || typeof unicode !== 'string') {
+            throw new Error('No emoji provided');
+        }
+
+        if (!Number.isInteger(size) || size < this.MIN_SIZE || size > this.MAX_SIZE) {
+            throw new Error(`Image size must be between ${this.MIN_SIZE} and ${this.MAX_SIZE} pixels`);
+        }
+    }
+
+    /**
+     * Create a square canvas, offscreen where supported
+     * @param {number} size - Width and height in pixels
+     * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas
+     */
+    static #createCanvas(size) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(size, size);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+}
+
+// Export for module usage or testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmojiImageRenderer;
+}
@@ -0,0 +1,437 @@
+/**
+ * FavoritesManager - Pinned emojis that stay until the user unpins them
+ *
+ * Unlike recently used emojis, favorites are never evicted and keep the
+ * order the user drags them into.
+ */
+class FavoritesManager {
+    constructor(containerElement, onEmojiClick) {
+        this.container = containerElement;
+        this.onEmojiClick = onEmojiClick || (() => {});
+        this.favorites = [];
+        this.storageKey = 'emoji-copy-favorites';
+        this.listeners = [];
+        this.activeEmoji = null; // The button that is the list's single Tab stop
+        this.dragEmoji = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the favorites manager
+     */
+    init() {
+        this.loadFromStorage();
+        
+        // The list is optional; the grid and recent list can star emojis without it
+        if (this.container) {
+            this.setupEventListeners();
+            this.render();
+        }
+        
+        // Pick up favorites starred, unstarred or reordered in other tabs
+        AppStorage.onExternalChange(this.storageKey, (favorites) => {
+            this.favorites = favorites || [];
+            this.update();
+        });
+        
+        console.log('FavoritesManager initialized');
+    }
+    
+    /**
+     * Load favorites from storage
+     */
+    loadFromStorage() {
+        this.favorites = AppStorage.get(this.storageKey, []);
+    }
+    
+    /**
+     * Save favorites to storage
+     */
+    saveToStorage() {
+        AppStorage.set(this.storageKey, this.favorites);
+    }
+    
+    /**
+     * Register a listener for changes to the favorites
+     * @param {Function} listener - Called with the favorites after every change
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    /**
+     * Save, re-render and notify listeners after a change
+     */
+    commit() {
+        this.saveToStorage();
+        this.update();
+    }
+    
+    /**
+     * Re-render and notify listeners after the favorites changed
+     */
+    update() {
+        if (this.container) {
+            this.render();
+        }
+        
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getFavorites());
+            } catch (error) {
+                console.error('Error in favorites listener:', error);
+            }
+        });
+    }
+    
+    /**
+     * Get an emoji without its skin tone or variation selector, so ✌🏽 and ✌️ share a slot
+     * @param {string} emoji - Emoji unicode
+     * @returns {string} Emoji unicode to compare favorites by
+     */
+    getBaseEmoji(emoji) {
+        return typeof EmojiData !== 'undefined' ? EmojiData.getIdentity(emoji) : emoji;
+    }
+    
+    /**
+     * Get the favorites in the user's order
+     * @returns {Array} Favorites ({ emoji, name })
+     */
+    getFavorites() {
+        return this.favorites.map(item => ({ ...item }));
+    }
+    
+    /**
+     * Check if an emoji, in any skin tone, is a favorite
+     * @param {string} emoji - Emoji unicode
+     * @returns {boolean} True if favorited
+     */
+    isFavorite(emoji) {
+        const baseEmoji = this.getBaseEmoji(emoji);
+        return this.favorites.some(item => this.getBaseEmoji(item.emoji) === baseEmoji);
+    }
+    
+    /**
+     * Add an emoji to the end of the favorites
+     * @param {string} emoji - Emoji unicode
+     * @param {string} name - Emoji name
+     */
+    addFavorite(emoji, name) {
+        if (!emoji || !name) {
+            console.error('Invalid emoji data provided');
+            return;
+        }
+        
+        if (this.isFavorite(emoji)) {
+            return;
+        }
+        
+        this.favorites.push({ emoji, name });
+        this.commit();
+        this.announce(`Added ${name} to favorites`);
+    }
+    
+    /**
+     * Remove an emoji, in any skin tone, from the favorites
+     * @param {string} emoji - Emoji unicode
+     */
+    removeFavorite(emoji) {
+        const baseEmoji = this.getBaseEmoji(emoji);
+        const removed = this.favorites.find(item => this.getBaseEmoji(item.emoji) === baseEmoji);
+        if (!removed) {
+            return;
+        }
+        
+        this.favorites = this.favorites.filter(item => item !== removed);
+        this.commit();
+        this.announce(`Removed ${removed.name} from favorites`);
+    }
+    
+    /**
+     * Add or remove an emoji from the favorites
+     * @param {string} emoji - Emoji unicode
+     * @param {string} name - Emoji name
+     * @returns {boolean} True if the emoji is now a favorite
+     */
+    toggleFavorite(emoji, name) {
+        if (this.isFavorite(emoji)) {
+            this.removeFavorite(emoji);
+            return false;
+        }
+        
+        this.addFavorite(emoji, name);
+        return this.isFavorite(emoji);
+    }
+    
+    /**
+     * Move a favorite to a new position
+     * @param {string} emoji - Emoji unicode
+     * @param {number} toIndex - New index in the favorites
+     */
+    moveFavorite(emoji, toIndex) {
+        const fromIndex = this.favorites.findIndex(item => item.emoji === emoji);
+        const targetIndex = Math.max(0, Math.min(this.favorites.length - 1, toIndex));
+        if (fromIndex === -1 || fromIndex === targetIndex) {
+            return;
+        }
+        
+        const [moved] = this.favorites.splice(fromIndex, 1);
+        this.favorites.splice(targetIndex, 0, moved);
+        this.commit();
+        this.announce(`Moved ${moved.name} to position ${targetIndex + 1} of ${this.favorites.length}`);
+    }
+    
+    /**
+     * Render the favorites list
+     */
+    render() {
+        if (this.favorites.length === 0) {
+            this.renderEmptyState();
+            return;
+        }
+        
+        DomReconciler.reconcile(this.container, this.favorites, {
+            key: item => item.emoji,
+            render: item => this.createEmojiButton(item)
+        });
+        this.updateTabStop();
+    }
+    
+    /**
+     * Give one button the list's single Tab stop (roving tabindex)
+     */
+    updateTabStop() {
+        const buttons = Array.from(this.container.querySelectorAll('.favorite-emoji'));
+        const active = buttons.find(button => button.dataset.emoji === this.activeEmoji) || buttons[0];
+        
+        buttons.forEach(button => {
+            button.tabIndex = button === active ? 0 : -1;
+        });
+        this.activeEmoji = active ? active.dataset.emoji : null;
+    }
+    
+    /**
+     * Create HTML for a favorite emoji button
+     * @param {Object} favorite - Favorite ({ emoji, name })
+     * @returns {string} HTML string for emoji button
+     */
+    createEmojiButton(favorite) {
+        const emoji = this.escapeHtml(favorite.emoji);
+        const name = this.escapeHtml(favorite.name);
+        
+        return `
+            <button
+                class="emoji-button recently-used-emoji favorite-emoji"
+                data-emoji="${emoji}"
+                data-name="${name}"
+                title="${name} (drag to reorder)"
+                aria-label="Copy ${name} emoji (favorite)"
+                role="listitem"
+                tabindex="-1"
+                draggable="true"
+            >
+                ${emoji}
+                <span class="favorite-toggle is-favorite" aria-hidden="true" title="Remove from favorites">★</span>
+            </button>
+        `;
+    }
+    
+    /**
+     * Set up delegated event listeners for favorite buttons
+     */
+    setupEventListeners() {
+        const getButton = (event) => {
+            const button = event.target.closest('.favorite-emoji');
+            return button && this.container.contains(button) ? button : null;
+        };
+        
+        this.container.addEventListener('click', (event) => {
+            const button = getButton(event);
+            if (!button) return;
+            
+            if (event.target.closest('.favorite-toggle')) {
+                this.removeFavorite(button.dataset.emoji);
+                return;
+            }
+            
+            this.onEmojiClick(button.dataset.emoji, button.dataset.name);
+        });
+        
+        // Keyboard support: Enter/Space copy, arrows move, Alt+arrows reorder, F or Delete unpin
+        this.container.addEventListener('keydown', (event) => {
+            const button = getButton(event);
+            if (!button || event.ctrlKey || event.metaKey) return;
+            
+            const buttons = Array.from(this.container.querySelectorAll('.favorite-emoji'));
+            const index = buttons.indexOf(button);
+            const targets = {
+                ArrowRight: index + 1,
+                ArrowDown: index + 1,
+                ArrowLeft: index - 1,
+                ArrowUp: index - 1,
+                Home: 0,
+                End: buttons.length - 1
+            };
+            
+            if (event.altKey) {
+                if (targets[event.key] !== undefined) {
+                    event.preventDefault();
+                    this.moveFavorite(button.dataset.emoji, targets[event.key]);
+                }
+                return;
+            }
+            
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.onEmojiClick(button.dataset.emoji, button.dataset.name);
+            } else if (event.key === 'f' || event.key === 'Delete') {
+                event.preventDefault();
+                // Focus the neighbour so it isn't lost with the removed button
+                const neighbour = buttons[index + 1] || buttons[index - 1];
+                this.activeEmoji = neighbour ? neighbour.dataset.emoji : null;
+                this.removeFavorite(button.dataset.emoji);
+                const next = DomReconciler.findByKey(this.container, this.activeEmoji);
+                if (next) {
+                    next.focus();
+                }
+            } else if (buttons[targets[event.key]]) {
+                event.preventDefault();
+                buttons[targets[event.key]].focus();
+            }
+        });
+        
+        this.container.addEventListener('focusin', (event) => {
+            const button = getButton(event);
+            if (button) {
+                this.activeEmoji = button.dataset.emoji;
+                this.updateTabStop();
+            }
+        });
+        
+        // Drag to reorder
+        this.container.addEventListener('dragstart', (event) => {
+            const button = getButton(event);
+            if (!button) return;
+            
+            this.dragEmoji = button.dataset.emoji;
+            button.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', button.dataset.emoji);
+        });
+        
+        this.container.addEventListener('dragover', (event) => {
+            const button = getButton(event);
+            if (!this.dragEmoji || !button) return;
+            
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'move';
+            this.showDropIndicator(button, this.isAfter(event, button));
+        });
+        
+        this.container.addEventListener('drop', (event) => {
+            const button = getButton(event);
+            if (!this.dragEmoji || !button) return;
+            
+            event.preventDefault();
+            const buttons = Array.from(this.container.querySelectorAll('.favorite-emoji'));
+            const fromIndex = buttons.findIndex(other => other.dataset.emoji === this.dragEmoji);
+            let toIndex = buttons.indexOf(button) + (this.isAfter(event, button) ? 1 : 0);
+            if (fromIndex < toIndex) {
+                toIndex--; // The dragged button no longer takes up a slot before the drop point
+            }
+            
+            const emoji = this.dragEmoji;
+            this.endDrag();
+            this.moveFavorite(emoji, toIndex);
+        });
+        
+        this.container.addEventListener('dragend', () => {
+            this.endDrag();
+        });
+    }
+    
+    /**
+     * Check whether a drag is over the second half of a button
+     * @param {DragEvent} event - Drag event
+     * @param {HTMLElement} button - Button under the pointer
+     * @returns {boolean} True to drop after the button
+     */
+    isAfter(event, button) {
+        const rect = button.getBoundingClientRect();
+        return event.clientX > rect.left + rect.width / 2;
+    }
+    
+    /**
+     * Mark where a dragged favorite will land
+     * @param {HTMLElement} button - Button under the pointer
+     * @param {boolean} after - Drop after the button rather than before it
+     */
+    showDropIndicator(button, after) {
+        this.container.querySelectorAll('.drop-before, .drop-after').forEach(element => {
+            element.classList.remove('drop-before', 'drop-after');
+        });
+        button.classList.add(after ? 'drop-after' : 'drop-before');
+    }
+    
+    /**
+     * Clear drag state and indicators
+     */
+    endDrag() {
+        this.dragEmoji = null;
+        this.container.querySelectorAll('.dragging, .drop-before, .drop-after').forEach(element => {
+            element.classList.remove('dragging', 'drop-before', 'drop-after');
+        });
+    }
+    
+    /**
+     * Announce a change to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+        
+        document.body.appendChild(announcement);
+        
+        // Remove after announcement
+        setTimeout(() => {
+            if (document.body.contains(announcement)) {
+                document.body.removeChild(announcement);
+            }
+        }, 1000);
+    }
+    
+    /**
+     * Render empty state when there are no favorites
+     */
+    renderEmptyState() {
+        this.container.innerHTML = `
+            <div class="recently-used-empty" role="status">
+                <span class="empty-text">Star an emoji (or press F on it) to pin it here</span>
+            </div>
+        `;
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FavoritesManager;
+}
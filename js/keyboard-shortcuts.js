@@ -0,0 +1,440 @@
+/**
+ * KeyboardShortcuts - App-wide keyboard shortcuts with user-remappable bindings
+ */
+class KeyboardShortcuts {
+    constructor() {
+        this.actions = new Map(); // Action ID → { label, defaultKeys, handler, section }
+        this.customBindings = {}; // Action ID → keys chosen by the user
+        this.storageKey = 'emoji-copy-shortcuts';
+        this.dialog = null;
+        this.recordingAction = null;
+        this.returnFocusTo = null;
+        
+        // Keys that keep their usual meaning and can't be bound on their own
+        this.reservedKeys = ['Tab', 'Enter', 'Space', 'Escape', 'Backspace', 'Delete',
+            'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize keyboard shortcuts
+     */
+    init() {
+        this.loadFromStorage();
+        console.log('KeyboardShortcuts initialized');
+    }
+    
+    /**
+     * Load the user's custom bindings from storage
+     */
+    loadFromStorage() {
+        this.customBindings = AppStorage.get(this.storageKey, {});
+    }
+    
+    /**
+     * Save the user's custom bindings to storage
+     */
+    saveToStorage() {
+        AppStorage.set(this.storageKey, this.customBindings);
+    }
+    
+    /**
+     * Register a shortcut
+     * @param {string} actionId - Unique action ID, also the key bindings are saved under
+     * @param {Object} options - Shortcut options
+     * @param {string|Function} options.label - Description shown in the help dialog
+     * @param {string} options.keys - Default keys, e.g. "Ctrl+Shift+C", "Alt+1" or "/"
+     * @param {Function} [options.handler] - Runs when the keys are pressed; without one
+     *   the shortcut is only listed (keys a component handles itself) and can't be remapped
+     * @param {string} [options.section] - Help dialog section
+     */
+    register(actionId, { label, keys, handler = null, section = 'General' }) {
+        this.actions.set(actionId, { label, defaultKeys: keys, handler, section });
+    }
+    
+    /**
+     * Get the keys currently bound to an action
+     * @param {string} actionId - Action ID
+     * @returns {string|null} Keys, or null for an unknown action
+     */
+    getBinding(actionId) {
+        const action = this.actions.get(actionId);
+        if (!action) {
+            return null;
+        }
+        
+        return action.handler && this.customBindings[actionId] ? this.customBindings[actionId] : action.defaultKeys;
+    }
+    
+    /**
+     * Bind an action to new keys
+     * @param {string} actionId - Action ID
+     * @param {string} keys - New keys
+     * @returns {Object} { success, message }
+     */
+    setBinding(actionId, keys) {
+        const action = this.actions.get(actionId);
+        if (!action || !action.handler) {
+            return { success: false, message: 'This shortcut can\'t be changed' };
+        }
+        
+        if (this.reservedKeys.includes(keys)) {
+            return { success: false, message: `${keys} is needed for navigation, add Ctrl or Alt` };
+        }
+        
+        const conflict = this.findAction(keys);
+        if (conflict && conflict !== actionId) {
+            return { success: false, message: `${keys} is already used for "${this.getLabel(conflict)}"` };
+        }
+        
+        if (keys === action.defaultKeys) {
+            delete this.customBindings[actionId];
+        } else {
+            this.customBindings[actionId] = keys;
+        }
+        this.saveToStorage();
+        
+        return { success: true, message: `"${this.getLabel(actionId)}" is now ${keys}` };
+    }
+    
+    /**
+     * Restore every shortcut to its default keys
+     */
+    resetBindings() {
+        this.customBindings = {};
+        this.saveToStorage();
+    }
+    
+    /**
+     * Find the action bound to some keys
+     * @param {string} keys - Keys, as returned by getKeys
+     * @returns {string|null} Action ID
+     */
+    findAction(keys) {
+        for (const actionId of this.actions.keys()) {
+            if (this.getBinding(actionId) === keys) {
+                return actionId;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Get an action's label
+     * @param {string} actionId - Action ID
+     * @returns {string} Label
+     */
+    getLabel(actionId) {
+        const { label } = this.actions.get(actionId);
+        return typeof label === 'function' ? label() : label;
+    }
+    
+    /**
+     * Describe the keys of a keyboard event, e.g. "Ctrl+Shift+C", "Alt+1" or "?"
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {string|null} Keys, or null while only modifiers are held
+     */
+    getKeys(event) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+            return null;
+        }
+        
+        // Letters and digits by physical key, so Alt+1 works where Alt changes the character
+        const code = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || '');
+        let key = code ? code[1] || code[2] : event.key;
+        if (key === ' ') {
+            key = 'Space';
+        } else if (key.length === 1) {
+            key = key.toUpperCase();
+        }
+        
+        // Shift is part of symbols like "?" already
+        const shiftIsPartOfKey = key.length === 1 && !/[A-Z0-9]/.test(key);
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Ctrl');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey && !shiftIsPartOfKey) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+        
+        return [...modifiers, key].join('+');
+    }
+    
+    /**
+     * Run the shortcut for a keydown event, if there is one
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} True if a shortcut handled the event
+     */
+    handleKeydown(event) {
+        if (event.defaultPrevented || this.isOpen()) {
+            return false;
+        }
+        
+        const keys = this.getKeys(event);
+        const actionId = keys ? this.findAction(keys) : null;
+        const action = actionId ? this.actions.get(actionId) : null;
+        if (!action || !action.handler) {
+            return false;
+        }
+        
+        // Keys without Ctrl, Alt or Meta are left alone while typing
+        if (!event.ctrlKey && !event.altKey && !event.metaKey && this.isTyping(event.target)) {
+            return false;
+        }
+        
+        event.preventDefault();
+        action.handler(event);
+        return true;
+    }
+    
+    /**
+     * Check whether an element takes text input
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True for text fields, selects and editable content
+     */
+    isTyping(target) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+    
+    /**
+     * Check whether the help dialog is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.open);
+    }
+    
+    /**
+     * Open the help dialog listing all shortcuts
+     */
+    openHelp() {
+        if (this.isOpen()) {
+            return;
+        }
+        
+        if (!this.dialog) {
+            this.createDialog();
+        }
+        
+        this.returnFocusTo = document.activeElement;
+        this.recordingAction = null;
+        this.setStatus('');
+        this.renderBindings();
+        this.dialog.showModal();
+        this.dialog.querySelector('.shortcuts-close').focus();
+    }
+    
+    /**
+     * Close the help dialog
+     */
+    closeHelp() {
+        if (this.isOpen()) {
+            this.dialog.close();
+        }
+    }
+    
+    /**
+     * Create the help dialog
+     */
+    createDialog() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'shortcuts-dialog';
+        this.dialog.setAttribute('aria-labelledby', 'shortcuts-title');
+        this.dialog.innerHTML = `
+            <div class="shortcuts-header">
+                <h2 id="shortcuts-title" class="shortcuts-title">Keyboard shortcuts</h2>
+                <button type="button" class="shortcuts-close" aria-label="Close keyboard shortcuts">✕</button>
+            </div>
+            <div class="shortcuts-sections"></div>
+            <p class="shortcuts-status" role="status" aria-live="polite"></p>
+            <div class="shortcuts-footer">
+                <button type="button" class="shortcuts-reset">Reset to defaults</button>
+            </div>
+        `;
+        document.body.appendChild(this.dialog);
+        
+        this.dialog.querySelector('.shortcuts-close').addEventListener('click', () => this.closeHelp());
+        
+        this.dialog.querySelector('.shortcuts-reset').addEventListener('click', () => {
+            this.resetBindings();
+            this.renderBindings();
+            this.setStatus('All shortcuts were reset to their defaults');
+        });
+        
+        this.dialog.addEventListener('click', (event) => {
+            const changeButton = event.target.closest('.shortcut-change');
+            if (changeButton) {
+                this.startRecording(changeButton.dataset.action);
+            } else if (event.target === this.dialog) {
+                // Clicks on the backdrop land on the dialog itself
+                this.closeHelp();
+            }
+        });
+        
+        this.dialog.addEventListener('keydown', (event) => this.handleRecordingKeydown(event));
+        
+        // Escape cancels a recording before it closes the dialog
+        this.dialog.addEventListener('cancel', (event) => {
+            if (this.recordingAction) {
+                event.preventDefault();
+            }
+        });
+        
+        this.dialog.addEventListener('close', () => {
+            this.recordingAction = null;
+            if (this.returnFocusTo && this.returnFocusTo.isConnected) {
+                this.returnFocusTo.focus();
+            }
+            this.returnFocusTo = null;
+        });
+    }
+    
+    /**
+     * Render the shortcut list, grouped by section
+     */
+    renderBindings() {
+        const sections = new Map();
+        this.actions.forEach((action, actionId) => {
+            if (!sections.has(action.section)) {
+                sections.set(action.section, []);
+            }
+            sections.get(action.section).push(actionId);
+        });
+        
+        this.dialog.querySelector('.shortcuts-sections').innerHTML = Array.from(sections.entries()).map(([section, actionIds], sectionIndex) => `
+            <section class="shortcuts-section" aria-labelledby="shortcuts-section-${sectionIndex}">
+                <h3 id="shortcuts-section-${sectionIndex}" class="shortcuts-section-title">${this.escapeHtml(section)}</h3>
+                <table class="shortcuts-table">
+                    <tbody>
+                        ${actionIds.map(actionId => this.createBindingRow(actionId)).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `).join('');
+    }
+    
+    /**
+     * Create HTML for one shortcut in the help dialog
+     * @param {string} actionId - Action ID
+     * @returns {string} HTML string for the table row
+     */
+    createBindingRow(actionId) {
+        const action = this.actions.get(actionId);
+        const label = this.escapeHtml(this.getLabel(actionId));
+        const recording = this.recordingAction === actionId;
+        const keys = this.getBinding(actionId).split(/\+(?!$)/)
+            .map(key => `<kbd>${this.escapeHtml(key)}</kbd>`)
+            .join(' + ');
+        
+        return `
+            <tr class="shortcut-row${recording ? ' recording' : ''}">
+                <th scope="row" class="shortcut-label">${label}</th>
+                <td class="shortcut-keys">${recording ? 'Press new keys…' : keys}</td>
+                <td class="shortcut-actions">
+                    ${action.handler ? `
+                        <button type="button" class="shortcut-change" data-action="${actionId}" aria-label="Change shortcut for ${label}">
+                            ${recording ? 'Cancel' : 'Change'}
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+    
+    /**
+     * Wait for the next key press to become an action's new binding
+     * @param {string} actionId - Action ID
+     */
+    startRecording(actionId) {
+        // Clicking "Cancel" on the row being recorded stops recording
+        this.recordingAction = this.recordingAction === actionId ? null : actionId;
+        this.renderBindings();
+        this.setStatus(this.recordingAction
+            ? `Press the new keys for "${this.getLabel(actionId)}", or Escape to cancel`
+            : '');
+        this.focusChangeButton(actionId);
+    }
+    
+    /**
+     * Record the keys pressed while changing a binding
+     * @param {KeyboardEvent} event - Keydown event inside the dialog
+     */
+    handleRecordingKeydown(event) {
+        if (!this.recordingAction) {
+            return;
+        }
+        
+        // Tab still moves focus, so the dialog can't trap keyboard users
+        if (event.key === 'Tab' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+            return;
+        }
+        
+        const keys = this.getKeys(event);
+        if (!keys) {
+            return;
+        }
+        
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const actionId = this.recordingAction;
+        if (keys === 'Escape') {
+            this.recordingAction = null;
+            this.renderBindings();
+            this.setStatus('Shortcut unchanged');
+            this.focusChangeButton(actionId);
+            return;
+        }
+        
+        const result = this.setBinding(actionId, keys);
+        if (result.success) {
+            this.recordingAction = null;
+            this.renderBindings();
+            this.focusChangeButton(actionId);
+        }
+        this.setStatus(result.message);
+    }
+    
+    /**
+     * Focus an action's "Change" button after the list re-renders
+     * @param {string} actionId - Action ID
+     */
+    focusChangeButton(actionId) {
+        const button = Array.from(this.dialog.querySelectorAll('.shortcut-change'))
+            .find(element => element.dataset.action === actionId);
+        if (button) {
+            button.focus();
+        }
+    }
+    
+    /**
+     * Show a message in the dialog's live region
+     * @param {string} message - Message for sighted and screen reader users
+     */
+    setStatus(message) {
+        this.dialog.querySelector('.shortcuts-status').textContent = message;
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyboardShortcuts;
+}
@@ -22,6 +22,13 @@ let categoryNavigation = null;
 let emojiGrid = null;
 let themeManager = null;
 let recentlyUsedManager = null;
+let favoritesManager = null;
+let skinToneManager = null;
+let searchAutocomplete = null;
+let keyboardShortcuts = null;
+let emojiDetailPanel = null;
+let composeTray = null;
+let settingsDialog = null;
 
 // DOM element references
 const DOMElements = {
@@ -29,9 +36,20 @@ const DOMElements = {
     categoryButtons: null,
     emojiGrid: null,
     recentlyUsedList: null,
+    recentViewToggle: null,
+    recentClearButton: null,
+    favoritesList: null,
+    composeTray: null,
+    sortSelect: null,
+    sortHint: null,
+    copyFormatSelect: null,
+    richCopyToggle: null,
+    settingsToggle: null,
     notification: null
 };
 
+const SORT_ORDER_STORAGE_KEY = 'emoji-copy-sort-order';
+
 /**
  * Initialize the application
  */
@@ -60,6 +78,15 @@ function cacheDOMElements() {
     DOMElements.categoryButtons = document.getElementById('category-buttons');
     DOMElements.emojiGrid = document.getElementById('emoji-grid');
     DOMElements.recentlyUsedList = document.getElementById('recently-used-list');
+    DOMElements.recentViewToggle = document.getElementById('recent-view-toggle');
+    DOMElements.recentClearButton = document.getElementById('recent-clear-button');
+    DOMElements.favoritesList = document.getElementById('favorites-list');
+    DOMElements.composeTray = document.getElementById('compose-tray');
+    DOMElements.sortSelect = document.getElementById('sort-select');
+    DOMElements.sortHint = document.getElementById('sort-hint');
+    DOMElements.copyFormatSelect = document.getElementById('copy-format-select');
+    DOMElements.richCopyToggle = document.getElementById('rich-copy-toggle');
+    DOMElements.settingsToggle = document.getElementById('settings-toggle');
     DOMElements.notification = document.getElementById('notification');
     
     console.log('DOM Elements found:', {
@@ -67,6 +94,15 @@ function cacheDOMElements() {
         categoryButtons: !!DOMElements.categoryButtons,
         emojiGrid: !!DOMElements.emojiGrid,
         recentlyUsedList: !!DOMElements.recentlyUsedList,
+        recentViewToggle: !!DOMElements.recentViewToggle,
+        recentClearButton: !!DOMElements.recentClearButton,
+        favoritesList: !!DOMElements.favoritesList,
+        composeTray: !!DOMElements.composeTray,
+        sortSelect: !!DOMElements.sortSelect,
+        sortHint: !!DOMElements.sortHint,
+        copyFormatSelect: !!DOMElements.copyFormatSelect,
+        richCopyToggle: !!DOMElements.richCopyToggle,
+        settingsToggle: !!DOMElements.settingsToggle,
         notification: !!DOMElements.notification
     });
     
@@ -97,6 +133,47 @@ function setupEventListeners() {
         });
     }
     
+    // Sort order for browsing
+    if (DOMElements.sortSelect) {
+        DOMElements.sortSelect.addEventListener('change', (event) => {
+            handleSortChange(event.target.value);
+        });
+    }
+    
+    // Default format for copied emojis
+    if (DOMElements.copyFormatSelect) {
+        DOMElements.copyFormatSelect.addEventListener('change', (event) => {
+            handleCopyFormatChange(event.target.value);
+        });
+    }
+    
+    // Opt-in HTML flavor for pasting into rich editors
+    if (DOMElements.richCopyToggle) {
+        DOMElements.richCopyToggle.addEventListener('change', (event) => {
+            if (copyFeedbackManager) {
+                copyFeedbackManager.setRichHtmlEnabled(event.target.checked);
+            }
+        });
+    }
+    
+    // Clearing recently used can be undone from the notification
+    if (DOMElements.recentClearButton) {
+        DOMElements.recentClearButton.addEventListener('click', () => {
+            if (recentlyUsedManager && !recentlyUsedManager.clearWithUndo()) {
+                showNotification('No recently used emojis to clear', 'info');
+            }
+        });
+    }
+    
+    // Backup and restore of user data
+    if (DOMElements.settingsToggle) {
+        DOMElements.settingsToggle.addEventListener('click', () => {
+            if (settingsDialog) {
+                settingsDialog.open();
+            }
+        });
+    }
+    
     // Keyboard navigation support
     document.addEventListener('keydown', handleKeyboardNavigation);
     
@@ -111,12 +188,24 @@ function initializeComponents() {
     console.log('Initializing components...');
     
     // Check if required classes are available
+    if (typeof AppStorage === 'undefined') {
+        console.error('AppStorage not found!');
+        showNotification('AppStorage not loaded', 'error');
+        return;
+    }
+    
     if (typeof ClipboardManager === 'undefined') {
         console.error('ClipboardManager not found!');
         showNotification('ClipboardManager not loaded', 'error');
         return;
     }
     
+    if (typeof CopyFormats === 'undefined') {
+        console.error('CopyFormats not found!');
+        showNotification('CopyFormats not loaded', 'error');
+        return;
+    }
+    
     if (typeof CopyFeedbackManager === 'undefined') {
         console.error('CopyFeedbackManager not found!');
         showNotification('CopyFeedbackManager not loaded', 'error');
@@ -147,28 +236,121 @@ function initializeComponents() {
         return;
     }
     
+    if (typeof FavoritesManager === 'undefined') {
+        console.error('FavoritesManager not found!');
+        showNotification('FavoritesManager not loaded', 'error');
+        return;
+    }
+    
+    if (typeof SkinToneManager === 'undefined') {
+        console.error('SkinToneManager not found!');
+        showNotification('SkinToneManager not loaded', 'error');
+        return;
+    }
+    
+    if (typeof SearchAutocomplete === 'undefined') {
+        console.error('SearchAutocomplete not found!');
+        showNotification('SearchAutocomplete not loaded', 'error');
+        return;
+    }
+    
+    if (typeof ComposeTray === 'undefined') {
+        console.error('ComposeTray not found!');
+        showNotification('ComposeTray not loaded', 'error');
+        return;
+    }
+    
+    if (typeof EmojiImageRenderer === 'undefined') {
+        console.error('EmojiImageRenderer not found!');
+        showNotification('EmojiImageRenderer not loaded', 'error');
+        return;
+    }
+    
+    if (typeof EmojiDetailPanel === 'undefined') {
+        console.error('EmojiDetailPanel not found!');
+        showNotification('EmojiDetailPanel not loaded', 'error');
+        return;
+    }
+    
+    if (typeof KeyboardShortcuts === 'undefined') {
+        console.error('KeyboardShortcuts not found!');
+        showNotification('KeyboardShortcuts not loaded', 'error');
+        return;
+    }
+    
+    if (typeof SettingsBackup === 'undefined') {
+        console.error('SettingsBackup not found!');
+        showNotification('SettingsBackup not loaded', 'error');
+        return;
+    }
+    
+    if (typeof SettingsDialog === 'undefined') {
+        console.error('SettingsDialog not found!');
+        showNotification('SettingsDialog not loaded', 'error');
+        return;
+    }
+    
     try {
         // Initialize theme manager first (affects visual appearance)
         themeManager = new ThemeManager();
         console.log('ThemeManager initialized successfully');
         
+        // Initialize skin tone preference before anything renders emojis
+        skinToneManager = new SkinToneManager();
+        console.log('SkinToneManager initialized successfully');
+        
         // Initialize recently used manager
         recentlyUsedManager = new RecentlyUsedManager(
             DOMElements.recentlyUsedList,
-            handleEmojiClick
+            handleEmojiSelect,
+            DOMElements.recentViewToggle
         );
         console.log('RecentlyUsedManager initialized successfully');
+        
+        // Initialize favorites (starred in the grid and recent list, pinned above them)
+        favoritesManager = new FavoritesManager(
+            DOMElements.favoritesList,
+            handleEmojiSelect
+        );
+        recentlyUsedManager.setFavoritesManager(favoritesManager);
+        console.log('FavoritesManager initialized successfully');
+        
         // Initialize copy feedback manager
         copyFeedbackManager = new CopyFeedbackManager();
+        initializeCopyFormatControl();
+        recentlyUsedManager.setNotificationSystem(copyFeedbackManager.getNotificationSystem());
         console.log('CopyFeedbackManager initialized successfully');
         
+        // Initialize the compose tray (picked emojis are composed instead of copied in compose mode)
+        composeTray = new ComposeTray(
+            DOMElements.composeTray,
+            (text, message) => copyFeedbackManager.copyTextWithFeedback(text, message)
+        );
+        console.log('ComposeTray initialized successfully');
+        
         // Initialize emoji grid
         emojiGrid = new EmojiGrid(
             DOMElements.emojiGrid,
-            handleEmojiClick
+            handleEmojiSelect,
+            skinToneManager
         );
+        emojiGrid.setUsageProvider(() => recentlyUsedManager.getUsageScores());
+        emojiGrid.setFavoritesManager(favoritesManager);
+        initializeSortControl();
         console.log('EmojiGrid initialized successfully');
         
+        // Initialize the detail panel (Shift+click or "i" on an emoji)
+        emojiDetailPanel = new EmojiDetailPanel(handleEmojiClick, handleEmojiImageCopy);
+        emojiGrid.setDetailsHandler((emoji, unicode) => emojiDetailPanel.open(emoji, unicode));
+        console.log('EmojiDetailPanel initialized successfully');
+        
+        // Initialize search suggestions
+        searchAutocomplete = new SearchAutocomplete(
+            DOMElements.searchInput,
+            handleSearch
+        );
+        console.log('SearchAutocomplete initialized successfully');
+        
         // Initialize category navigation
         categoryNavigation = new CategoryNavigation(
             DOMElements.categoryButtons,
@@ -176,6 +358,18 @@ function initializeComponents() {
         );
         console.log('CategoryNavigation initialized successfully');
         
+        // Initialize keyboard shortcuts last, their handlers use the components above
+        keyboardShortcuts = new KeyboardShortcuts();
+        registerShortcuts();
+        console.log('KeyboardShortcuts initialized successfully');
+        
+        // Initialize backup and restore, imports reload the components above
+        settingsDialog = new SettingsDialog(
+            copyFeedbackManager.getNotificationSystem(),
+            handleSettingsImported
+        );
+        console.log('SettingsDialog initialized successfully');
+        
     } catch (error) {
         console.error('Failed to initialize components:', error);
         showNotification('Failed to initialize application components', 'error');
@@ -199,6 +393,111 @@ function handleSearch(query) {
     if (emojiGrid) {
         emojiGrid.filterBySearch(query);
     }
+    
+    updateSortControl();
+}
+
+/**
+ * Populate the sort control and restore the saved sort order
+ */
+function initializeSortControl() {
+    let sortOrder = AppStorage.get(SORT_ORDER_STORAGE_KEY, 'default');
+    
+    const sortOrders = EmojiData.getSortOrders();
+    if (!sortOrders.some(order => order.id === sortOrder)) {
+        sortOrder = 'default';
+    }
+    
+    if (DOMElements.sortSelect) {
+        DOMElements.sortSelect.innerHTML = sortOrders.map(order => 
+            `<option value="${order.id}">${order.name}</option>`
+        ).join('');
+        DOMElements.sortSelect.value = sortOrder;
+    }
+    
+    emojiGrid.setSortOrder(sortOrder);
+    updateSortControl();
+}
+
+/**
+ * Handle sort order change from the sort control
+ * @param {string} sortOrder - Selected sort order ID
+ */
+function handleSortChange(sortOrder) {
+    console.log('Sort order:', sortOrder);
+    
+    if (emojiGrid) {
+        emojiGrid.setSortOrder(sortOrder);
+    }
+    
+    if (sortOrder === 'default') {
+        AppStorage.remove(SORT_ORDER_STORAGE_KEY);
+    } else {
+        AppStorage.set(SORT_ORDER_STORAGE_KEY, sortOrder);
+    }
+}
+
+/**
+ * Populate the copy format controls with the registered formats and saved settings
+ */
+function initializeCopyFormatControl() {
+    if (DOMElements.richCopyToggle) {
+        DOMElements.richCopyToggle.checked = copyFeedbackManager.isRichHtmlEnabled();
+    }
+    
+    if (!DOMElements.copyFormatSelect) {
+        return;
+    }
+    
+    DOMElements.copyFormatSelect.innerHTML = CopyFormats.getFormats().map(format => 
+        `<option value="${format.id}">${format.label}</option>`
+    ).join('');
+    DOMElements.copyFormatSelect.value = CopyFormats.getDefaultFormat();
+}
+
+/**
+ * Handle default copy format change from the copy format control
+ * @param {string} format - Selected copy format ID
+ */
+function handleCopyFormatChange(format) {
+    console.log('Copy format:', format);
+    
+    if (!CopyFormats.setDefaultFormat(format)) {
+        DOMElements.copyFormatSelect.value = CopyFormats.getDefaultFormat();
+    }
+}
+
+/**
+ * Reload the imported settings into the components that use them
+ */
+function handleSettingsImported() {
+    recentlyUsedManager.loadFromStorage();
+    recentlyUsedManager.render();
+    
+    favoritesManager.loadFromStorage();
+    favoritesManager.update();
+    
+    themeManager.loadTheme();
+    keyboardShortcuts.loadFromStorage();
+    
+    if (DOMElements.copyFormatSelect) {
+        DOMElements.copyFormatSelect.value = CopyFormats.getDefaultFormat();
+    }
+}
+
+/**
+ * Disable the sort control while search results are ordered by relevance
+ */
+function updateSortControl() {
+    const searching = Boolean(AppState.searchQuery && AppState.searchQuery.trim());
+    
+    if (DOMElements.sortSelect) {
+        DOMElements.sortSelect.disabled = searching;
+    }
+    
+    if (DOMElements.sortHint) {
+        DOMElements.sortHint.hidden = !searching;
+    }
 }
 
 /**
@@ -216,35 +515,191 @@ function handleCategoryChange(categoryId, previousCategoryId) {
     }
 }
 
+/**
+ * Handle an emoji picked in the grid or recently used list
+ *
+ * Copies it, or adds it to the compose tray while compose mode is on.
+ * @param {string} emoji - Emoji unicode
+ * @param {string} name - Emoji name
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.keepTone - Keep the emoji's tone, e.g. one picked from the tone picker
+ */
+function handleEmojiSelect(emoji, name, options = {}) {
+    if (composeTray && composeTray.isActive()) {
+        composeTray.insert(skinToneManager && !options.keepTone ? skinToneManager.applyDefaultTone(emoji) : emoji);
+        return;
+    }
+    
+    handleEmojiClick(emoji, name, undefined, options);
+}
+
 /**
  * Handle emoji click from grid
  * @param {string} emoji - Emoji unicode
  * @param {string} name - Emoji name
+ * @param {string} format - Optional copy format ID, defaults to the user's chosen format
+ * @param {Object} options - Optional configuration
+ * @param {boolean} options.keepTone - Keep the emoji's tone instead of applying the default
  */
-async function handleEmojiClick(emoji, name) {
+async function handleEmojiClick(emoji, name, format, options = {}) {
     console.log(`Emoji clicked: ${emoji} (${name})`);
     
+    // Copy in the user's default skin tone, whether from the grid or recently used
+    if (skinToneManager && !options.keepTone) {
+        emoji = skinToneManager.applyDefaultTone(emoji);
+    }
+    
     // Copy emoji to clipboard
-    const success = await copyEmojiWithFeedback(emoji, name);
+    const success = await copyEmojiWithFeedback(emoji, name, format);
     
     if (success && recentlyUsedManager) {
         // Add to recently used
         recentlyUsedManager.addEmoji(emoji, name);
     }
+    
+    if (success && searchAutocomplete) {
+        // Suggestions learn which emojis each search leads to
+        searchAutocomplete.recordCopy(AppState.searchQuery, emoji);
+    }
 }
 
 /**
- * Handle keyboard navigation (placeholder)
+ * Handle copying an emoji as an image from the detail panel
+ * @param {string} emoji - Emoji unicode
+ * @param {string} name - Emoji name
+ * @param {Object} options - Image options ({ type, size, background })
+ */
+async function handleEmojiImageCopy(emoji, name, options) {
+    if (!copyFeedbackManager) {
+        showNotification('Copy system not ready', 'error');
+        return;
+    }
+    
+    const success = await copyFeedbackManager.copyImageWithFeedback(emoji, name, options);
+    
+    if (success && recentlyUsedManager) {
+        recentlyUsedManager.addEmoji(emoji, name);
+    }
+}
+
+/**
+ * Register the app-wide keyboard shortcuts and list the grid's own keys
+ */
+function registerShortcuts() {
+    keyboardShortcuts.register('focus-search', {
+        label: 'Focus the search box',
+        keys: '/',
+        handler: () => {
+            DOMElements.searchInput.focus();
+            DOMElements.searchInput.select();
+        }
+    });
+    
+    // Alt+1 is "All", Alt+2 "Favorites", Alt+3… the categories in the order they are shown
+    for (let number = 1; number <= 9; number++) {
+        const getCategory = () => categoryNavigation.getCategories()[number - 1];
+        keyboardShortcuts.register(`category-${number}`, {
+            label: () => `Show ${getCategory() ? getCategory().name : `category ${number}`}`,
+            keys: `Alt+${number}`,
+            handler: () => {
+                if (getCategory()) {
+                    categoryNavigation.setCurrentCategory(getCategory().id);
+                }
+            }
+        });
+    }
+    
+    keyboardShortcuts.register('copy-last', {
+        label: 'Copy the most recently used emoji again',
+        keys: 'Ctrl+Shift+C',
+        handler: () => {
+            const [lastUsed] = recentlyUsedManager.getRecentlyUsed();
+            if (lastUsed) {
+                // Copy exactly what was copied last, not the default tone
+                handleEmojiClick(lastUsed.emoji, lastUsed.name, undefined, { keepTone: true });
+            } else {
+                showNotification('No recently used emoji to copy yet', 'info');
+            }
+        }
+    });
+    
+    keyboardShortcuts.register('toggle-theme', {
+        label: 'Toggle dark mode',
+        keys: 'T',
+        handler: () => themeManager.toggleTheme()
+    });
+    
+    keyboardShortcuts.register('show-help', {
+        label: 'Show keyboard shortcuts',
+        keys: '?',
+        handler: () => keyboardShortcuts.openHelp()
+    });
+    
+    // Handled by EmojiGrid itself; listed so the help dialog is complete
+    [
+        ['Arrow keys', 'Move between emojis'],
+        ['Home', 'First emoji in the row'],
+        ['End', 'Last emoji in the row'],
+        ['Ctrl+Home', 'First emoji'],
+        ['Ctrl+End', 'Last emoji'],
+        ['PageUp', 'Up one screen'],
+        ['PageDown', 'Down one screen'],
+        ['Enter', 'Copy the focused emoji'],
+        ['I', 'Show details of the focused emoji'],
+        ['F', 'Add or remove the focused emoji from favorites'],
+        ['Shift+Click', 'Show details of an emoji'],
+        ['Escape', 'Back to the search box']
+    ].forEach(([keys, label]) => {
+        keyboardShortcuts.register(`grid-${keys.toLowerCase().replace(/\W+/g, '-')}`, {
+            label,
+            keys,
+            section: 'Emoji grid'
+        });
+    });
+}
+
+/**
+ * Handle keyboard navigation between the search box and the emoji lists
+ *
+ * Enter in the search box moves to the first result; Escape in the grid,
+ * favorites, recent list or categories returns to the search box. Arrow keys inside each
+ * list are handled by the component itself.
+ * @param {KeyboardEvent} event - Keydown event
  */
 function handleKeyboardNavigation(event) {
-    // Placeholder for keyboard navigation
-    // This will be implemented in future tasks
+    // The autocomplete and skin tone picker handle their own keys first
+    if (event.defaultPrevented) {
+        return;
+    }
+    
+    if (keyboardShortcuts && keyboardShortcuts.handleKeydown(event)) {
+        return;
+    }
+    
+    const searchInput = DOMElements.searchInput;
+    const activeElement = document.activeElement;
     
-    // Basic escape key handling for accessibility
-    if (event.key === 'Escape') {
-        if (DOMElements.searchInput && document.activeElement === DOMElements.searchInput) {
-            DOMElements.searchInput.blur();
+    if (searchInput && activeElement === searchInput) {
+        if (event.key === 'Escape') {
+            searchInput.blur();
+        } else if (event.key === 'Enter' && emojiGrid) {
+            // Don't wait for the debounced search to catch up
+            if (searchInput.value !== AppState.searchQuery) {
+                handleSearch(searchInput.value);
+            }
+            
+            if (emojiGrid.getFilteredCount() > 0) {
+                event.preventDefault();
+                emojiGrid.focusCell(0);
+            }
         }
+        return;
+    }
+    
+    const listContainers = [DOMElements.emojiGrid, DOMElements.favoritesList, DOMElements.recentlyUsedList, DOMElements.categoryButtons];
+    if (event.key === 'Escape' && searchInput && listContainers.some(container => container && container.contains(activeElement))) {
+        event.preventDefault();
+        searchInput.focus();
     }
 }
 
@@ -293,11 +748,12 @@ function showNotification(message, type = 'success') {
  * Copy emoji with feedback - utility function for other components
  * @param {string} emoji - The emoji to copy
  * @param {string} emojiName - Optional name of the emoji
+ * @param {string} format - Optional copy format ID
  * @returns {Promise<boolean>} Success status
  */
-async function copyEmojiWithFeedback(emoji, emojiName = '') {
+async function copyEmojiWithFeedback(emoji, emojiName = '', format) {
     if (copyFeedbackManager) {
-        return await copyFeedbackManager.copyEmojiWithFeedback(emoji, emojiName);
+        return await copyFeedbackManager.copyEmojiWithFeedback(emoji, emojiName, format);
     } else {
         console.error('CopyFeedbackManager not initialized');
         showNotification('Copy system not ready', 'error');
@@ -327,12 +783,21 @@ window.EmojiCopyApp = {
     copyEmojiWithFeedback,
     handleError,
     handleCategoryChange,
+    handleEmojiSelect,
     handleEmojiClick,
+    handleEmojiImageCopy,
     AppState,
     DOMElements,
     getCopyFeedbackManager: () => copyFeedbackManager,
     getCategoryNavigation: () => categoryNavigation,
     getEmojiGrid: () => emojiGrid,
     getThemeManager: () => themeManager,
-    getRecentlyUsedManager: () => recentlyUsedManager
+    getRecentlyUsedManager: () => recentlyUsedManager,
+    getFavoritesManager: () => favoritesManager,
+    getSkinToneManager: () => skinToneManager,
+    getSearchAutocomplete: () => searchAutocomplete,
+    getKeyboardShortcuts: () => keyboardShortcuts,
+    getEmojiDetailPanel: () => emojiDetailPanel,
+    getComposeTray: () => composeTray,
+    getSettingsDialog: () => settingsDialog
 };
\ No newline at end of file
@@ -9,6 +9,10 @@ class NotificationSystem {
     constructor() {
         this.notificationElement = null;
         this.currentTimeout = null;
+        this.currentDuration = 0;
+        this.visible = false;
+        this.actions = []; // Action buttons of the current notification ({ label, handler })
+        this.returnFocusTo = null;
         this.init();
     }
 
@@ -19,7 +23,51 @@ class NotificationSystem {
         this.notificationElement = document.getElementById('notification');
         if (!this.notificationElement) {
             console.warn('Notification element not found');
+            return;
         }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up action buttons and keep actionable notifications open while in use
+     */
+    setupEventListeners() {
+        this.notificationElement.addEventListener('click', (event) => {
+            const button = event.target.closest('.notification-action');
+            if (button) {
+                this.runAction(Number(button.dataset.index));
+            }
+        });
+
+        // Escape dismisses the notification and returns focus to where it came from
+        this.notificationElement.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                this.hide();
+            }
+        });
+
+        // Don't hide an action while the user is reaching for it
+        this.notificationElement.addEventListener('mouseenter', () => this.pauseTimer());
+        this.notificationElement.addEventListener('mouseleave', () => {
+            if (!this.notificationElement.contains(document.activeElement)) {
+                this.startTimer();
+            }
+        });
+
+        this.notificationElement.addEventListener('focusin', (event) => {
+            if (!this.returnFocusTo && event.relatedTarget && !this.notificationElement.contains(event.relatedTarget)) {
+                this.returnFocusTo = event.relatedTarget;
+            }
+            this.pauseTimer();
+        });
+        this.notificationElement.addEventListener('focusout', (event) => {
+            if (!this.notificationElement.contains(event.relatedTarget)) {
+                this.startTimer();
+            }
+        });
     }
 
     /**
@@ -27,31 +75,121 @@ class NotificationSystem {
      * @param {string} message - The message to display
      * @param {string} type - The type of notification ('success', 'error', 'warning', 'info')
      * @param {number} duration - How long to show the notification in milliseconds
+     * @param {Object} options - Optional configuration
+     * @param {Array} options.actions - Buttons to show ({ label, handler }), e.g. "Undo"
+     * @param {HTMLElement} options.returnFocusTo - Where focus goes when the notification closes from its buttons
+     * @param {boolean} options.focusAction - Move focus to the first action, e.g. right after a keyboard removal
      */
-    show(message, type = 'success', duration = 3000) {
+    show(message, type = 'success', duration = 3000, options = {}) {
         if (!this.notificationElement) {
             console.warn('Cannot show notification: element not found');
             return;
         }
 
-        // Clear any existing timeout
-        if (this.currentTimeout) {
-            clearTimeout(this.currentTimeout);
+        // Replace the current notification, returning focus from its buttons
+        if (this.visible) {
+            this.hide();
         }
 
+        this.actions = options.actions || [];
+        this.returnFocusTo = options.returnFocusTo || null;
+
         // Set the message and type
         this.notificationElement.textContent = message;
         this.notificationElement.className = `notification ${type}`;
 
+        if (this.actions.length > 0) {
+            this.notificationElement.classList.add('has-actions');
+            this.notificationElement.appendChild(this.createActions());
+        }
+
         // Show the notification
+        this.visible = true;
         requestAnimationFrame(() => {
             this.notificationElement.classList.add('show');
         });
 
         // Auto-hide after duration
+        this.currentDuration = duration;
+        this.startTimer();
+
+        // Focus pauses the countdown until it leaves the notification
+        if (options.focusAction && this.actions.length > 0) {
+            this.notificationElement.querySelector('.notification-action').focus();
+        }
+    }
+
+    /**
+     * Create the action buttons of the current notification
+     * @returns {HTMLElement} Container with one button per action
+     */
+    createActions() {
+        const container = document.createElement('span');
+        container.className = 'notification-actions';
+
+        this.actions.forEach((action, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.dataset.index = index;
+            button.textContent = action.label;
+            container.appendChild(button);
+        });
+
+        return container;
+    }
+
+    /**
+     * Run one of the current notification's actions and close it
+     * @param {number} index - Action index, the first by default
+     * @returns {boolean} True if an action ran
+     */
+    runAction(index = 0) {
+        const action = this.isShowing() ? this.actions[index] : null;
+        if (!action) {
+            return false;
+        }
+
+        this.hide();
+
+        try {
+            action.handler();
+        } catch (error) {
+            console.error('Error in notification action:', error);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a notification is on screen
+     * @returns {boolean} True if showing
+     */
+    isShowing() {
+        return this.visible;
+    }
+
+    /**
+     * Start the auto-hide countdown for the current notification
+     */
+    startTimer() {
+        this.pauseTimer();
+        if (!this.visible) {
+            return;
+        }
+
         this.currentTimeout = setTimeout(() => {
             this.hide();
-        }, duration);
+        }, this.currentDuration);
+    }
+
+    /**
+     * Stop the auto-hide countdown, e.g. while an action has focus
+     */
+    pauseTimer() {
+        if (this.currentTimeout) {
+            clearTimeout(this.currentTimeout);
+            this.currentTimeout = null;
+        }
     }
 
     /**
@@ -61,11 +199,25 @@ class NotificationSystem {
         if (!this.notificationElement) return;
 
         this.notificationElement.classList.remove('show');
+        this.visible = false;
         
         if (this.currentTimeout) {
             clearTimeout(this.currentTimeout);
             this.currentTimeout = null;
         }
+
+        // Hidden buttons must not keep focus or stay reachable with Tab
+        const hadFocus = this.notificationElement.contains(document.activeElement);
+        const actions = this.notificationElement.querySelector('.notification-actions');
+        if (actions) {
+            actions.remove();
+        }
+        if (hadFocus && this.returnFocusTo && this.returnFocusTo.isConnected) {
+            this.returnFocusTo.focus();
+        }
+
+        this.actions = [];
+        this.returnFocusTo = null;
     }
 
     /**
@@ -132,6 +284,8 @@ class NotificationSystem {
 class CopyFeedbackManager {
     constructor() {
         this.notificationSystem = new NotificationSystem();
+        this.richHtmlStorageKey = 'emoji-copy-rich-html';
+        this.richHtml = false; // Opt-in: also copy an accessible HTML flavor
         this.init();
     }
 
@@ -139,10 +293,64 @@ class CopyFeedbackManager {
      * Initialize the copy feedback manager
      */
     init() {
+        this.loadFromStorage();
+
         // Check clipboard support on initialization
         this.checkClipboardSupport();
     }
 
+    /**
+     * Load the rich HTML setting from storage
+     */
+    loadFromStorage() {
+        this.richHtml = AppStorage.get(this.richHtmlStorageKey, false);
+    }
+
+    /**
+     * Check whether emojis are copied with an HTML flavor for rich editors
+     * @returns {boolean} True if enabled
+     */
+    isRichHtmlEnabled() {
+        return this.richHtml;
+    }
+
+    /**
+     * Turn the HTML flavor for rich editors on or off
+     * @param {boolean} enabled - Whether to copy HTML alongside plain text
+     */
+    setRichHtmlEnabled(enabled) {
+        this.richHtml = Boolean(enabled);
+
+        if (this.richHtml) {
+            AppStorage.set(this.richHtmlStorageKey, true);
+        } else {
+            AppStorage.remove(this.richHtmlStorageKey);
+        }
+    }
+
+    /**
+     * Get the markup rich editors paste for an emoji, with its name as alt text
+     * @param {string} emoji - The emoji
+     * @param {string} emojiName - Name of the emoji
+     * @returns {string|null} Markup, or null without a name
+     */
+    getAccessibleHtml(emoji, emojiName) {
+        if (!emojiName) {
+            return null;
+        }
+
+        // Name the tone too, as CLDR does: "thumbs up: medium skin tone"
+        const tone = EmojiData.getSkinTones().find(skinTone => emoji.includes(skinTone.swatch));
+        const label = tone && !emojiName.includes(tone.name) ? `${emojiName}: ${tone.name}` : emojiName;
+        const escape = text => text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        return `<span role="img" aria-label="${escape(label)}">${escape(emoji)}</span>`;
+    }
+
     /**
      * Check and warn about clipboard support
      */
@@ -161,22 +369,35 @@ class CopyFeedbackManager {
      * Copy emoji with comprehensive feedback and error handling
      * @param {string} emoji - The emoji to copy
      * @param {string} emojiName - Optional name of the emoji for better feedback
+     * @param {string} format - Copy format ID, defaults to the user's chosen format
      * @returns {Promise<boolean>} Success status
      */
-    async copyEmojiWithFeedback(emoji, emojiName = '') {
+    async copyEmojiWithFeedback(emoji, emojiName = '', format = null) {
         if (!emoji) {
             this.notificationSystem.showError('No emoji provided');
             return false;
         }
 
+        // Pages without copy-formats.js can only copy the emoji itself
+        const hasFormats = typeof CopyFormats !== 'undefined';
+        if (!format) {
+            format = hasFormats ? CopyFormats.getDefaultFormat() : 'emoji';
+        }
+
         try {
-            // Attempt to copy the emoji
-            const success = await ClipboardManager.copyEmoji(emoji);
+            // Emojis without the chosen notation (e.g. no shortcode) are copied as is
+            const text = format === 'emoji' || !hasFormats ? null : CopyFormats.convert(emoji, format);
+
+            // Attempt to copy the emoji, with alt text for rich editors if opted in
+            const html = this.richHtml ? this.getAccessibleHtml(emoji, emojiName) : null;
+            const success = text
+                ? await ClipboardManager.copyToClipboard(text)
+                : await ClipboardManager.copyEmoji(emoji, { html });
             
             if (success) {
                 // Show success feedback
                 const displayName = emojiName ? ` (${emojiName})` : '';
-                this.notificationSystem.showCopySuccess(`${emoji}${displayName}`);
+                this.notificationSystem.showCopySuccess(`${text || emoji}${displayName}`);
                 
                 // Log for debugging
                 console.log(`Successfully copied emoji: ${emoji}${displayName}`);
@@ -192,6 +413,47 @@ class CopyFeedbackManager {
         }
     }
 
+    /**
+     * Copy emoji as an image, downloading it where the clipboard can't take images
+     * @param {string} emoji - The emoji to render
+     * @param {string} emojiName - Optional name of the emoji for feedback and the file name
+     * @param {Object} options - Image options
+     * @param {string} options.type - 'png' or 'svg'
+     * @param {number} options.size - Width and height in pixels (32–512)
+     * @param {string|null} options.background - CSS color, or null for transparent
+     * @returns {Promise<boolean>} Success status
+     */
+    async copyImageWithFeedback(emoji, emojiName = '', { type = 'png', size = 128, background = null } = {}) {
+        if (!emoji) {
+            this.notificationSystem.showError('No emoji provided');
+            return false;
+        }
+
+        if (type === 'png' && !EmojiImageRenderer.isSupported()) {
+            this.notificationSystem.showError('Copying as an image is not supported in this browser');
+            return false;
+        }
+
+        try {
+            const image = type === 'svg'
+                ? EmojiImageRenderer.toSvg(emoji, { size, background })
+                : EmojiImageRenderer.toPng(emoji, { size, background });
+            const fileName = EmojiImageRenderer.getFileName(emojiName, type);
+            const result = await ClipboardManager.copyImage(image, type === 'svg' ? 'image/svg+xml' : 'image/png', fileName);
+
+            const displayName = emojiName ? ` (${emojiName})` : '';
+            if (result === 'clipboard') {
+                this.notificationSystem.show(`${emoji}${displayName} copied as a ${size}px ${type.toUpperCase()}`, 'success', 2000);
+            } else {
+                this.notificationSystem.showInfo(`${emoji}${displayName} saved as ${fileName}`);
+            }
+            return true;
+        } catch (error) {
+            this.handleCopyError(error, emoji);
+            return false;
+        }
+    }
+
     /**
      * Handle copy errors with appropriate user feedback
      * @param {Error} error - The error that occurred
@@ -258,6 +520,8 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Make available globally
-window.NotificationSystem = NotificationSystem;
-window.CopyFeedbackManager = CopyFeedbackManager;
+if (typeof window !== 'undefined') {
+    window.NotificationSystem = NotificationSystem;
+    window.CopyFeedbackManager = CopyFeedbackManager;
+}
 console.log('NotificationSystem and CopyFeedbackManager loaded successfully');
\ No newline at end of file
@@ -1,13 +1,25 @@
 /**
  * RecentlyUsedManager - Handles recently used emojis storage and display
+ *
+ * Every use also counts towards a frecency score that halves each week, so
+ * the "Frequent" view ranks an emoji used daily above a one-off copy.
  */
 class RecentlyUsedManager {
-    constructor(containerElement, onEmojiClick) {
+    constructor(containerElement, onEmojiClick, viewToggleElement = null) {
         this.container = containerElement;
         this.onEmojiClick = onEmojiClick || (() => {});
-        this.recentlyUsed = [];
-        this.maxItems = 20; // Maximum number of recently used emojis to store
+        this.viewToggle = viewToggleElement;
+        this.recentlyUsed = []; // Most recent first
+        this.maxItems = 20; // Maximum number of emojis to show
+        this.maxHistory = 100; // Maximum number of emojis to keep usage for
+        this.halfLife = 7 * 24 * 60 * 60 * 1000; // ms for a use to count half as much
+        this.view = 'recent';
         this.storageKey = 'emoji-copy-recently-used';
+        this.viewStorageKey = 'emoji-copy-recent-view';
+        this.activeEmoji = null; // The button that is the list's single Tab stop
+        this.favoritesManager = null;
+        this.notificationSystem = null;
+        this.undoDuration = 6000; // ms the "Undo" button stays available
         
         this.init();
     }
@@ -22,39 +34,57 @@ class RecentlyUsedManager {
         }
         
         this.loadFromStorage();
+        this.setupEventListeners();
+        this.setupViewToggle();
+        this.setupSync();
         this.render();
         
         console.log('RecentlyUsedManager initialized');
     }
     
     /**
-     * Load recently used emojis from localStorage
+     * Load recently used emojis and the chosen view from storage
      */
     loadFromStorage() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                this.recentlyUsed = JSON.parse(stored);
-                // Validate the data structure
-                this.recentlyUsed = this.recentlyUsed.filter(item => 
-                    item && typeof item === 'object' && item.emoji && item.name
-                );
-            }
-        } catch (error) {
-            console.error('Failed to load recently used emojis:', error);
-            this.recentlyUsed = [];
-        }
+        this.recentlyUsed = AppStorage.get(this.storageKey, []).slice(0, this.maxHistory);
+        this.view = AppStorage.get(this.viewStorageKey, 'recent');
     }
     
     /**
-     * Save recently used emojis to localStorage
+     * Save recently used emojis to storage
      */
     saveToStorage() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.recentlyUsed));
-        } catch (error) {
-            console.error('Failed to save recently used emojis:', error);
-        }
+        AppStorage.set(this.storageKey, this.recentlyUsed);
+    }
+    
+    /**
+     * Keep the list in step with emojis copied in other tabs
+     */
+    setupSync() {
+        AppStorage.onExternalChange(this.storageKey, (entries) => {
+            this.recentlyUsed = (entries || []).slice(0, this.maxHistory);
+            this.render();
+        });
+    }
+    
+    /**
+     * Merge lists of entries, keeping the latest use of each emoji (last writer wins)
+     *
+     * Shared with SettingsBackup, which merges imported entries the same way.
+     * @param {...Array} lists - Lists of recently used entries
+     * @returns {Array} Merged entries, most recent first
+     */
+    static mergeEntries(...lists) {
+        const latest = new Map();
+        lists.flat().forEach(item => {
+            const baseEmoji = RecentlyUsedManager.getBaseEmoji(item.emoji);
+            const current = latest.get(baseEmoji);
+            if (!current || item.timestamp > current.timestamp) {
+                latest.set(baseEmoji, item);
+            }
+        });
+        
+        return Array.from(latest.values()).sort((a, b) => b.timestamp - a.timestamp);
     }
     
     /**
@@ -68,22 +98,29 @@ class RecentlyUsedManager {
             return;
         }
         
+        // Start from the latest uses saved by any tab, so a stale list can't overwrite them
+        this.recentlyUsed = RecentlyUsedManager.mergeEntries(this.recentlyUsed, AppStorage.get(this.storageKey, []));
+        
+        // Usage carries over from any skin tone of the same emoji
+        const baseEmoji = RecentlyUsedManager.getBaseEmoji(emoji);
+        const previous = this.recentlyUsed.find(item => RecentlyUsedManager.getBaseEmoji(item.emoji) === baseEmoji);
+        const now = Date.now();
+        
         const emojiData = {
             emoji: emoji,
             name: name,
-            timestamp: Date.now()
+            timestamp: now,
+            count: previous ? previous.count + 1 : 1,
+            frecency: (previous ? this.getFrecency(previous, now) : 0) + 1
         };
         
         // Remove if already exists (to move to front)
-        this.recentlyUsed = this.recentlyUsed.filter(item => item.emoji !== emoji);
+        this.recentlyUsed = this.recentlyUsed.filter(item => item !== previous);
         
         // Add to front
         this.recentlyUsed.unshift(emojiData);
         
-        // Limit to max items
-        if (this.recentlyUsed.length > this.maxItems) {
-            this.recentlyUsed = this.recentlyUsed.slice(0, this.maxItems);
-        }
+        this.trimHistory();
         
         // Save and re-render
         this.saveToStorage();
@@ -92,23 +129,126 @@ class RecentlyUsedManager {
         console.log('Added emoji to recently used:', emoji, name);
     }
     
+    /**
+     * Forget the least used emojis, not the oldest, once the history is full
+     */
+    trimHistory() {
+        if (this.recentlyUsed.length > this.maxHistory) {
+            const kept = new Set(this.getFrequentlyUsed().slice(0, this.maxHistory).map(item => item.emoji));
+            this.recentlyUsed = this.recentlyUsed.filter(item => kept.has(item.emoji));
+        }
+    }
+    
+    /**
+     * Get an entry's frecency score, decayed to a point in time
+     * @param {Object} item - Recently used entry
+     * @param {number} now - Time to decay the score to, in ms
+     * @returns {number} Frecency score
+     */
+    getFrecency(item, now = Date.now()) {
+        const age = Math.max(0, now - item.timestamp);
+        return item.frecency * Math.pow(0.5, age / this.halfLife);
+    }
+    
+    /**
+     * Get an emoji without its skin tone or variation selector, so ✌🏽 and ✌️ share a slot
+     * @param {string} emoji - Emoji unicode
+     * @returns {string} Emoji unicode to compare entries by
+     */
+    static getBaseEmoji(emoji) {
+        return typeof EmojiData !== 'undefined' ? EmojiData.getIdentity(emoji) : emoji;
+    }
+    
     /**
      * Remove an emoji from recently used
      * @param {string} emoji - Emoji unicode to remove
+     * @returns {Object|null} The removed entry, or null if it wasn't in the list
      */
     removeEmoji(emoji) {
-        this.recentlyUsed = this.recentlyUsed.filter(item => item.emoji !== emoji);
+        const removed = this.recentlyUsed.find(item => item.emoji === emoji);
+        if (!removed) {
+            return null;
+        }
+        
+        this.recentlyUsed = this.recentlyUsed.filter(item => item !== removed);
         this.saveToStorage();
         this.render();
+        return removed;
     }
     
     /**
      * Clear all recently used emojis
+     * @returns {Array} The removed entries
      */
     clear() {
+        const removed = this.recentlyUsed;
         this.recentlyUsed = [];
         this.saveToStorage();
         this.render();
+        return removed;
+    }
+    
+    /**
+     * Put removed entries back
+     *
+     * Entries go back where their last use places them, so an undone removal
+     * returns to its original position; emojis used again since keep the newer use.
+     * @param {Array} entries - Entries from removeEmoji or clear
+     */
+    restoreEntries(entries) {
+        this.recentlyUsed = RecentlyUsedManager.mergeEntries(this.recentlyUsed, AppStorage.get(this.storageKey, []), entries);
+        this.trimHistory();
+        this.saveToStorage();
+        this.render();
+    }
+    
+    /**
+     * Remove an emoji straight away, with an "Undo" notification to restore it
+     * @param {string} emoji - Emoji unicode to remove
+     * @returns {boolean} True if the "Undo" notification was shown
+     */
+    removeWithUndo(emoji) {
+        const removed = this.removeEmoji(emoji);
+        return removed ? this.showUndo(`Removed ${removed.name} from recently used`, [removed]) : false;
+    }
+    
+    /**
+     * Clear the whole list straight away, with an "Undo" notification to restore it
+     * @returns {boolean} False if there was nothing to clear
+     */
+    clearWithUndo() {
+        // The list empties, so focus goes back to whatever cleared it
+        const returnFocusTo = document.activeElement;
+        const removed = this.clear();
+        if (removed.length === 0) {
+            return false;
+        }
+        
+        this.showUndo(`Cleared ${removed.length} recently used ${removed.length === 1 ? 'emoji' : 'emojis'}`, removed, returnFocusTo);
+        return true;
+    }
+    
+    /**
+     * Offer to restore removed entries
+     *
+     * The "Undo" button takes focus, so keyboard users can reach it straight
+     * away; focus comes back to the list when the notification closes.
+     * @param {string} message - What was removed
+     * @param {Array} entries - Removed entries
+     * @param {HTMLElement} returnFocusTo - Where focus goes afterwards, the active emoji by default
+     * @returns {boolean} True if the notification was shown
+     */
+    showUndo(message, entries, returnFocusTo = null) {
+        if (!this.notificationSystem) {
+            return false;
+        }
+        
+        this.notificationSystem.show(message, 'info', this.undoDuration, {
+            actions: [{ label: 'Undo', handler: () => this.restoreEntries(entries) }],
+            returnFocusTo: returnFocusTo || DomReconciler.findByKey(this.container, this.activeEmoji),
+            focusAction: true
+        });
+        return true;
     }
     
     /**
@@ -120,12 +260,29 @@ class RecentlyUsedManager {
             return;
         }
         
-        const emojiButtons = this.recentlyUsed.map(item => 
-            this.createEmojiButton(item)
-        ).join('');
+        const items = this.view === 'frequent'
+            ? this.getFrequentlyUsed().slice(0, this.maxItems)
+            : this.recentlyUsed.slice(0, this.maxItems);
+        
+        // Only moved, new and removed buttons change, so focus stays put after a copy
+        DomReconciler.reconcile(this.container, items, {
+            key: item => item.emoji,
+            render: item => this.createEmojiButton(item)
+        });
+        this.updateTabStop();
+    }
+    
+    /**
+     * Give one button the list's single Tab stop (roving tabindex)
+     */
+    updateTabStop() {
+        const buttons = Array.from(this.container.querySelectorAll('.recently-used-emoji'));
+        const active = buttons.find(button => button.dataset.emoji === this.activeEmoji) || buttons[0];
         
-        this.container.innerHTML = emojiButtons;
-        this.addEventListeners();
+        buttons.forEach(button => {
+            button.tabIndex = button === active ? 0 : -1;
+        });
+        this.activeEmoji = active ? active.dataset.emoji : null;
     }
     
     /**
@@ -134,55 +291,212 @@ class RecentlyUsedManager {
      * @returns {string} HTML string for emoji button
      */
     createEmojiButton(emojiData) {
-        const { emoji, name } = emojiData;
+        const emoji = this.escapeHtml(emojiData.emoji);
+        const name = this.escapeHtml(emojiData.name);
+        const { count } = emojiData;
+        const uses = `used ${count} time${count !== 1 ? 's' : ''}`;
+        const isFavorite = this.favoritesManager ? this.favoritesManager.isFavorite(emojiData.emoji) : false;
+        const favoriteToggle = this.favoritesManager
+            ? `<span class="favorite-toggle${isFavorite ? ' is-favorite' : ''}" aria-hidden="true" title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">${isFavorite ? '★' : '☆'}</span>`
+            : '';
         
         return `
             <button 
                 class="emoji-button recently-used-emoji"
                 data-emoji="${emoji}"
                 data-name="${name}"
-                title="${name}"
-                aria-label="Copy ${name} emoji (recently used)"
+                title="${name} (${uses})"
+                aria-label="Copy ${name} emoji (${this.view === 'frequent' ? uses : 'recently used'}${isFavorite ? ', favorite' : ''})"
                 role="listitem"
+                tabindex="-1"
             >
                 ${emoji}
+                ${favoriteToggle}
             </button>
         `;
     }
     
     /**
-     * Add event listeners to recently used emoji buttons
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * Set up delegated event listeners for recently used emoji buttons
      */
-    addEventListeners() {
-        const buttons = this.container.querySelectorAll('.recently-used-emoji');
+    setupEventListeners() {
+        const getButton = (event) => {
+            const button = event.target.closest('.recently-used-emoji');
+            return button && this.container.contains(button) ? button : null;
+        };
         
-        buttons.forEach(button => {
-            // Click handler
-            button.addEventListener('click', (event) => {
-                const emoji = event.currentTarget.dataset.emoji;
-                const name = event.currentTarget.dataset.name;
-                this.handleEmojiClick(emoji, name, event.currentTarget);
-            });
+        this.container.addEventListener('click', (event) => {
+            const button = getButton(event);
+            if (!button) return;
+            
+            if (event.target.closest('.favorite-toggle')) {
+                this.toggleFavorite(button);
+                return;
+            }
+            
+            this.handleEmojiClick(button.dataset.emoji, button.dataset.name, button);
+        });
+        
+        // Keyboard support: Enter/Space copy, F stars, Delete removes, arrow keys move along the list
+        this.container.addEventListener('keydown', (event) => {
+            const button = getButton(event);
+            if (!button) return;
+            
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.handleEmojiClick(button.dataset.emoji, button.dataset.name, button);
+                return;
+            }
             
-            // Keyboard support
-            button.addEventListener('keydown', (event) => {
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    const emoji = event.currentTarget.dataset.emoji;
-                    const name = event.currentTarget.dataset.name;
-                    this.handleEmojiClick(emoji, name, event.currentTarget);
+            if (event.key === 'f' && !event.ctrlKey && !event.altKey && !event.metaKey) {
+                event.preventDefault();
+                this.toggleFavorite(button);
+                return;
+            }
+            
+            const buttons = Array.from(this.container.querySelectorAll('.recently-used-emoji'));
+            const index = buttons.indexOf(button);
+            
+            if (event.key === 'Delete') {
+                event.preventDefault();
+                // Focus moves to "Undo" and then the neighbour, so it isn't lost with the removed button
+                const neighbour = buttons[index + 1] || buttons[index - 1];
+                this.activeEmoji = neighbour ? neighbour.dataset.emoji : null;
+                if (!this.removeWithUndo(button.dataset.emoji)) {
+                    const next = DomReconciler.findByKey(this.container, this.activeEmoji);
+                    if (next) {
+                        next.focus();
+                    }
                 }
-            });
+                return;
+            }
+            const targets = {
+                ArrowRight: index + 1,
+                ArrowDown: index + 1,
+                ArrowLeft: index - 1,
+                ArrowUp: index - 1,
+                Home: 0,
+                End: buttons.length - 1
+            };
+            const target = buttons[targets[event.key]];
             
-            // Context menu for removal (right-click)
-            button.addEventListener('contextmenu', (event) => {
+            if (target && !event.altKey && !event.ctrlKey && !event.metaKey) {
+                event.preventDefault();
+                target.focus();
+            }
+        });
+        
+        this.container.addEventListener('focusin', (event) => {
+            const button = getButton(event);
+            if (button) {
+                this.activeEmoji = button.dataset.emoji;
+                this.updateTabStop();
+            }
+        });
+        
+        // Context menu for removal (right-click), undone from the notification
+        this.container.addEventListener('contextmenu', (event) => {
+            const button = getButton(event);
+            if (button) {
                 event.preventDefault();
-                const emoji = event.currentTarget.dataset.emoji;
-                this.showRemoveOption(emoji, event.currentTarget);
-            });
+                this.removeWithUndo(button.dataset.emoji);
+            }
+        });
+    }
+    
+    /**
+     * Set up the Recent/Frequent view buttons
+     */
+    setupViewToggle() {
+        if (!this.viewToggle) return;
+        
+        this.viewToggle.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-view]');
+            if (button) {
+                this.setView(button.dataset.view);
+            }
+        });
+        this.updateViewToggle();
+    }
+    
+    /**
+     * Sync the view buttons with the current view
+     */
+    updateViewToggle() {
+        if (!this.viewToggle) return;
+        
+        this.viewToggle.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', button.dataset.view === this.view ? 'true' : 'false');
         });
     }
     
+    /**
+     * Show emojis by recency or by frecency
+     * @param {string} view - 'recent' or 'frequent'
+     */
+    setView(view) {
+        if (view !== 'recent' && view !== 'frequent') {
+            console.error('RecentlyUsedManager: Unknown view', view);
+            return;
+        }
+        
+        this.view = view;
+        AppStorage.set(this.viewStorageKey, view);
+        
+        this.updateViewToggle();
+        this.render();
+    }
+    
+    /**
+     * Get the current view
+     * @returns {string} 'recent' or 'frequent'
+     */
+    getView() {
+        return this.view;
+    }
+    
+    /**
+     * Show a favorite star on each recently used emoji
+     * @param {FavoritesManager} favoritesManager - Favorites to show and toggle
+     */
+    setFavoritesManager(favoritesManager) {
+        this.favoritesManager = favoritesManager;
+        favoritesManager.onChange(() => this.render());
+        this.render();
+    }
+    
+    /**
+     * Set the notification system that offers to undo removals
+     * @param {NotificationSystem} notificationSystem - Notification system
+     */
+    setNotificationSystem(notificationSystem) {
+        this.notificationSystem = notificationSystem;
+    }
+    
+    /**
+     * Add or remove a recently used emoji from the favorites
+     * @param {HTMLElement} button - Emoji button
+     */
+    toggleFavorite(button) {
+        if (this.favoritesManager) {
+            this.favoritesManager.toggleFavorite(button.dataset.emoji, button.dataset.name);
+        }
+    }
+    
     /**
      * Handle emoji button click
      * @param {string} emoji - Emoji unicode
@@ -193,10 +507,7 @@ class RecentlyUsedManager {
         // Add visual feedback
         this.addClickFeedback(buttonElement);
         
-        // Move to front of recently used (since it was used again)
-        this.addEmoji(emoji, name);
-        
-        // Notify parent component
+        // The parent records the use once the copy succeeds
         this.onEmojiClick(emoji, name);
     }
     
@@ -212,19 +523,6 @@ class RecentlyUsedManager {
         }, 200);
     }
     
-    /**
-     * Show option to remove emoji from recently used
-     * @param {string} emoji - Emoji to remove
-     * @param {HTMLElement} buttonElement - Button element
-     */
-    showRemoveOption(emoji, buttonElement) {
-        // Simple confirmation for now
-        const emojiData = this.recentlyUsed.find(item => item.emoji === emoji);
-        if (emojiData && confirm(`Remove ${emojiData.name} from recently used?`)) {
-            this.removeEmoji(emoji);
-        }
-    }
-    
     /**
      * Render empty state when no recently used emojis
      */
@@ -244,6 +542,31 @@ class RecentlyUsedManager {
         return [...this.recentlyUsed];
     }
     
+    /**
+     * Get emojis by frecency, highest first
+     * @returns {Array} Array of recently used emoji objects
+     */
+    getFrequentlyUsed() {
+        const now = Date.now();
+        return this.recentlyUsed
+            .map(item => ({ item, score: this.getFrecency(item, now) }))
+            .sort((a, b) => b.score - a.score)
+            .map(({ item }) => ({ ...item }));
+    }
+    
+    /**
+     * Get a usage score per emoji, higher for more often and recently used emojis
+     * @returns {Map} Map of emoji (without skin tone or variation selector) to frecency score
+     */
+    getUsageScores() {
+        const now = Date.now();
+        const scores = new Map();
+        this.recentlyUsed.forEach(item => {
+            scores.set(RecentlyUsedManager.getBaseEmoji(item.emoji), this.getFrecency(item, now));
+        });
+        return scores;
+    }
+    
     /**
      * Get recently used count
      * @returns {number} Number of recently used emojis
@@ -262,19 +585,13 @@ class RecentlyUsedManager {
     }
     
     /**
-     * Set maximum number of items to store
+     * Set maximum number of items to show
      * @param {number} max - Maximum number of items
      */
     setMaxItems(max) {
         if (max > 0) {
             this.maxItems = max;
-            
-            // Trim if necessary
-            if (this.recentlyUsed.length > this.maxItems) {
-                this.recentlyUsed = this.recentlyUsed.slice(0, this.maxItems);
-                this.saveToStorage();
-                this.render();
-            }
+            this.render();
         }
     }
     
@@ -292,15 +609,11 @@ class RecentlyUsedManager {
      */
     importData(jsonData) {
         try {
-            const imported = JSON.parse(jsonData);
-            if (Array.isArray(imported)) {
-                this.recentlyUsed = imported.filter(item => 
-                    item && typeof item === 'object' && item.emoji && item.name
-                ).slice(0, this.maxItems);
-                
-                this.saveToStorage();
-                this.render();
-            }
+            const imported = AppStorage.validate(this.storageKey, JSON.parse(jsonData));
+            this.recentlyUsed = imported.slice(0, this.maxHistory);
+            
+            this.saveToStorage();
+            this.render();
         } catch (error) {
             console.error('Failed to import recently used data:', error);
         }
@@ -0,0 +1,409 @@
+/**
+ * SearchAutocomplete - Suggestion dropdown (ARIA combobox) for the search input
+ */
+class SearchAutocomplete {
+    constructor(inputElement, onSelect) {
+        this.input = inputElement;
+        this.onSelect = onSelect || (() => {});
+        this.listbox = null;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.maxSuggestions = 6;
+        this.maxLearnedTerms = 200; // Least recently used search terms are forgotten first
+        this.storageKey = 'emoji-copy-search-learning';
+        this.learned = {};
+        this.previewCache = new Map(); // Best search match per suggestion term
+        this.updateDelay = 150; // ms of typing pause before suggestions are recomputed
+        this.updateTimeout = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the autocomplete component
+     */
+    init() {
+        if (!this.input) {
+            console.error('SearchAutocomplete: Search input not found');
+            return;
+        }
+        
+        this.loadFromStorage();
+        this.createListbox();
+        this.setupEventListeners();
+        
+        console.log('SearchAutocomplete initialized');
+    }
+    
+    /**
+     * Load learned search terms from storage
+     */
+    loadFromStorage() {
+        // { term: { emojis: { emoji: count }, lastUsed } }
+        this.learned = AppStorage.get(this.storageKey, {});
+    }
+    
+    /**
+     * Save learned search terms to storage
+     */
+    saveToStorage() {
+        AppStorage.set(this.storageKey, this.learned);
+    }
+    
+    /**
+     * Create the suggestion listbox and wire up the combobox roles
+     */
+    createListbox() {
+        this.listbox = document.createElement('ul');
+        this.listbox.id = 'search-suggestions';
+        this.listbox.className = 'search-suggestions';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.setAttribute('aria-label', 'Search suggestions');
+        this.listbox.hidden = true;
+        this.input.insertAdjacentElement('afterend', this.listbox);
+        
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.listbox.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+    }
+    
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        // Hide suggestions for the old text at once, and recompute them when typing pauses
+        this.input.addEventListener('input', () => {
+            this.close();
+            this.scheduleUpdate();
+        });
+        
+        this.input.addEventListener('focus', () => {
+            this.update();
+        });
+        
+        this.input.addEventListener('blur', () => {
+            this.cancelUpdate();
+            this.close();
+        });
+        
+        this.input.addEventListener('keydown', (event) => {
+            this.handleKeydown(event);
+        });
+        
+        // Keep focus in the input while choosing with the mouse
+        this.listbox.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+        });
+        
+        this.listbox.addEventListener('click', (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option) {
+                this.accept(parseInt(option.dataset.index, 10));
+            }
+        });
+    }
+    
+    /**
+     * Handle keyboard interaction on the combobox input
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    handleKeydown(event) {
+        const isOpen = !this.listbox.hidden;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                }
+                this.setActive(this.activeIndex + 1 < this.suggestions.length ? this.activeIndex + 1 : 0);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                }
+                this.setActive(this.activeIndex > 0 ? this.activeIndex - 1 : this.suggestions.length - 1);
+                break;
+            case 'Enter':
+                if (isOpen && this.activeIndex >= 0) {
+                    event.preventDefault();
+                    this.accept(this.activeIndex);
+                }
+                break;
+            case 'Tab':
+                // Tab completes the highlighted suggestion; with none highlighted it moves focus as usual
+                if (isOpen && this.activeIndex >= 0 && !event.shiftKey) {
+                    event.preventDefault();
+                    this.accept(this.activeIndex);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    // Close the list without also leaving the search box
+                    event.preventDefault();
+                    event.stopPropagation();
+                    this.close();
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Recompute suggestions once the user stops typing
+     */
+    scheduleUpdate() {
+        this.cancelUpdate();
+        this.updateTimeout = setTimeout(() => {
+            this.updateTimeout = null;
+            this.update();
+        }, this.updateDelay);
+    }
+    
+    /**
+     * Cancel a scheduled update
+     */
+    cancelUpdate() {
+        if (this.updateTimeout) {
+            clearTimeout(this.updateTimeout);
+            this.updateTimeout = null;
+        }
+    }
+    
+    /**
+     * Recompute suggestions for the current input and show them
+     */
+    update() {
+        this.cancelUpdate();
+        this.suggestions = this.getSuggestions(this.input.value);
+        this.activeIndex = -1;
+        
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Get ranked suggestions for a query
+     *
+     * Names and keywords come from EmojiData.getSearchSuggestions; search terms
+     * the user copied emojis from rank first, most copies first, and preview
+     * the emoji they copied most.
+     * @param {string} query - Current search input
+     * @returns {Array} Suggestions ({ text, emoji, name })
+     */
+    getSuggestions(query) {
+        if (typeof EmojiData === 'undefined' || !EmojiData.isLoaded() || !this.isPlainQuery(query)) {
+            return [];
+        }
+        
+        const prefix = query.toLowerCase().trim();
+        const terms = new Map();
+        
+        EmojiData.getSearchSuggestions(prefix, this.maxSuggestions * 3).forEach(text => {
+            terms.set(text.toLowerCase(), text);
+        });
+        
+        Object.keys(this.learned)
+            .filter(term => term.startsWith(prefix) && !terms.has(term))
+            .forEach(term => terms.set(term, term));
+        
+        // Learned terms first; ties keep the dataset ranking
+        return Array.from(terms.entries())
+            .filter(([term]) => term !== prefix)
+            .map(([term, text], rank) => ({ term, text, rank, copies: this.getCopyCount(term) }))
+            .sort((a, b) => b.copies - a.copies || a.rank - b.rank)
+            .slice(0, this.maxSuggestions)
+            .map(({ term, text }) => ({ text, ...this.getPreview(term) }))
+            .filter(suggestion => suggestion.emoji);
+    }
+    
+    /**
+     * Check whether a query is plain text that suggestions can complete
+     * @param {string} query - Search input
+     * @returns {boolean} True for plain words, false for empty input or query syntax
+     */
+    isPlainQuery(query) {
+        const { groups } = EmojiData.parseQuery(query);
+        return groups.length === 1 && groups[0].length === 1 &&
+            groups[0][0].field === null && !groups[0][0].phrase && !groups[0][0].negated;
+    }
+    
+    /**
+     * Get the emoji to preview next to a suggestion
+     * @param {string} term - Lowercase suggestion
+     * @returns {Object} { emoji, name } of the most copied or best matching emoji
+     */
+    getPreview(term) {
+        const entry = this.learned[term];
+        if (entry) {
+            const [mostCopied] = Object.entries(entry.emojis).sort((a, b) => b[1] - a[1]);
+            const emoji = mostCopied ? EmojiData.findByUnicode(mostCopied[0]) : null;
+            if (emoji) {
+                return { emoji: emoji.unicode, name: emoji.name };
+            }
+        }
+        
+        // A full search per suggestion is too slow to repeat on every keystroke
+        if (!this.previewCache.has(term)) {
+            const [topResult] = EmojiData.search(term);
+            this.previewCache.set(term, topResult ? { emoji: topResult.unicode, name: topResult.name } : { emoji: null, name: null });
+        }
+        return { ...this.previewCache.get(term) };
+    }
+    
+    /**
+     * Get how many emojis were copied after searching for a term
+     * @param {string} term - Lowercase search term
+     * @returns {number} Copy count
+     */
+    getCopyCount(term) {
+        const entry = this.learned[term];
+        return entry ? Object.values(entry.emojis).reduce((total, count) => total + count, 0) : 0;
+    }
+    
+    /**
+     * Learn from an emoji copied while a search was active
+     *
+     * The copied emoji's names and keywords that complete the query are
+     * credited, so "hea" → ❤️ promotes "heart" but typos are never suggested.
+     * @param {string} query - Search query at the time of the copy
+     * @param {string} emoji - Copied emoji unicode
+     */
+    recordCopy(query, emoji) {
+        if (!query || !emoji || typeof EmojiData === 'undefined' || !EmojiData.isLoaded() || !this.isPlainQuery(query)) {
+            return;
+        }
+        
+        const copied = EmojiData.findByUnicode(emoji);
+        if (!copied) {
+            return;
+        }
+        
+        const prefix = query.toLowerCase().trim();
+        const terms = [copied.name, ...copied.keywords]
+            .map(text => text.toLowerCase())
+            .filter((term, index, all) => term.startsWith(prefix) && all.indexOf(term) === index);
+        
+        terms.forEach(term => {
+            const entry = this.learned[term] || { emojis: {}, lastUsed: 0 };
+            entry.emojis[copied.unicode] = (entry.emojis[copied.unicode] || 0) + 1;
+            entry.lastUsed = Date.now();
+            this.learned[term] = entry;
+        });
+        
+        // Forget the least recently used terms beyond the limit
+        const learnedTerms = Object.keys(this.learned);
+        if (learnedTerms.length > this.maxLearnedTerms) {
+            learnedTerms
+                .sort((a, b) => this.learned[a].lastUsed - this.learned[b].lastUsed)
+                .slice(0, learnedTerms.length - this.maxLearnedTerms)
+                .forEach(oldTerm => delete this.learned[oldTerm]);
+        }
+        
+        if (terms.length > 0) {
+            this.saveToStorage();
+        }
+    }
+    
+    /**
+     * Render the suggestion list
+     */
+    render() {
+        this.listbox.innerHTML = '';
+        
+        this.suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.id = `search-suggestion-${index}`;
+            option.className = 'search-suggestion';
+            option.dataset.index = index;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            
+            const preview = document.createElement('span');
+            preview.className = 'search-suggestion-emoji';
+            preview.setAttribute('aria-hidden', 'true');
+            preview.textContent = suggestion.emoji;
+            
+            const text = document.createElement('span');
+            text.className = 'search-suggestion-text';
+            text.textContent = suggestion.text;
+            
+            option.append(preview, text);
+            this.listbox.appendChild(option);
+        });
+        
+        this.listbox.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Highlight a suggestion for keyboard selection
+     * @param {number} index - Suggestion index
+     */
+    setActive(index) {
+        if (this.suggestions.length === 0) {
+            return;
+        }
+        
+        this.activeIndex = index;
+        this.listbox.querySelectorAll('[role="option"]').forEach((option, i) => {
+            const isActive = i === index;
+            option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+            option.classList.toggle('active', isActive);
+            if (isActive) {
+                option.scrollIntoView?.({ block: 'nearest' });
+            }
+        });
+        
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    }
+    
+    /**
+     * Accept a suggestion: fill the input and search for it
+     * @param {number} index - Suggestion index
+     */
+    accept(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) {
+            return;
+        }
+        
+        this.input.value = suggestion.text;
+        this.close();
+        this.onSelect(suggestion.text);
+    }
+    
+    /**
+     * Close the suggestion list
+     */
+    close() {
+        if (!this.listbox) {
+            return;
+        }
+        
+        this.listbox.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Forget everything learned from copies
+     */
+    clearLearning() {
+        this.learned = {};
+        this.saveToStorage();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchAutocomplete;
+}
@@ -0,0 +1,233 @@
+/**
+ * SettingsBackup - Exports user data to a versioned backup file and imports it back
+ *
+ * A backup holds the recently used emojis, favorites, theme, default copy
+ * format and custom keyboard shortcuts. Imports are checked item by item
+ * against the same validators AppStorage applies on load, so one bad entry
+ * is skipped and reported instead of failing the whole file.
+ */
+
+class SettingsBackup {
+    static FORMAT = 'emoji-copy-backup';
+    static VERSION = 1;
+    static #sections = [
+        { id: 'recentlyUsed', label: 'Recently used emojis', key: 'emoji-copy-recently-used', type: 'list' },
+        { id: 'favorites', label: 'Favorites', key: 'emoji-copy-favorites', type: 'list' },
+        { id: 'theme', label: 'Theme', key: 'emoji-copy-theme', type: 'value' },
+        { id: 'copyFormat', label: 'Copy format', key: 'emoji-copy-format', type: 'value' },
+        { id: 'shortcuts', label: 'Keyboard shortcuts', key: 'emoji-copy-shortcuts', type: 'map' }
+    ];
+
+    /**
+     * Get the sections a backup holds
+     * @returns {Array} Sections ({ id, label })
+     */
+    static getSections() {
+        return this.#sections.map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * Create a backup of the saved user data
+     * @returns {Object} Backup ({ format, version, exportedAt, data })
+     */
+    static createBackup() {
+        const fallbacks = { list: [], map: {}, value: null };
+
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            exportedAt: new Date().toISOString(),
+            data: Object.fromEntries(this.#sections.map(section =>
+                [section.id, AppStorage.get(section.key, fallbacks[section.type])]
+            ))
+        };
+    }
+
+    /**
+     * Get a file name for a backup
+     * @param {Date} date - Backup date
+     * @returns {string} File name, e.g. "emoji-copy-backup-2025-01-31.json"
+     */
+    static getFileName(date = new Date()) {
+        return `${this.FORMAT}-${date.toISOString().slice(0, 10)}.json`;
+    }
+
+    /**
+     * Parse and validate a backup file
+     *
+     * Throws if the file is not a backup at all; invalid items are left out
+     * of the preview and listed in its errors.
+     * @param {string} text - File contents
+     * @returns {Object} Preview ({ exportedAt, sections: [{ id, label, key, value, count }], errors })
+     */
+    static parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!backup || typeof backup !== 'object' || backup.format !== this.FORMAT || !backup.data || typeof backup.data !== 'object') {
+            throw new Error('The file is not an Emoji Copy backup');
+        }
+
+        if (!Number.isInteger(backup.version) || backup.version > this.VERSION) {
+            throw new Error('The backup was made by a newer version of Emoji Copy');
+        }
+
+        const errors = [];
+        const sections = this.#sections
+            .filter(section => section.id in backup.data)
+            .map(section => {
+                const value = this.#validateSection(section, backup.data[section.id], errors);
+                return value === undefined ? null : { ...section, value, count: this.#count(section, value) };
+            })
+            .filter(Boolean);
+
+        return {
+            exportedAt: typeof backup.exportedAt === 'string' ? backup.exportedAt : null,
+            sections,
+            errors
+        };
+    }
+
+    /**
+     * Save a parsed backup
+     * @param {Object} preview - Preview from parseBackup
+     * @param {string} mode - 'merge' to combine with the current data, 'replace' to overwrite it
+     */
+    static applyBackup(preview, mode = 'merge') {
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        preview.sections.forEach(section => {
+            const value = mode === 'merge' ? this.#merge(section, AppStorage.get(section.key)) : section.value;
+
+            if (value === null) {
+                AppStorage.remove(section.key);
+            } else {
+                AppStorage.set(section.key, value);
+            }
+        });
+    }
+
+    /**
+     * Validate one section of a backup, collecting an error per invalid item
+     * @param {Object} section - Section definition
+     * @param {*} value - Value from the backup
+     * @param {Array} errors - Error messages to add to
+     * @returns {*} Valid part of the value, or undefined if none of it is usable
+     */
+    static #validateSection(section, value, errors) {
+        // An unset setting, e.g. a theme that follows the system
+        if (value === null) {
+            return section.type === 'value' ? null : undefined;
+        }
+
+        if (section.type === 'list') {
+            if (!Array.isArray(value)) {
+                errors.push(`${section.label}: expected a list`);
+                return undefined;
+            }
+
+            const items = value.filter((item, index) => {
+                const valid = this.#isEmojiEntry(item) && AppStorage.validate(section.key, [item]).length === 1;
+                if (!valid) {
+                    errors.push(`${section.label}, item ${index + 1}: not a valid emoji entry`);
+                }
+                return valid;
+            });
+            return AppStorage.validate(section.key, items);
+        }
+
+        if (section.type === 'map') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${section.label}: expected a list of key bindings`);
+                return undefined;
+            }
+
+            Object.entries(value).forEach(([id, entry]) => {
+                if (Object.keys(AppStorage.validate(section.key, { [id]: entry })).length === 0) {
+                    errors.push(`${section.label}, "${id}": not a valid key binding`);
+                }
+            });
+            return AppStorage.validate(section.key, value);
+        }
+
+        try {
+            const valid = AppStorage.validate(section.key, value);
+            if (section.id === 'copyFormat' && typeof CopyFormats !== 'undefined' && !CopyFormats.getFormat(valid)) {
+                throw new Error(`Unknown copy format "${valid}"`);
+            }
+            return valid;
+        } catch (error) {
+            errors.push(`${section.label}: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Check that a list item names a real emoji, since the lists are rendered as markup
+     * @param {*} item - Item from the backup
+     * @returns {boolean} True if the item has a known emoji and a string name
+     */
+    static #isEmojiEntry(item) {
+        if (!item || typeof item !== 'object' || typeof item.emoji !== 'string' || typeof item.name !== 'string') {
+            return false;
+        }
+
+        // Before the data loads, accept anything that is written as an emoji
+        return EmojiData.isLoaded()
+            ? EmojiData.findByUnicode(item.emoji) !== null
+            : EmojiData.parseEmojiNotation(item.emoji) === item.emoji;
+    }
+
+    /**
+     * Count the items in a section, for the import preview
+     * @param {Object} section - Section definition
+     * @param {*} value - Validated value
+     * @returns {number} Number of items
+     */
+    static #count(section, value) {
+        if (section.type === 'list') {
+            return value.length;
+        }
+
+        if (section.type === 'map') {
+            return Object.keys(value).length;
+        }
+
+        return value === null ? 0 : 1;
+    }
+
+    /**
+     * Combine an imported section with the current data
+     * @param {Object} section - Section from the preview
+     * @param {*} current - Currently saved value, or null
+     * @returns {*} Merged value, or null to leave the setting unset
+     */
+    static #merge(section, current) {
+        if (section.id === 'recentlyUsed') {
+            // The latest use of each emoji wins, as when tabs sync
+            return RecentlyUsedManager.mergeEntries(current || [], section.value);
+        }
+
+        if (section.id === 'favorites') {
+            // Current favorites keep their order; new ones are added after them
+            return AppStorage.validate(section.key, [...(current || []), ...section.value]);
+        }
+
+        if (section.type === 'map') {
+            return { ...(current || {}), ...section.value };
+        }
+
+        return section.value !== null ? section.value : current;
+    }
+}
+
+// Export for module usage or testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsBackup;
+}
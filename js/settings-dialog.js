@@ -0,0 +1,296 @@
+/**
+ * SettingsDialog - Dialog for backing up and restoring user data
+ */
+class SettingsDialog {
+    constructor(notificationSystem, onImported = null) {
+        this.notificationSystem = notificationSystem;
+        this.onImported = onImported;
+        this.dialog = null;
+        this.preview = null;
+        this.returnFocusTo = null;
+        
+        // Errors listed in the import notification; the preview lists them all
+        this.maxNotifiedErrors = 2;
+        this.errorDuration = 6000;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the settings dialog
+     */
+    init() {
+        console.log('SettingsDialog initialized');
+    }
+    
+    /**
+     * Check whether the dialog is open
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return Boolean(this.dialog && this.dialog.open);
+    }
+    
+    /**
+     * Open the dialog
+     */
+    open() {
+        if (this.isOpen()) {
+            return;
+        }
+        
+        if (!this.dialog) {
+            this.createDialog();
+        }
+        
+        this.returnFocusTo = document.activeElement;
+        this.clearPreview();
+        this.dialog.showModal();
+        this.dialog.querySelector('.settings-close').focus();
+    }
+    
+    /**
+     * Close the dialog
+     */
+    close() {
+        if (this.isOpen()) {
+            this.dialog.close();
+        }
+    }
+    
+    /**
+     * Create the dialog
+     */
+    createDialog() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'shortcuts-dialog settings-dialog';
+        this.dialog.setAttribute('aria-labelledby', 'settings-title');
+        this.dialog.innerHTML = `
+            <div class="shortcuts-header">
+                <h2 id="settings-title" class="shortcuts-title">Backup and restore</h2>
+                <button type="button" class="shortcuts-close settings-close" aria-label="Close backup and restore">✕</button>
+            </div>
+            <p class="settings-description">
+                Save your recently used emojis, favorites, theme, copy format and keyboard shortcuts to a file, or restore them from one.
+            </p>
+            <div class="settings-actions">
+                <button type="button" class="settings-button settings-export">Export to file</button>
+                <label class="settings-button settings-import-label">
+                    Import from file
+                    <input type="file" class="settings-file sr-only" accept=".json,application/json">
+                </label>
+            </div>
+            <div class="settings-preview" hidden></div>
+            <p class="shortcuts-status settings-status" role="status" aria-live="polite"></p>
+        `;
+        document.body.appendChild(this.dialog);
+        
+        this.dialog.querySelector('.settings-close').addEventListener('click', () => this.close());
+        this.dialog.querySelector('.settings-export').addEventListener('click', () => this.exportBackup());
+        
+        this.dialog.querySelector('.settings-file').addEventListener('change', (event) => {
+            const [file] = event.target.files;
+            // Let the same file be picked again after a cancelled import
+            event.target.value = '';
+            if (file) {
+                this.loadFile(file);
+            }
+        });
+        
+        this.dialog.addEventListener('click', (event) => {
+            if (event.target.closest('.settings-confirm')) {
+                this.importBackup();
+            } else if (event.target.closest('.settings-cancel')) {
+                this.clearPreview();
+                this.setStatus('Import cancelled');
+            } else if (event.target === this.dialog) {
+                // Clicks on the backdrop land on the dialog itself
+                this.close();
+            }
+        });
+        
+        this.dialog.addEventListener('close', () => {
+            this.preview = null;
+            if (this.returnFocusTo && this.returnFocusTo.isConnected) {
+                this.returnFocusTo.focus();
+            }
+            this.returnFocusTo = null;
+        });
+    }
+    
+    /**
+     * Download a backup of the current data
+     */
+    exportBackup() {
+        try {
+            const backup = SettingsBackup.createBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            ClipboardManager.downloadBlob(blob, SettingsBackup.getFileName());
+            this.setStatus('Backup downloaded');
+            this.notificationSystem.show('Settings backup downloaded', 'success');
+        } catch (error) {
+            console.error('Failed to export settings:', error);
+            this.notificationSystem.showError(`Could not export settings: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Read a backup file and show what it would import
+     * @param {File} file - Chosen file
+     */
+    async loadFile(file) {
+        try {
+            this.preview = SettingsBackup.parseBackup(await file.text());
+        } catch (error) {
+            console.error('Failed to read backup:', error);
+            this.clearPreview();
+            this.setStatus('');
+            this.notificationSystem.showError(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+        
+        this.renderPreview(file.name);
+        
+        const confirmButton = this.dialog.querySelector('.settings-confirm');
+        if (confirmButton) {
+            confirmButton.focus();
+        }
+    }
+    
+    /**
+     * Render what a backup file contains and the import options
+     * @param {string} fileName - Name of the backup file
+     */
+    renderPreview(fileName) {
+        const { sections, errors, exportedAt } = this.preview;
+        const previewElement = this.dialog.querySelector('.settings-preview');
+        const exportedDate = exportedAt && !isNaN(Date.parse(exportedAt)) ? new Date(exportedAt).toLocaleString() : null;
+        
+        const sectionItems = sections.map(section => `
+            <li class="settings-preview-item">
+                <span>${this.escapeHtml(section.label)}</span>
+                <span class="settings-preview-count">${this.escapeHtml(this.describeSection(section))}</span>
+            </li>
+        `).join('');
+        
+        const errorList = errors.length === 0 ? '' : `
+            <div class="settings-errors">
+                <p>${errors.length} ${errors.length === 1 ? 'item is' : 'items are'} invalid and will be skipped:</p>
+                <ul>${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>
+            </div>
+        `;
+        
+        previewElement.innerHTML = `
+            <h3 class="settings-preview-title">${this.escapeHtml(fileName)}</h3>
+            ${exportedDate ? `<p class="settings-preview-date">Exported ${this.escapeHtml(exportedDate)}</p>` : ''}
+            ${sections.length > 0
+                ? `<ul class="settings-preview-list">${sectionItems}</ul>`
+                : '<p class="settings-preview-empty">Nothing in this file can be imported.</p>'}
+            ${errorList}
+            ${sections.length > 0 ? `
+                <fieldset class="settings-mode">
+                    <legend>When data already exists</legend>
+                    <label><input type="radio" name="settings-mode" value="merge" checked> Merge with my current data</label>
+                    <label><input type="radio" name="settings-mode" value="replace"> Replace my current data</label>
+                </fieldset>
+            ` : ''}
+            <div class="shortcuts-footer">
+                <button type="button" class="settings-button settings-cancel">Cancel</button>
+                ${sections.length > 0 ? '<button type="button" class="settings-button settings-confirm">Import</button>' : ''}
+            </div>
+        `;
+        previewElement.hidden = false;
+        
+        this.setStatus(`${fileName} is ready to import`);
+    }
+    
+    /**
+     * Describe the contents of one backup section
+     * @param {Object} section - Section from the preview
+     * @returns {string} e.g. "12 items"
+     */
+    describeSection(section) {
+        if (section.id === 'theme' || section.id === 'copyFormat') {
+            return section.value === null ? 'Default' : section.value;
+        }
+        
+        return `${section.count} ${section.count === 1 ? 'item' : 'items'}`;
+    }
+    
+    /**
+     * Save the previewed backup and let the app reload its state
+     */
+    importBackup() {
+        if (!this.preview) {
+            return;
+        }
+        
+        const checkedMode = this.dialog.querySelector('input[name="settings-mode"]:checked');
+        const mode = checkedMode ? checkedMode.value : 'merge';
+        const { errors } = this.preview;
+        
+        try {
+            SettingsBackup.applyBackup(this.preview, mode);
+        } catch (error) {
+            console.error('Failed to import settings:', error);
+            this.notificationSystem.showError(`Could not import settings: ${error.message}`);
+            return;
+        }
+        
+        if (this.onImported) {
+            try {
+                this.onImported(mode);
+            } catch (error) {
+                console.error('Error in settings import listener:', error);
+            }
+        }
+        
+        this.close();
+        
+        const verb = mode === 'merge' ? 'merged' : 'restored';
+        if (errors.length === 0) {
+            this.notificationSystem.show(`Settings ${verb} from backup`, 'success');
+        } else {
+            const shownErrors = errors.slice(0, this.maxNotifiedErrors).join('; ');
+            const moreErrors = errors.length > this.maxNotifiedErrors ? ` and ${errors.length - this.maxNotifiedErrors} more` : '';
+            this.notificationSystem.show(`Settings ${verb}, but ${errors.length} invalid ${errors.length === 1 ? 'item was' : 'items were'} skipped: ${shownErrors}${moreErrors}`, 'warning', this.errorDuration);
+        }
+    }
+    
+    /**
+     * Hide the import preview
+     */
+    clearPreview() {
+        this.preview = null;
+        const previewElement = this.dialog.querySelector('.settings-preview');
+        previewElement.hidden = true;
+        previewElement.innerHTML = '';
+    }
+    
+    /**
+     * Show a message in the dialog's live region
+     * @param {string} message - Message for sighted and screen reader users
+     */
+    setStatus(message) {
+        this.dialog.querySelector('.settings-status').textContent = message;
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsDialog;
+}
@@ -0,0 +1,112 @@
+/**
+ * SkinToneManager - Remembers the user's default skin tone for emojis that support it
+ */
+class SkinToneManager {
+    constructor() {
+        this.defaultTone = 'default';
+        this.storageKey = 'emoji-copy-skin-tone';
+        this.listeners = [];
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize the skin tone manager
+     */
+    init() {
+        this.loadFromStorage();
+        
+        console.log('SkinToneManager initialized');
+    }
+    
+    /**
+     * Load the default skin tone from storage
+     */
+    loadFromStorage() {
+        const stored = AppStorage.get(this.storageKey);
+        if (stored && this.isValidTone(stored)) {
+            this.defaultTone = stored;
+        }
+    }
+    
+    /**
+     * Save the default skin tone to storage
+     */
+    saveToStorage() {
+        if (this.defaultTone === 'default') {
+            AppStorage.remove(this.storageKey);
+        } else {
+            AppStorage.set(this.storageKey, this.defaultTone);
+        }
+    }
+    
+    /**
+     * Check if a tone ID is known
+     * @param {string} toneId - Skin tone ID
+     * @returns {boolean} True if the tone is 'default' or a Fitzpatrick tone
+     */
+    isValidTone(toneId) {
+        return toneId === 'default' || EmojiData.getSkinTones().some(tone => tone.id === toneId);
+    }
+    
+    /**
+     * Get the user's default skin tone
+     * @returns {string} Skin tone ID ('default' when no tone is applied)
+     */
+    getDefaultTone() {
+        return this.defaultTone;
+    }
+    
+    /**
+     * Set the user's default skin tone
+     * @param {string} toneId - Skin tone ID, or 'default' for no tone
+     */
+    setDefaultTone(toneId) {
+        if (!this.isValidTone(toneId)) {
+            console.error('Invalid skin tone:', toneId);
+            return;
+        }
+        
+        if (toneId === this.defaultTone) {
+            return;
+        }
+        
+        this.defaultTone = toneId;
+        this.saveToStorage();
+        
+        this.listeners.forEach(listener => {
+            try {
+                listener(toneId);
+            } catch (error) {
+                console.error('Error in skin tone listener:', error);
+            }
+        });
+    }
+    
+    /**
+     * Apply the default skin tone to an emoji
+     * @param {string} emoji - Emoji unicode (base or toned)
+     * @returns {string} Emoji with the default tone, or unchanged if it has no variants
+     */
+    applyDefaultTone(emoji) {
+        return EmojiData.applySkinTone(emoji, this.defaultTone);
+    }
+    
+    /**
+     * Listen for default tone changes
+     * @param {Function} listener - Called with the new tone ID
+     * @returns {Function} Function to remove the listener
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+        
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SkinToneManager;
+}
@@ -3,15 +3,36 @@
  */
 
 // Import all test modules
-const { testEmojiDataLoading, testEmojiDataParsing } = require('./test-emoji-data.js');
+const {
+  testEmojiDataLoading,
+  testEmojiDataParsing,
+  testSkinToneVariants,
+  testCodepointSequences,
+  testSortOrders
+} = require('./test-emoji-data.js');
 const { testCategoryFiltering, testCategoryFilteringWithoutData } = require('./test-category-filtering.js');
 const { 
   testBasicSearch, 
   testSearchHighlighting, 
   testSearchRanking, 
   testSearchSuggestions, 
-  testSearchSpecialCharacters 
+  testSearchSpecialCharacters,
+  testFuzzySearch,
+  testSearchIndex,
+  testQuerySyntax,
+  testReverseLookup,
+  testHighlightSegments,
+  testRelevanceOrder
 } = require('./test-search-functionality.js');
+const { testParseEmojiTest, testParseAnnotations, testBuildAndDiff } = require('./test-emoji-importer.js');
+const { testCopyFormatConversion, testCopyFormatRegistry } = require('./test-copy-formats.js');
+const { testStorageMigration, testStorageValidation, testStorageSync } = require('./test-app-storage.js');
+const { testBackupRoundTrip, testBackupImportModes } = require('./test-settings-backup.js');
+const { testDetailPanelRows } = require('./test-emoji-detail-panel.js');
+const { testRecentlyUsedTracking, testRecentlyUsedTrimming, testRecentlyUsedUndo } = require('./test-recently-used-manager.js');
+const { testNotificationActions } = require('./test-notification-actions.js');
+const { testComposeGraphemes, testComposeDeletion } = require('./test-compose-tray.js');
+const { testShortcutKeys, testShortcutBindings } = require('./test-keyboard-shortcuts.js');
 
 /**
  * Run all emoji data tests
@@ -25,6 +46,9 @@ async function runAllTests() {
   console.log('📊 Testing emoji data loading and parsing...');
   testResults.push(await testEmojiDataLoading());
   testResults.push(testEmojiDataParsing());
+  testResults.push(await testSkinToneVariants());
+  testResults.push(await testCodepointSequences());
+  testResults.push(await testSortOrders());
   
   // Test category filtering
   console.log('\n📂 Testing category filtering...');
@@ -38,6 +62,58 @@ async function runAllTests() {
   testResults.push(await testSearchRanking());
   testResults.push(await testSearchSuggestions());
   testResults.push(await testSearchSpecialCharacters());
+  testResults.push(await testFuzzySearch());
+  testResults.push(await testSearchIndex());
+  testResults.push(await testQuerySyntax());
+  testResults.push(await testReverseLookup());
+  testResults.push(await testHighlightSegments());
+  testResults.push(await testRelevanceOrder());
+  
+  // Test the Unicode/CLDR importer
+  console.log('\n📥 Testing emoji data importer...');
+  testResults.push(testParseEmojiTest());
+  testResults.push(testParseAnnotations());
+  testResults.push(testBuildAndDiff());
+  
+  // Test copy formats
+  console.log('\n📋 Testing copy formats...');
+  testResults.push(await testCopyFormatConversion());
+  testResults.push(testCopyFormatRegistry());
+  
+  // Test versioned storage
+  console.log('\n💾 Testing storage...');
+  testResults.push(testStorageMigration());
+  testResults.push(testStorageValidation());
+  testResults.push(testStorageSync());
+  
+  // Test settings backup
+  console.log('\n🗄️ Testing settings backup...');
+  testResults.push(testBackupRoundTrip());
+  testResults.push(testBackupImportModes());
+  
+  // Test the emoji detail panel
+  console.log('\n🔎 Testing emoji detail panel...');
+  testResults.push(await testDetailPanelRows());
+  
+  // Test recently used tracking
+  console.log('\n🕘 Testing recently used tracking...');
+  testResults.push(testRecentlyUsedTracking());
+  testResults.push(testRecentlyUsedTrimming());
+  testResults.push(testRecentlyUsedUndo());
+  
+  // Test notification actions
+  console.log('\n🔔 Testing notification actions...');
+  testResults.push(testNotificationActions());
+  
+  // Test compose tray editing
+  console.log('\n✍️ Testing compose tray...');
+  testResults.push(testComposeGraphemes());
+  testResults.push(testComposeDeletion());
+  
+  // Test keyboard shortcuts
+  console.log('\n⌨️ Testing keyboard shortcuts...');
+  testResults.push(testShortcutKeys());
+  testResults.push(testShortcutBindings());
   
   // Summary
   const passedTests = testResults.filter(result => result === true).length;
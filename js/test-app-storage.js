@@ -0,0 +1,218 @@
+/**
+ * Unit tests for versioned storage, migrations, quarantine and cross-tab sync
+ */
+
+const AppStorage = require('./app-storage.js');
+const { mockLocalStorage } = require('./test-helpers.js');
+
+/**
+ * Test migrating data saved before versioning
+ */
+function testStorageMigration() {
+  console.log('Testing storage migrations...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    // Version 1: bare strings and recently used entries without usage data
+    const storage = mockLocalStorage({
+      'emoji-copy-theme': 'dark',
+      'emoji-copy-rich-html': 'true',
+      'emoji-copy-sort-order': 'alphabetical',
+      'emoji-copy-recently-used': JSON.stringify([
+        { emoji: '🍕', name: 'pizza', timestamp: 2000 },
+        { name: 'no emoji' },
+        { emoji: '😀', name: 'grinning face', timestamp: 1000 }
+      ]),
+      'emoji-copy-favorites': JSON.stringify([{ emoji: '❤️', name: 'red heart' }])
+    });
+
+    console.assert(AppStorage.getStoredVersion() === 1, 'Unversioned data should be version 1');
+    console.assert(AppStorage.migrate(), 'Migration should succeed');
+    console.assert(storage['emoji-copy-storage-version'] === String(AppStorage.VERSION), 'Current version should be saved');
+
+    console.assert(storage['emoji-copy-theme'] === '"dark"', 'Bare strings should become JSON');
+    console.assert(AppStorage.get('emoji-copy-theme') === 'dark', 'Migrated theme should load');
+    console.assert(AppStorage.get('emoji-copy-rich-html') === true, 'Rich HTML flag should become a boolean');
+    console.assert(AppStorage.get('emoji-copy-sort-order') === 'alphabetical', 'Migrated sort order should load');
+
+    const recent = AppStorage.get('emoji-copy-recently-used', []);
+    console.assert(recent.length === 2, 'Malformed recent entries should be dropped');
+    console.assert(recent[0].emoji === '🍕' && recent[1].emoji === '😀', 'Recent order should be kept');
+    console.assert(recent.every(item => item.count === 1 && item.frecency === 1), 'Legacy entries should count as one use');
+    console.assert(AppStorage.get('emoji-copy-favorites', [])[0].name === 'red heart', 'Unchanged keys should load as before');
+
+    // Already migrated data is left alone
+    AppStorage.migrate();
+    console.assert(storage['emoji-copy-theme'] === '"dark"', 'Migrations should not run twice');
+
+    // A payload the migration can't read is quarantined, not dropped
+    const brokenStorage = mockLocalStorage({ 'emoji-copy-recently-used': '[{"emoji":' });
+    AppStorage.migrate();
+    const [quarantined] = AppStorage.getQuarantined();
+    console.assert(!('emoji-copy-recently-used' in brokenStorage), 'Unreadable payload should be moved out of the way');
+    console.assert(quarantined && quarantined.key === 'emoji-copy-recently-used', 'Unreadable payload should be quarantined');
+    console.assert(quarantined.value === '[{"emoji":', 'Quarantine should keep the raw payload');
+    console.assert(quarantined.reason.includes('Migration to version 2'), 'Quarantine should say why');
+    console.assert(AppStorage.get('emoji-copy-recently-used', []).length === 0, 'Quarantined key should load as its fallback');
+
+    // Data from a newer version is never migrated or quarantined
+    const newerStorage = mockLocalStorage({ 'emoji-copy-storage-version': '99', 'emoji-copy-theme': 'sepia' });
+    console.assert(!AppStorage.migrate(), 'Newer data should not be migrated');
+    console.assert(AppStorage.get('emoji-copy-theme', 'light') === 'light', 'Unreadable newer data should load as the fallback');
+    console.assert(newerStorage['emoji-copy-theme'] === 'sepia', 'Newer data should be left in place');
+    console.assert(AppStorage.getQuarantined().length === 0, 'Newer data should not be quarantined');
+
+    console.log('✅ All storage migration tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Storage migration test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test validation on load, saving and quarantining of current-version data
+ */
+function testStorageValidation() {
+  console.log('Testing storage validation...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    const storage = mockLocalStorage({ 'emoji-copy-storage-version': String(AppStorage.VERSION) });
+
+    // Round trip
+    console.assert(AppStorage.set('emoji-copy-compose', { text: '🍕', active: true }), 'Value should be saved');
+    console.assert(AppStorage.get('emoji-copy-compose').text === '🍕', 'Saved value should load');
+    console.assert(AppStorage.remove('emoji-copy-compose') && !('emoji-copy-compose' in storage), 'Value should be removed');
+    console.assert(AppStorage.get('emoji-copy-compose', 'none') === 'none', 'Missing value should load as the fallback');
+
+    // Entries are cleaned up the way each component used to on load
+    AppStorage.set('emoji-copy-favorites', [
+      { emoji: '😀', name: 'grinning face' },
+      { emoji: '😀', name: 'grinning face' },
+      { emoji: '❤️' }
+    ]);
+    console.assert(AppStorage.get('emoji-copy-favorites', []).length === 1, 'Duplicate and malformed favorites should be dropped');
+    AppStorage.set('emoji-copy-recently-used', [
+      { emoji: '🍕', name: 'pizza', timestamp: 2000, count: 2 },
+      { emoji: 42, name: 'number' },
+      { emoji: '😀', name: { html: '<b>' } },
+      { emoji: '❤️', name: 'red heart', timestamp: 'yesterday' },
+      { emoji: '🔥', name: 'fire', count: null }
+    ]);
+    console.assert(JSON.stringify(AppStorage.get('emoji-copy-recently-used', []).map(item => item.emoji)) === '["🍕"]', 'Entries with non-text fields or non-numeric usage should be dropped');
+    AppStorage.set('emoji-copy-favorites', [{ emoji: ['😀'], name: 'grinning face' }, { emoji: '🍕', name: 7 }]);
+    console.assert(AppStorage.get('emoji-copy-favorites', []).length === 0, 'Favorites with non-text fields should be dropped');
+    AppStorage.set('emoji-copy-search-learning', {
+      heart: { emojis: { '❤️': 3, '💔': 'many', '🧡': -1 }, lastUsed: 1000 },
+      pizza: { emojis: { '🍕': 1 } },
+      fire: { emojis: { '🔥': 0 }, lastUsed: 1000 }
+    });
+    console.assert(JSON.stringify(AppStorage.get('emoji-copy-search-learning', {})) === '{"heart":{"emojis":{"❤️":3},"lastUsed":1000}}', 'Learned terms should keep only valid counts and timestamps');
+    AppStorage.set('emoji-copy-shortcuts', { 'focus-search': 'Ctrl+K', 'copy-last': 42 });
+    console.assert(JSON.stringify(AppStorage.get('emoji-copy-shortcuts', {})) === '{"focus-search":"Ctrl+K"}', 'Malformed key bindings should be dropped');
+
+    // Payloads of the wrong shape or that aren't JSON are quarantined
+    storage['emoji-copy-recently-used'] = '{"emoji":"😀"}';
+    storage['emoji-copy-theme'] = '"sepia"';
+    storage['emoji-copy-search-learning'] = 'not json';
+    console.assert(AppStorage.get('emoji-copy-recently-used', []).length === 0, 'Wrong shape should load as the fallback');
+    console.assert(AppStorage.get('emoji-copy-theme', 'light') === 'light', 'Invalid value should load as the fallback');
+    console.assert(Object.keys(AppStorage.get('emoji-copy-search-learning', {})).length === 0, 'Invalid JSON should load as the fallback');
+
+    const quarantined = AppStorage.getQuarantined();
+    console.assert(quarantined.length === 3, 'Each unreadable payload should be quarantined');
+    console.assert(quarantined[0].value === '{"emoji":"😀"}', 'Quarantine should keep the raw payload');
+    console.assert(['emoji-copy-recently-used', 'emoji-copy-theme', 'emoji-copy-search-learning'].every(key => !(key in storage)), 'Quarantined keys should be removed');
+
+    AppStorage.clearQuarantine();
+    console.assert(AppStorage.getQuarantined().length === 0, 'Quarantine should be cleared');
+
+    // Imported data goes through the same checks
+    console.assert(AppStorage.validate('emoji-copy-recently-used', [{ emoji: '🍕', name: 'pizza' }])[0].count === 1, 'Validation should fill in usage data');
+    try {
+      AppStorage.validate('emoji-copy-unknown', {});
+      console.assert(false, 'Should throw for an unknown key');
+    } catch (error) {
+      console.assert(error.message.includes('Unknown storage key'), 'Should throw specific error for unknown key');
+    }
+
+    console.log('✅ All storage validation tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Storage validation test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test notifying listeners of changes saved by other tabs
+ */
+function testStorageSync() {
+  console.log('Testing storage sync between tabs...');
+
+  const originalLocalStorage = global.localStorage;
+  const originalWindow = global.window;
+  try {
+    const storage = mockLocalStorage({ 'emoji-copy-storage-version': String(AppStorage.VERSION) });
+    const handlers = [];
+    global.window = { addEventListener: (type, handler) => { if (type === 'storage') handlers.push(handler); } };
+
+    const themes = [];
+    const favorites = [];
+    AppStorage.onExternalChange('emoji-copy-theme', theme => themes.push(theme));
+    AppStorage.onExternalChange('emoji-copy-favorites', list => favorites.push(list));
+    console.assert(handlers.length === 1, 'One storage listener should serve every key');
+
+    // Another tab saves, removes, then clears everything
+    const dispatch = key => handlers.forEach(handler => handler({ key, storageArea: global.localStorage }));
+    storage['emoji-copy-theme'] = '"dark"';
+    dispatch('emoji-copy-theme');
+    delete storage['emoji-copy-theme'];
+    dispatch('emoji-copy-theme');
+    dispatch('emoji-copy-compose');
+    storage['emoji-copy-favorites'] = JSON.stringify([{ emoji: '🍕', name: 'pizza' }]);
+    dispatch(null);
+
+    console.assert(JSON.stringify(themes) === '["dark",null,null]', 'Theme listener should get each new value');
+    console.assert(favorites.length === 1 && favorites[0][0].emoji === '🍕', 'Clearing storage should notify every listener with the loaded value');
+
+    // Changes to other storage areas are ignored
+    handlers.forEach(handler => handler({ key: 'emoji-copy-theme', storageArea: {} }));
+    console.assert(themes.length === 3, 'Session storage changes should be ignored');
+
+    console.log('✅ All storage sync tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Storage sync test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+    global.window = originalWindow;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const migrationTestPassed = testStorageMigration();
+  const validationTestPassed = testStorageValidation();
+  const syncTestPassed = testStorageSync();
+
+  if (migrationTestPassed && validationTestPassed && syncTestPassed) {
+    console.log('🎉 All storage tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some storage tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testStorageMigration,
+  testStorageValidation,
+  testStorageSync
+};
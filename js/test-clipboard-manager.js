@@ -93,6 +93,30 @@ const ClipboardManagerTests = {
         }
     },
 
+    /**
+     * Test copying an emoji with an HTML flavor (requires user interaction)
+     */
+    async testRichHtmlCopy() {
+        console.log('Testing rich HTML copy...');
+        
+        try {
+            const success = await ClipboardManager.copyToClipboard('😀', {
+                html: '<span role="img" aria-label="grinning face">😀</span>'
+            });
+            
+            if (success) {
+                console.log('✅ Rich HTML copy successful, paste into a rich editor to check the alt text');
+                return true;
+            } else {
+                console.error('❌ Rich HTML copy failed');
+                return false;
+            }
+        } catch (error) {
+            console.error('❌ Rich HTML copy error:', error.message);
+            return false;
+        }
+    },
+
     /**
      * Test error handling with invalid input
      */
@@ -156,6 +180,7 @@ const ClipboardManagerTests = {
         console.log('Run these manually by calling:');
         console.log('- ClipboardManagerTests.testBasicCopy()');
         console.log('- ClipboardManagerTests.testEmojiCopy()');
+        console.log('- ClipboardManagerTests.testRichHtmlCopy()');
 
         const passedTests = Object.values(results).filter(result => result).length;
         const totalTests = Object.keys(results).length;
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for grapheme-aware editing in the compose tray
+ */
+
+const ComposeTray = require('./compose-tray.js');
+
+/**
+ * Apply a deletion the way the compose tray does
+ * @param {string} text - Composed text
+ * @param {number} cursor - Cursor offset
+ * @param {number} direction - -1 for Backspace, 1 for Delete
+ * @returns {string} Text after the deletion
+ */
+function deleteAt(text, cursor, direction) {
+  const range = ComposeTray.getDeletionRange(text, cursor, cursor, direction);
+  return range ? text.slice(0, range.start) + text.slice(range.end) : text;
+}
+
+/**
+ * Test splitting composed text into what users see as characters
+ */
+function testComposeGraphemes() {
+  console.log('Testing compose tray grapheme splitting...');
+
+  try {
+    const family = '👨‍👩‍👧‍👦';
+    const text = `a${family}🇯🇵👍🏽✌️`;
+    const clusters = ComposeTray.getGraphemes(text);
+    console.assert(JSON.stringify(clusters.map(cluster => cluster.segment)) === JSON.stringify(['a', family, '🇯🇵', '👍🏽', '✌️']), 'ZWJ sequences, flags and toned emojis should each be one cluster');
+    console.assert(clusters[1].index === 1 && clusters[2].index === 1 + family.length, 'Clusters should carry their offsets');
+    console.assert(ComposeTray.getGraphemes('').length === 0, 'Empty text should have no clusters');
+
+    console.log('✅ All compose tray grapheme tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Compose tray grapheme test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test Backspace and Delete removing whole clusters
+ */
+function testComposeDeletion() {
+  console.log('Testing compose tray deletion...');
+
+  try {
+    const family = '👨‍👩‍👧‍👦';
+
+    // Backspace removes the whole cluster before the cursor
+    console.assert(deleteAt(`hi${family}`, 2 + family.length, -1) === 'hi', 'Backspace should remove a whole ZWJ family');
+    console.assert(deleteAt('🇯🇵🇫🇷', 4, -1) === '🇫🇷', 'Backspace should remove both regional indicators of a flag');
+    console.assert(deleteAt('👍🏽!', 4, -1) === '!', 'Backspace should remove a toned emoji with its modifier');
+    console.assert(deleteAt('✌️', 2, -1) === '', 'Backspace should remove the variation selector with its emoji');
+
+    // Delete removes the whole cluster after the cursor
+    console.assert(deleteAt(`${family}x`, 0, 1) === 'x', 'Delete should remove a whole ZWJ family');
+    console.assert(deleteAt('🇯🇵🇫🇷', 4, 1) === '🇯🇵', 'Delete should remove a whole flag');
+    console.assert(deleteAt('a👍🏽', 1, 1) === 'a', 'Delete should remove a toned emoji with its modifier');
+
+    // A cursor inside a cluster still removes all of it
+    console.assert(deleteAt(family, 3, -1) === '' && deleteAt(family, 3, 1) === '', 'A cursor inside a cluster should remove the whole cluster');
+
+    // Nothing to delete at the edges; selections are deleted as they are
+    console.assert(ComposeTray.getDeletionRange('👍🏽', 0, 0, -1) === null, 'Backspace at the start should delete nothing');
+    console.assert(ComposeTray.getDeletionRange('👍🏽', 4, 4, 1) === null, 'Delete at the end should delete nothing');
+    const selection = ComposeTray.getDeletionRange('abc', 1, 3, -1);
+    console.assert(selection.start === 1 && selection.end === 3, 'A selection should be deleted as selected');
+
+    console.log('✅ All compose tray deletion tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Compose tray deletion test failed:', error);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const graphemesTestPassed = testComposeGraphemes();
+  const deletionTestPassed = testComposeDeletion();
+
+  if (graphemesTestPassed && deletionTestPassed) {
+    console.log('🎉 All compose tray tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some compose tray tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testComposeGraphemes,
+  testComposeDeletion
+};
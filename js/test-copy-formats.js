@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the copy format registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Serve the bundled dataset to EmojiData
+global.fetch = async () => ({
+  ok: true,
+  json: async () => JSON.parse(fs.readFileSync(path.join(__dirname, 'emoji-data.json'), 'utf8'))
+});
+
+const { mockLocalStorage } = require('./test-helpers.js');
+
+// Mock localStorage for the default format
+const storage = mockLocalStorage();
+
+global.EmojiData = require('./emoji-data.js');
+global.AppStorage = require('./app-storage.js');
+const CopyFormats = require('./copy-formats.js');
+
+/**
+ * Test conversion of single and multi-codepoint emojis
+ */
+async function testCopyFormatConversion() {
+  console.log('Testing copy format conversion...');
+
+  try {
+    await EmojiData.loadEmojis();
+
+    const expected = {
+      emoji: '😀',
+      codepoints: 'U+1F600',
+      html: '&#x1F600;',
+      js: '\\u{1F600}',
+      utf16: '\\ud83d\\ude00',
+      css: 'content: "\\1F600"',
+      url: '%F0%9F%98%80',
+      shortcode: ':grinning:'
+    };
+    Object.entries(expected).forEach(([format, value]) => {
+      const converted = CopyFormats.convert('😀', format);
+      console.assert(converted === value, `${format} should convert 😀 to ${value}, got ${converted}`);
+    });
+
+    // ZWJ sequences keep every codepoint, skin tones included
+    const technologist = '👩🏽‍💻';
+    console.assert(CopyFormats.convert(technologist, 'codepoints') === 'U+1F469 U+1F3FD U+200D U+1F4BB', 'Codepoints should list the whole sequence');
+    console.assert(CopyFormats.convert(technologist, 'html') === '&#x1F469;&#x1F3FD;&#x200D;&#x1F4BB;', 'HTML entities should cover the whole sequence');
+    console.assert(CopyFormats.convert(technologist, 'js') === '\\u{1F469}\\u{1F3FD}\\u{200D}\\u{1F4BB}', 'JS escapes should cover the whole sequence');
+    console.assert(CopyFormats.convert(technologist, 'utf16') === '\\ud83d\\udc69\\ud83c\\udffd\\u200d\\ud83d\\udcbb', 'UTF-16 escapes should use surrogate pairs');
+    console.assert(CopyFormats.convert(technologist, 'css') === 'content: "\\1F469 \\1F3FD \\200D \\1F4BB"', 'CSS escapes should be space-separated');
+    console.assert(decodeURIComponent(CopyFormats.convert(technologist, 'url')) === technologist, 'URL encoding should round-trip');
+    console.assert(CopyFormats.convert(technologist, 'shortcode') === ':woman_technologist::skin-tone-4:', 'Shortcode should carry the skin tone');
+    console.assert(CopyFormats.convert('👍🏽', 'shortcode') === ':+1::skin-tone-4:', 'Shortcode should use the common alias');
+    console.assert(CopyFormats.convert('❤', 'shortcode') === ':heart:', 'Shortcode should ignore a missing variation selector');
+    console.assert(CopyFormats.convert('🐹', 'shortcode') === ':hamster:', 'Shortcode should fall back to the CLDR name');
+
+    // Variation selectors survive, and evaluating the escapes gives the emoji back
+    const rainbowFlag = '🏳️‍🌈';
+    console.assert(CopyFormats.convert(rainbowFlag, 'codepoints') === 'U+1F3F3 U+FE0F U+200D U+1F308', 'Variation selectors should be kept');
+    console.assert(JSON.parse(`"${CopyFormats.convert(rainbowFlag, 'utf16')}"`) === rainbowFlag, 'UTF-16 escapes should decode to the emoji');
+    console.assert(eval(`'${CopyFormats.convert(rainbowFlag, 'js')}'`) === rainbowFlag, 'JS escapes should decode to the emoji');
+
+    // Emojis outside the dataset have no shortcode
+    console.assert(CopyFormats.convert('\u{1FAE9}', 'shortcode') === null, 'Unknown emoji should have no shortcode');
+    console.assert(CopyFormats.convert('\u{1FAE9}', 'html') === '&#x1FAE9;', 'Unknown emoji should still convert to codepoint formats');
+
+    try {
+      CopyFormats.convert('😀', 'morse');
+      console.assert(false, 'Should throw for an unknown format');
+    } catch (error) {
+      console.assert(error.message.includes('Unknown copy format'), 'Should throw specific error for unknown format');
+    }
+
+    console.log('✅ All copy format conversion tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Copy format conversion test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test the registry and the saved default format
+ */
+function testCopyFormatRegistry() {
+  console.log('Testing copy format registry...');
+
+  try {
+    const ids = CopyFormats.getFormats().map(format => format.id);
+    console.assert(ids[0] === 'emoji', 'The emoji itself should be the first format');
+    console.assert(['codepoints', 'html', 'js', 'utf16', 'css', 'url', 'shortcode'].every(id => ids.includes(id)), 'All built-in formats should be registered');
+
+    // Default format
+    console.assert(CopyFormats.getDefaultFormat() === 'emoji', 'Default format should be the emoji');
+    console.assert(CopyFormats.setDefaultFormat('html'), 'Known format should be saved');
+    console.assert(CopyFormats.getDefaultFormat() === 'html', 'Saved format should be the default');
+    console.assert(!CopyFormats.setDefaultFormat('morse'), 'Unknown format should be rejected');
+    console.assert(CopyFormats.getDefaultFormat() === 'html', 'Rejected format should not change the default');
+    storage['emoji-copy-format'] = 'morse';
+    console.assert(CopyFormats.getDefaultFormat() === 'emoji', 'Stale stored format should fall back to the emoji');
+    CopyFormats.setDefaultFormat('emoji');
+    console.assert(!('emoji-copy-format' in storage), 'Choosing the emoji should clear the stored format');
+
+    // Custom formats
+    CopyFormats.register('test-length', { label: 'Test', convert: unicode => unicode.length.toString() });
+    console.assert(CopyFormats.convert('👍', 'test-length') === '2', 'Registered format should convert');
+    console.assert(CopyFormats.getFormat('test-length').label === 'Test', 'Registered format should be listed');
+
+    console.log('✅ All copy format registry tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Copy format registry test failed:', error);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    const conversionTestPassed = await testCopyFormatConversion();
+    const registryTestPassed = testCopyFormatRegistry();
+
+    if (conversionTestPassed && registryTestPassed) {
+      console.log('🎉 All copy format tests passed!');
+      process.exit(0);
+    } else {
+      console.log('💥 Some copy format tests failed!');
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  testCopyFormatConversion,
+  testCopyFormatRegistry
+};
@@ -87,7 +87,8 @@ function testEmojiDataParsing() {
       name: 'Grinning Face',
       category: 'smileys-emotion',
       keywords: ['happy', 'smile'],
-      codepoint: '1F600'
+      codepoint: '1F600',
+      version: '1.0'
     };
     
     const parsed = EmojiData.parseEmojiData(validEmoji);
@@ -96,6 +97,7 @@ function testEmojiDataParsing() {
     console.assert(parsed.category === 'smileys-emotion', 'Category should be preserved');
     console.assert(Array.isArray(parsed.keywords), 'Keywords should be an array');
     console.assert(parsed.codepoint === '1F600', 'Codepoint should be preserved');
+    console.assert(parsed.version === '1.0', 'Emoji version should be preserved');
     
     // Test missing required field
     try {
@@ -114,13 +116,188 @@ function testEmojiDataParsing() {
   }
 }
 
+/**
+ * Test skin tone variant functionality
+ */
+async function testSkinToneVariants() {
+  console.log('Testing skin tone variants...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    // Test tone list
+    const tones = EmojiData.getSkinTones();
+    console.assert(tones.length === 5, 'Should have five Fitzpatrick tones');
+    console.assert(tones[0].modifier === '1F3FB' && tones[4].modifier === '1F3FF', 'Tones should cover U+1F3FB–1F3FF');
+    
+    // Test parsing of the skinTones flag
+    const parsed = EmojiData.parseEmojiData({
+      unicode: '👍', name: 'thumbs up', category: 'people-body', keywords: [], codepoint: '1F44D', skinTones: true
+    });
+    console.assert(parsed.skinTones === true, 'skinTones flag should be preserved');
+    
+    // Test variant generation
+    const thumbsUp = EmojiData.findByUnicode('👍');
+    console.assert(thumbsUp, 'Should find thumbs up by unicode');
+    console.assert(EmojiData.supportsSkinTones(thumbsUp), 'Thumbs up should support skin tones');
+    const variants = EmojiData.getSkinToneVariants(thumbsUp);
+    console.assert(variants.length === 5, 'Should generate five variants');
+    console.assert(variants[2].unicode === '👍🏽', 'Medium variant should be 👍🏽');
+    console.assert(variants[2].codepoint === '1F44D 1F3FD', 'Variant codepoint should include the modifier');
+    
+    // Test that the emoji presentation selector is replaced by the modifier
+    console.assert(EmojiData.applySkinTone('✌️', 'dark') === '✌🏿', 'Modifier should replace FE0F');
+    
+    // Test re-toning and stripping
+    console.assert(EmojiData.applySkinTone('👍🏽', 'light') === '👍🏻', 'Should replace an existing tone');
+    console.assert(EmojiData.applySkinTone('👍🏽', 'default') === '👍', 'Default tone should return the base emoji');
+    console.assert(EmojiData.stripSkinTone('👍🏿') === '👍', 'Should strip skin tone modifiers');
+    console.assert(EmojiData.getIdentity('✌🏽') === EmojiData.getIdentity('✌️'), 'A toned emoji should match its catalog entry');
+    console.assert(EmojiData.findByUnicode('👍🏿') === thumbsUp, 'Toned emoji should resolve to its base');
+    
+    // Test emojis without variants are untouched
+    console.assert(EmojiData.getSkinToneVariants(EmojiData.findByUnicode('😀')).length === 0, 'Faces should have no variants');
+    console.assert(EmojiData.applySkinTone('😀', 'dark') === '😀', 'Should not tone unsupported emojis');
+    
+    console.log('✅ All skin tone variant tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Skin tone test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test codepoint sequences for ZWJ and multi-codepoint emojis
+ */
+async function testCodepointSequences() {
+  console.log('Testing codepoint sequences...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    // Test conversion both ways
+    console.assert(EmojiData.toCodepointSequence('😀') === '1F600', 'Single codepoint should convert');
+    console.assert(EmojiData.toCodepointSequence('👩‍💻') === '1F469 200D 1F4BB', 'ZWJ sequence should keep every codepoint');
+    console.assert(EmojiData.toCodepointSequence('🏳️‍🌈') === '1F3F3 FE0F 200D 1F308', 'Variation selectors should be kept');
+    console.assert(EmojiData.fromCodepointSequence('1F469 200D 1F4BB') === '👩‍💻', 'Sequence should convert back to the emoji');
+    
+    // Test sequence validation
+    console.assert(EmojiData.isValidCodepointSequence('1F3F3 FE0F 200D 1F308'), 'Space-separated sequence should be valid');
+    console.assert(!EmojiData.isValidCodepointSequence('1F1FA-1F1F8'), 'Dash-separated sequence should be invalid');
+    console.assert(!EmojiData.isValidCodepointSequence('XYZ'), 'Non-hex sequence should be invalid');
+    console.assert(!EmojiData.isValidCodepointSequence('110000'), 'Out-of-range codepoint should be invalid');
+    
+    // Test that parseEmojiData checks the sequence against the unicode
+    const parsed = EmojiData.parseEmojiData({
+      unicode: '👩‍💻', name: 'woman technologist', category: 'people-body', keywords: [], codepoint: '1f469 200d 1f4bb'
+    });
+    console.assert(parsed.codepoint === '1F469 200D 1F4BB', 'Codepoint sequence should be normalized to uppercase');
+    
+    try {
+      EmojiData.parseEmojiData({
+        unicode: '👩‍💻', name: 'woman technologist', category: 'people-body', keywords: [], codepoint: '1F469'
+      });
+      console.assert(false, 'Should throw for a truncated sequence');
+    } catch (error) {
+      console.assert(error.message.includes('does not match'), 'Should throw specific error for mismatched sequence');
+    }
+    
+    // Test that the whole dataset uses full sequences
+    const invalid = EmojiData.getAllEmojis().filter(emoji =>
+      EmojiData.toCodepointSequence(emoji.unicode) !== emoji.codepoint
+    );
+    console.assert(invalid.length === 0, `All emojis should store full sequences: ${invalid.map(e => e.name).join(', ')}`);
+    
+    // Test that ZWJ emojis are searchable and resolve as one emoji
+    const technologists = EmojiData.search('technologist');
+    console.assert(technologists.some(emoji => emoji.unicode === '👩‍💻'), 'Should find ZWJ emoji by name');
+    console.assert(EmojiData.findByUnicode('👩🏽‍💻').name === 'woman technologist', 'Toned ZWJ emoji should resolve to its base');
+    console.assert(EmojiData.applySkinTone('👩‍💻', 'medium') === '👩🏽‍💻', 'Tone should apply to the first person in the sequence');
+    
+    console.log('✅ All codepoint sequence tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Codepoint sequence test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test sort orders for browsing
+ */
+async function testSortOrders() {
+  console.log('Testing sort orders...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    const emojis = EmojiData.getAllEmojis();
+    
+    const orders = EmojiData.getSortOrders().map(order => order.id);
+    console.assert(['default', 'alphabetical', 'codepoint', 'version', 'usage'].every(id => orders.includes(id)), 'Should offer every sort order');
+    
+    // Test default keeps dataset order and does not modify the input
+    const original = emojis.map(emoji => emoji.unicode).join('');
+    console.assert(EmojiData.sortEmojis(emojis, 'default').map(emoji => emoji.unicode).join('') === original, 'Default should keep dataset order');
+    EmojiData.sortEmojis(emojis, 'alphabetical');
+    console.assert(emojis.map(emoji => emoji.unicode).join('') === original, 'Sorting should not modify the input');
+    
+    // Test alphabetical
+    const alphabetical = EmojiData.sortEmojis(emojis, 'alphabetical');
+    const isAlphabetical = alphabetical.every((emoji, i) => i === 0 ||
+      alphabetical[i - 1].name.localeCompare(emoji.name, undefined, { sensitivity: 'base' }) <= 0);
+    console.assert(isAlphabetical, 'Alphabetical should sort by name');
+    
+    // Test codepoint order compares whole sequences numerically
+    const byCodepoint = EmojiData.sortEmojis(emojis, 'codepoint');
+    const firstCodepoints = byCodepoint.map(emoji => emoji.unicode.codePointAt(0));
+    console.assert(firstCodepoints.every((codepoint, i) => i === 0 || firstCodepoints[i - 1] <= codepoint), 'Codepoint should sort by first codepoint');
+    
+    // Test version order, newest first, with unversioned emojis last
+    const versioned = [
+      { unicode: '🫠', name: 'melting face', version: '14.0' },
+      { unicode: '😀', name: 'grinning face' },
+      { unicode: '🥲', name: 'smiling face with tear', version: '13.0' }
+    ];
+    console.assert(EmojiData.sortEmojis(versioned, 'version').map(emoji => emoji.name).join() ===
+      'melting face,smiling face with tear,grinning face', 'Version should sort newest first');
+    
+    // Test the bundled data has versions to sort by
+    console.assert(emojis.every(emoji => emoji.version), 'Every bundled emoji should have a version');
+    const newest = EmojiData.sortEmojis(emojis, 'version');
+    console.assert(newest[0].version === '13.1' && newest[newest.length - 1].version === '0.6', 'Newest first should change the order of the bundled data');
+    
+    // Test usage, ignoring skin tones
+    const usage = new Map([['👍', 2], ['🍕', 5]]);
+    const byUsage = EmojiData.sortEmojis(emojis, 'usage', { usage });
+    console.assert(byUsage[0].unicode === '🍕' && byUsage[1].unicode === '👍', 'Usage should sort most used first');
+    console.assert(byUsage[2].unicode === emojis[0].unicode, 'Unused emojis should keep dataset order');
+    
+    try {
+      EmojiData.sortEmojis(emojis, 'random');
+      console.assert(false, 'Should throw for unknown sort orders');
+    } catch (error) {
+      console.assert(error.message.includes('Unknown sort order'), 'Should throw specific error for unknown sort orders');
+    }
+    
+    console.log('✅ All sort order tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Sort order test failed:', error);
+    return false;
+  }
+}
+
 // Run tests if this file is executed directly
 if (require.main === module) {
   (async () => {
     const loadingTestPassed = await testEmojiDataLoading();
     const parsingTestPassed = testEmojiDataParsing();
+    const skinToneTestPassed = await testSkinToneVariants();
+    const sequenceTestPassed = await testCodepointSequences();
+    const sortTestPassed = await testSortOrders();
     
-    if (loadingTestPassed && parsingTestPassed) {
+    if (loadingTestPassed && parsingTestPassed && skinToneTestPassed && sequenceTestPassed && sortTestPassed) {
       console.log('🎉 All tests passed!');
       process.exit(0);
     } else {
@@ -132,5 +309,8 @@ if (require.main === module) {
 
 module.exports = {
   testEmojiDataLoading,
-  testEmojiDataParsing
+  testEmojiDataParsing,
+  testSkinToneVariants,
+  testCodepointSequences,
+  testSortOrders
 };
\ No newline at end of file
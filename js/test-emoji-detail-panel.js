@@ -0,0 +1,73 @@
+/**
+ * Unit tests for the emoji detail panel's metadata
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Serve the bundled dataset to EmojiData
+global.fetch = async () => ({
+  ok: true,
+  json: async () => JSON.parse(fs.readFileSync(path.join(__dirname, 'emoji-data.json'), 'utf8'))
+});
+
+global.EmojiData = require('./emoji-data.js');
+global.CopyFormats = require('./copy-formats.js');
+const EmojiDetailPanel = require('./emoji-detail-panel.js');
+
+/**
+ * Create a panel showing an emoji, without building its DOM
+ * @param {string} unicode - Emoji unicode
+ * @returns {EmojiDetailPanel} Panel with the emoji selected
+ */
+function createPanel(unicode) {
+  const panel = Object.create(EmojiDetailPanel.prototype);
+  panel.emoji = EmojiData.findByUnicode(unicode);
+  panel.unicode = unicode;
+  return panel;
+}
+
+/**
+ * Test the metadata rows shown for an emoji
+ */
+async function testDetailPanelRows() {
+  console.log('Testing emoji detail panel rows...');
+
+  try {
+    await EmojiData.loadEmojis();
+
+    const details = new Map(createPanel('😀').getDetails());
+    console.assert(details.get('Unicode version') === 'Emoji 1.0', 'Should show the Unicode version of a known emoji');
+    console.assert(details.get('Codepoints') === 'U+1F600', 'Should show the codepoints');
+    console.assert(!details.has('Skin tones'), 'Should only mention skin tones when supported');
+
+    const thumbsUp = new Map(createPanel('👍🏽').getDetails());
+    console.assert(thumbsUp.get('Unicode version') === 'Emoji 0.6', 'Toned emojis should show their base emoji version');
+    console.assert(thumbsUp.has('Skin tones'), 'Should mention skin tone support');
+
+    console.log('✅ All emoji detail panel tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Emoji detail panel test failed:', error);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  (async () => {
+    const rowsTestPassed = await testDetailPanelRows();
+
+    if (rowsTestPassed) {
+      console.log('🎉 All emoji detail panel tests passed!');
+      process.exit(0);
+    } else {
+      console.log('💥 Some emoji detail panel tests failed!');
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  testDetailPanelRows
+};
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for the emoji-test.txt / CLDR importer
+ */
+
+const {
+  parseEmojiTest,
+  parseAnnotations,
+  buildEmojiData,
+  diffEmojiData,
+  formatDiffReport
+} = require('../scripts/import-emoji-data.js');
+
+const EMOJI_TEST_FIXTURE = `
+# group: Smileys & Emotion
+
+# subgroup: face-smiling
+1F600                                                  ; fully-qualified     # 😀 E1.0 grinning face
+
+# subgroup: face-affection
+263A FE0F                                              ; fully-qualified     # ☺️ E0.6 smiling face
+263A                                                   ; unqualified         # ☺ E0.6 smiling face
+
+# group: People & Body
+
+# subgroup: hand-fingers-closed
+1F44D                                                  ; fully-qualified     # 👍 E0.6 thumbs up
+1F44D 1F3FB                                            ; fully-qualified     # 👍🏻 E1.0 thumbs up: light skin tone
+1F44D 1F3FC                                            ; fully-qualified     # 👍🏼 E1.0 thumbs up: medium-light skin tone
+1F44D 1F3FD                                            ; fully-qualified     # 👍🏽 E1.0 thumbs up: medium skin tone
+1F44D 1F3FE                                            ; fully-qualified     # 👍🏾 E1.0 thumbs up: medium-dark skin tone
+1F44D 1F3FF                                            ; fully-qualified     # 👍🏿 E1.0 thumbs up: dark skin tone
+
+# subgroup: person-role
+1F469 200D 1F4BB                                       ; fully-qualified     # 👩‍💻 E4.0 woman technologist
+
+# group: Component
+
+# subgroup: skin-tone
+1F3FB                                                  ; component           # 🏻 E1.0 light skin tone
+
+# group: Flags
+
+# subgroup: flag
+1F3F3 FE0F 200D 1F308                                  ; fully-qualified     # 🏳️‍🌈 E4.0 rainbow flag
+`;
+
+const ANNOTATIONS_FIXTURE = `<?xml version="1.0" encoding="UTF-8" ?>
+<ldml>
+  <annotations>
+    <annotation cp="😀">face | grin | grinning face</annotation>
+    <annotation cp="😀" type="tts">grinning face</annotation>
+    <annotation cp="☺">face | outlined | relaxed | smile | smiling face</annotation>
+    <annotation cp="👍">+1 | hand | thumb | thumbs up | up</annotation>
+    <annotation cp="🏳‍🌈">pride | rainbow | rainbow flag &amp; more</annotation>
+  </annotations>
+</ldml>`;
+
+/**
+ * Test parsing of emoji-test.txt
+ */
+function testParseEmojiTest() {
+  console.log('Testing emoji-test.txt parsing...');
+
+  try {
+    const entries = parseEmojiTest(EMOJI_TEST_FIXTURE);
+    console.assert(entries.length === 12, `Should parse every data line, got ${entries.length}`);
+
+    const grinning = entries[0];
+    console.assert(grinning.codepoint === '1F600', 'Should parse the codepoint');
+    console.assert(grinning.unicode === '😀', 'Should build the emoji from its codepoints');
+    console.assert(grinning.status === 'fully-qualified', 'Should parse the qualification status');
+    console.assert(grinning.version === '1.0', 'Should parse the emoji version');
+    console.assert(grinning.name === 'grinning face', 'Should parse the name');
+    console.assert(grinning.group === 'Smileys & Emotion', 'Should track the group');
+    console.assert(grinning.subgroup === 'face-smiling', 'Should track the subgroup');
+
+    const technologist = entries.find(entry => entry.name === 'woman technologist');
+    console.assert(technologist.codepoint === '1F469 200D 1F4BB', 'Should keep full ZWJ sequences');
+
+    try {
+      parseEmojiTest('not a valid line');
+      console.assert(false, 'Should throw for unrecognized lines');
+    } catch (error) {
+      console.assert(error.message.includes('Unrecognized'), 'Should throw specific error for bad lines');
+    }
+
+    console.log('✅ emoji-test.txt parsing tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ emoji-test.txt parsing test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test parsing of CLDR annotations
+ */
+function testParseAnnotations() {
+  console.log('Testing CLDR annotation parsing...');
+
+  try {
+    const annotations = parseAnnotations(ANNOTATIONS_FIXTURE);
+    console.assert(annotations.get('😀').keywords.includes('grin'), 'Should parse keywords');
+    console.assert(annotations.get('😀').name === 'grinning face', 'Should parse the tts name');
+    console.assert(annotations.get('🏳‍🌈').keywords.includes('rainbow flag & more'), 'Should decode XML entities');
+
+    console.log('✅ CLDR annotation parsing tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ CLDR annotation parsing test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test building emoji-data.json and the diff report
+ */
+function testBuildAndDiff() {
+  console.log('Testing emoji data build and diff...');
+
+  try {
+    const current = {
+      emojis: [
+        { unicode: '😀', name: 'grinning face', category: 'smileys-emotion', keywords: ['happy'], codepoint: '1F600' },
+        { unicode: '🦄', name: 'unicorn', category: 'animals-nature', keywords: ['magic'], codepoint: '1F984' }
+      ]
+    };
+
+    const data = buildEmojiData(
+      parseEmojiTest(EMOJI_TEST_FIXTURE),
+      parseAnnotations(ANNOTATIONS_FIXTURE),
+      { current }
+    );
+
+    const codepoints = data.emojis.map(emoji => emoji.codepoint);
+    console.assert(codepoints.length === 5, `Should keep fully-qualified, non-component emojis, got ${codepoints.length}`);
+    console.assert(!codepoints.includes('263A'), 'Should skip unqualified entries');
+    console.assert(!codepoints.includes('1F3FB'), 'Should skip the Component group');
+    console.assert(!codepoints.includes('1F44D 1F3FD'), 'Should skip toned entries');
+
+    const grinning = data.emojis.find(emoji => emoji.codepoint === '1F600');
+    console.assert(grinning.category === 'smileys-emotion', 'Should map the group to a category');
+    console.assert(grinning.keywords.includes('grin'), 'Should include CLDR keywords');
+    console.assert(grinning.keywords.includes('happy'), 'Should keep curated keywords');
+    console.assert(!grinning.keywords.includes('grinning face'), 'Should not repeat the name as a keyword');
+
+    const smiling = data.emojis.find(emoji => emoji.codepoint === '263A FE0F');
+    console.assert(smiling.keywords.includes('relaxed'), 'Should match annotations without variation selectors');
+
+    const thumbsUp = data.emojis.find(emoji => emoji.codepoint === '1F44D');
+    console.assert(thumbsUp.skinTones === true, 'Should flag emojis with all five tones');
+    console.assert(!data.emojis.find(emoji => emoji.codepoint === '1F469 200D 1F4BB').skinTones, 'Should not flag emojis without toned entries');
+
+    const withUnqualified = buildEmojiData(
+      parseEmojiTest(EMOJI_TEST_FIXTURE),
+      parseAnnotations(ANNOTATIONS_FIXTURE),
+      { allStatuses: true }
+    );
+    const smilingForms = withUnqualified.emojis.filter(emoji => emoji.codepoint.split(' ')[0] === '263A');
+    console.assert(smilingForms.length === 1, 'allStatuses should not add a second entry for the same emoji');
+    console.assert(smilingForms[0].codepoint === '263A FE0F', 'allStatuses should keep the fully-qualified form');
+    console.assert(data.emojis.every(emoji => !('status' in emoji) && !('group' in emoji) && !('subgroup' in emoji)), 'Should only write fields the site reads');
+
+    // Test diff against the current file
+    const diff = diffEmojiData(current, data);
+    console.assert(diff.added.length === 4, 'Should report added emojis');
+    console.assert(diff.removed.length === 1 && diff.removed[0].name === 'unicorn', 'Should report removed emojis');
+    const grinningChange = diff.changed.find(change => change.emoji.codepoint === '1F600');
+    console.assert(grinningChange, 'Should report changed emojis');
+    console.assert(grinningChange.changes.some(change => change.field === 'version'), 'Should report new fields');
+    console.assert(grinningChange.changes.some(change => change.field === 'keywords' && change.added.includes('grin')), 'Should report added keywords');
+
+    const report = formatDiffReport(diff);
+    console.assert(report.includes('- Added: 4'), 'Report should summarize additions');
+    console.assert(report.includes('## Removed'), 'Report should list removals');
+    console.assert(report.includes('🦄'), 'Report should show the emoji');
+
+    console.log('✅ Emoji data build and diff tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Emoji data build and diff test failed:', error);
+    return false;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const parseTestPassed = testParseEmojiTest();
+  const annotationTestPassed = testParseAnnotations();
+  const buildTestPassed = testBuildAndDiff();
+
+  if (parseTestPassed && annotationTestPassed && buildTestPassed) {
+    console.log('🎉 All importer tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some importer tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testParseEmojiTest,
+  testParseAnnotations,
+  testBuildAndDiff
+};
@@ -0,0 +1,168 @@
+/**
+ * Helpers shared by the Node test suites
+ */
+
+const AppStorage = require('./app-storage.js');
+
+/**
+ * Replace localStorage with an in-memory mock for one test
+ * @param {Object} initial - Stored strings by key
+ * @returns {Object} The mock's backing store
+ */
+function mockLocalStorage(initial = {}) {
+  const storage = { ...initial };
+  global.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => { storage[key] = String(value); },
+    removeItem: key => { delete storage[key]; }
+  };
+  return storage;
+}
+
+/**
+ * Encode values the way AppStorage saves them, at the current storage version
+ * @param {Object} values - Values by key
+ * @returns {Object} Stored strings by key, for mockLocalStorage
+ */
+function encodeStorage(values = {}) {
+  const storage = { 'emoji-copy-storage-version': String(AppStorage.VERSION) };
+  Object.entries(values).forEach(([key, value]) => { storage[key] = JSON.stringify(value); });
+  return storage;
+}
+
+/**
+ * Minimal stand-in for a DOM element: classes, children, attributes, events and focus
+ */
+class FakeElement {
+  constructor(ownerDocument, tagName) {
+    this.ownerDocument = ownerDocument;
+    this.tagName = tagName.toUpperCase();
+    this.parentNode = null;
+    this.children = [];
+    this.dataset = {};
+    this.attributes = {};
+    this.listeners = {};
+    this.className = '';
+    this.text = '';
+    this.classList = {
+      add: (...names) => { this.className = [...new Set([...this.#classes(), ...names])].join(' '); },
+      remove: (...names) => { this.className = this.#classes().filter(name => !names.includes(name)).join(' '); },
+      contains: name => this.#classes().includes(name)
+    };
+  }
+
+  #classes() {
+    return this.className.split(/\s+/).filter(Boolean);
+  }
+
+  get textContent() {
+    return this.text + this.children.map(child => child.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.children.forEach(child => { child.parentNode = null; });
+    this.children = [];
+    this.text = String(value);
+  }
+
+  get isConnected() {
+    return this.ownerDocument.body.contains(this);
+  }
+
+  appendChild(child) {
+    child.remove();
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+      this.parentNode = null;
+    }
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find descendants by class, the only selector the code under test uses
+   * @param {string} selector - Class selector such as ".notification-action"
+   * @returns {Array} Matching elements in document order
+   */
+  querySelectorAll(selector) {
+    const className = selector.replace(/^\./, '');
+    return this.children.flatMap(child => [
+      ...(child.classList.contains(className) ? [child] : []),
+      ...child.querySelectorAll(selector)
+    ]);
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatchEvent(event) {
+    (this.listeners[event.type] || []).forEach(listener => listener.call(this, event));
+  }
+
+  focus() {
+    const previous = this.ownerDocument.activeElement;
+    this.ownerDocument.activeElement = this;
+    // focusin bubbles, and tells where focus came from
+    for (let current = this; current; current = current.parentNode) {
+      current.dispatchEvent({ type: 'focusin', target: this, relatedTarget: previous });
+    }
+  }
+}
+
+/**
+ * Replace document with a minimal fake for one test, for components that only
+ * create, find and focus elements
+ * @param {Array} ids - IDs of elements to create in the body
+ * @returns {Object} The fake document
+ */
+function mockDocument(ids = []) {
+  const fakeDocument = { activeElement: null };
+  fakeDocument.createElement = tagName => new FakeElement(fakeDocument, tagName);
+  fakeDocument.body = fakeDocument.createElement('body');
+  fakeDocument.activeElement = fakeDocument.body;
+  ids.forEach(id => {
+    const element = fakeDocument.body.appendChild(fakeDocument.createElement('div'));
+    element.id = id;
+  });
+  fakeDocument.getElementById = id => fakeDocument.body.children.find(element => element.id === id) || null;
+
+  global.document = fakeDocument;
+  global.requestAnimationFrame = callback => callback();
+  return fakeDocument;
+}
+
+module.exports = {
+  mockLocalStorage,
+  encodeStorage,
+  mockDocument
+};
@@ -0,0 +1,126 @@
+/**
+ * Unit tests for keyboard shortcut key names and remappable bindings
+ */
+
+global.AppStorage = require('./app-storage.js');
+const KeyboardShortcuts = require('./keyboard-shortcuts.js');
+const { mockLocalStorage, encodeStorage } = require('./test-helpers.js');
+
+/**
+ * Create shortcuts with a few registered actions
+ * @returns {Object} { shortcuts, calls } where calls counts handler runs per action
+ */
+function createShortcuts() {
+  const shortcuts = new KeyboardShortcuts();
+  const calls = {};
+  const handler = actionId => () => { calls[actionId] = (calls[actionId] || 0) + 1; };
+
+  shortcuts.register('focus-search', { label: 'Focus the search box', keys: '/', handler: handler('focus-search') });
+  shortcuts.register('copy-last', { label: 'Copy the most recently used emoji again', keys: 'Ctrl+Shift+C', handler: handler('copy-last') });
+  shortcuts.register('toggle-theme', { label: 'Toggle dark mode', keys: 'T', handler: handler('toggle-theme') });
+  shortcuts.register('grid-favorite', { label: 'Star the focused emoji', keys: 'F', section: 'Emoji grid' });
+  return { shortcuts, calls };
+}
+
+/**
+ * Test naming the keys of keyboard events
+ */
+function testShortcutKeys() {
+  console.log('Testing shortcut key names...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    mockLocalStorage(encodeStorage());
+    const { shortcuts } = createShortcuts();
+
+    console.assert(shortcuts.getKeys({ key: 'C', code: 'KeyC', ctrlKey: true, shiftKey: true }) === 'Ctrl+Shift+C', 'Modifiers should be listed in order');
+    console.assert(shortcuts.getKeys({ key: '¡', code: 'Digit1', altKey: true }) === 'Alt+1', 'Digits should be named by physical key');
+    console.assert(shortcuts.getKeys({ key: 'ç', code: 'KeyC', altKey: true }) === 'Alt+C', 'Letters should be named by physical key');
+    console.assert(shortcuts.getKeys({ key: 't', code: 'KeyT' }) === 'T', 'Letters should be uppercase');
+    console.assert(shortcuts.getKeys({ key: '?', code: 'Slash', shiftKey: true }) === '?', 'Shift should not be listed for symbols it produces');
+    console.assert(shortcuts.getKeys({ key: ' ', code: 'Space', ctrlKey: true }) === 'Ctrl+Space', 'The space bar should be named Space');
+    console.assert(shortcuts.getKeys({ key: 'Escape', code: 'Escape' }) === 'Escape', 'Named keys should keep their names');
+    console.assert(shortcuts.getKeys({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }) === null, 'Modifiers alone should not be keys');
+
+    console.log('✅ All shortcut key name tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Shortcut key name test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test remapping, conflicts, persistence and reset
+ */
+function testShortcutBindings() {
+  console.log('Testing shortcut bindings...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    const storage = mockLocalStorage(encodeStorage());
+    const { shortcuts, calls } = createShortcuts();
+
+    // Remapping saves the binding and the old keys stop working
+    console.assert(shortcuts.setBinding('copy-last', 'Alt+C').success, 'Free keys should be accepted');
+    console.assert(shortcuts.getBinding('copy-last') === 'Alt+C', 'The new keys should be bound');
+    console.assert(JSON.parse(storage['emoji-copy-shortcuts'])['copy-last'] === 'Alt+C', 'Custom bindings should be saved');
+    console.assert(shortcuts.findAction('Ctrl+Shift+C') === null, 'The old keys should be free');
+
+    // Conflicts and reserved or fixed keys are rejected
+    const conflict = shortcuts.setBinding('toggle-theme', '/');
+    console.assert(!conflict.success && conflict.message === '/ is already used for "Focus the search box"', 'Keys bound elsewhere should be rejected');
+    console.assert(shortcuts.getBinding('toggle-theme') === 'T', 'A rejected binding should leave the old one');
+    console.assert(!shortcuts.setBinding('toggle-theme', 'Tab').success, 'Navigation keys should be reserved');
+    console.assert(!shortcuts.setBinding('toggle-theme', 'F').success, 'Keys components handle themselves should not be reused');
+    console.assert(!shortcuts.setBinding('grid-favorite', 'Alt+G').success, 'Shortcuts without a handler should not be remappable');
+    console.assert(shortcuts.setBinding('toggle-theme', 'T').success, 'Rebinding an action to its own keys should be accepted');
+
+    // Bindings are loaded back, and binding the default keys drops the custom one
+    const reloaded = createShortcuts();
+    console.assert(reloaded.shortcuts.getBinding('copy-last') === 'Alt+C', 'Custom bindings should be loaded');
+    reloaded.shortcuts.setBinding('copy-last', 'Ctrl+Shift+C');
+    console.assert(!('copy-last' in JSON.parse(storage['emoji-copy-shortcuts'])), 'Binding the default keys should drop the custom binding');
+
+    // Bound keys run their handler, except unmodified keys while typing
+    shortcuts.setBinding('copy-last', 'Alt+C');
+    const keydown = (event, target = { tagName: 'BUTTON' }) => shortcuts.handleKeydown({ preventDefault() {}, target, ...event });
+    console.assert(keydown({ key: 'ç', code: 'KeyC', altKey: true }) && calls['copy-last'] === 1, 'Bound keys should run the handler');
+    console.assert(!keydown({ key: 't', code: 'KeyT' }, { tagName: 'INPUT' }) && !calls['toggle-theme'], 'Unmodified keys should be left alone while typing');
+    console.assert(keydown({ key: 't', code: 'KeyT' }) && calls['toggle-theme'] === 1, 'Unmodified keys should work outside text fields');
+
+    // Reset restores every default
+    shortcuts.resetBindings();
+    console.assert(shortcuts.getBinding('copy-last') === 'Ctrl+Shift+C', 'Reset should restore the default keys');
+    console.assert(storage['emoji-copy-shortcuts'] === '{}', 'Reset should clear the saved bindings');
+
+    console.log('✅ All shortcut binding tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Shortcut binding test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const keysTestPassed = testShortcutKeys();
+  const bindingsTestPassed = testShortcutBindings();
+
+  if (keysTestPassed && bindingsTestPassed) {
+    console.log('🎉 All keyboard shortcut tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some keyboard shortcut tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testShortcutKeys,
+  testShortcutBindings
+};
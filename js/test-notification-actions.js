@@ -0,0 +1,73 @@
+/**
+ * Unit tests for notification action buttons (e.g. "Undo") and focus handling
+ */
+
+const { mockDocument } = require('./test-helpers.js');
+const { NotificationSystem } = require('./notification-system.js');
+
+/**
+ * Test rendering, running and hiding notification actions
+ */
+function testNotificationActions() {
+  console.log('Testing notification actions...');
+
+  const originalDocument = global.document;
+  const originalRequestAnimationFrame = global.requestAnimationFrame;
+  try {
+    const fakeDocument = mockDocument(['notification']);
+    const element = fakeDocument.getElementById('notification');
+    const opener = fakeDocument.body.appendChild(fakeDocument.createElement('button'));
+    opener.focus();
+
+    const notificationSystem = new NotificationSystem();
+    let undone = 0;
+    const options = { actions: [{ label: 'Undo', handler: () => { undone++; } }], returnFocusTo: opener };
+
+    // Action buttons render after the message
+    notificationSystem.show('Removed pizza', 'info', 6000, options);
+    const buttons = element.querySelectorAll('.notification-action');
+    console.assert(buttons.length === 1 && buttons[0].textContent === 'Undo', 'Action buttons should render');
+    console.assert(element.classList.contains('show') && element.classList.contains('has-actions'), 'Notification should show with actions');
+    console.assert(fakeDocument.activeElement === opener, 'Actions should not take focus unless asked');
+
+    // Hiding removes the buttons and gives focus back
+    buttons[0].focus();
+    notificationSystem.hide();
+    console.assert(element.querySelector('.notification-action') === null, 'hide() should remove the buttons');
+    console.assert(fakeDocument.activeElement === opener, 'hide() should return focus');
+    console.assert(!notificationSystem.isShowing(), 'hide() should hide the notification');
+
+    // runAction calls the handler once and hides the notification
+    notificationSystem.show('Removed pizza', 'info', 6000, { ...options, focusAction: true });
+    console.assert(fakeDocument.activeElement === element.querySelector('.notification-action'), 'focusAction should focus the first action');
+    console.assert(notificationSystem.runAction() === true && undone === 1, 'runAction() should call the handler');
+    console.assert(!notificationSystem.isShowing() && fakeDocument.activeElement === opener, 'runAction() should hide the notification and return focus');
+    console.assert(notificationSystem.runAction() === false && undone === 1, 'runAction() should do nothing once hidden');
+
+    console.log('✅ All notification action tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Notification action test failed:', error);
+    return false;
+  } finally {
+    global.document = originalDocument;
+    global.requestAnimationFrame = originalRequestAnimationFrame;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const actionsTestPassed = testNotificationActions();
+
+  if (actionsTestPassed) {
+    console.log('🎉 All notification action tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some notification action tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testNotificationActions
+};
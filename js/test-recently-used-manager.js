@@ -0,0 +1,176 @@
+/**
+ * Unit tests for recently used usage tracking (counts, frecency and history trimming) and undo
+ */
+
+global.EmojiData = require('./emoji-data.js');
+global.AppStorage = require('./app-storage.js');
+global.DomReconciler = require('./dom-reconciler.js');
+const RecentlyUsedManager = require('./recently-used.js');
+const { mockLocalStorage, encodeStorage } = require('./test-helpers.js');
+
+/**
+ * Recently used manager that keeps its list in memory; rendering needs a DOM
+ */
+class HeadlessRecentlyUsedManager extends RecentlyUsedManager {
+  init() {
+    this.loadFromStorage();
+  }
+
+  render() {}
+}
+
+/**
+ * Test recording uses and scoring them
+ */
+function testRecentlyUsedTracking() {
+  console.log('Testing recently used tracking...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    mockLocalStorage(encodeStorage());
+    const clicked = [];
+    const manager = new HeadlessRecentlyUsedManager(null, (emoji, name) => clicked.push(emoji));
+
+    // Each use counts once, whatever its skin tone or variation selector
+    manager.addEmoji('👍', 'thumbs up');
+    manager.addEmoji('🍕', 'pizza');
+    manager.addEmoji('👍🏽', 'thumbs up: medium skin tone');
+    manager.addEmoji('✌️', 'victory hand');
+    manager.addEmoji('✌🏽', 'victory hand: medium skin tone');
+    const entries = manager.getRecentlyUsed();
+    console.assert(entries.length === 3, 'Tones of one emoji should share an entry');
+    console.assert(entries[0].emoji === '✌🏽' && entries[0].count === 2, 'The latest tone should replace the entry and keep its count');
+    console.assert(entries[1].emoji === '👍🏽' && entries[1].count === 2, 'Using an emoji again should move it to the front');
+    console.assert(AppStorage.get('emoji-copy-recently-used', []).length === 3, 'Uses should be saved');
+
+    // Clicks in the list leave recording the use to the parent, once the copy succeeds
+    const button = { classList: { add() {}, remove() {} } };
+    manager.handleEmojiClick('🍕', 'pizza', button);
+    console.assert(clicked.length === 1 && clicked[0] === '🍕', 'Clicks should notify the parent');
+    console.assert(manager.getRecentlyUsed().find(entry => entry.emoji === '🍕').count === 1, 'Clicks should not record a use themselves');
+
+    // Stored entries are escaped when rendered
+    const markup = manager.createEmojiButton({ emoji: '<img src=x onerror=alert(1)>', name: '" onfocus="alert(1)', count: 1 });
+    console.assert(!markup.includes('<img') && !markup.includes('" onfocus'), 'Emoji and name should be escaped in markup');
+
+    // Frecency halves every half-life
+    const now = Date.now();
+    const item = { emoji: '🍕', name: 'pizza', timestamp: now - manager.halfLife, count: 4, frecency: 4 };
+    console.assert(Math.abs(manager.getFrecency(item, now) - 2) < 1e-9, 'Frecency should halve after one half-life');
+    console.assert(manager.getFrecency({ ...item, timestamp: now + 1000 }, now) === 4, 'Future uses should not be boosted');
+
+    console.log('✅ All recently used tracking tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Recently used tracking test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test that a full history forgets the least used emojis
+ */
+function testRecentlyUsedTrimming() {
+  console.log('Testing recently used history trimming...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    const now = Date.now();
+    mockLocalStorage(encodeStorage({
+      'emoji-copy-recently-used': [
+        { emoji: '😀', name: 'grinning face', timestamp: now - 1000, count: 1, frecency: 1 },
+        { emoji: '🍕', name: 'pizza', timestamp: now - 2000, count: 9, frecency: 9 },
+        { emoji: '🎉', name: 'party popper', timestamp: now - 3000, count: 5, frecency: 5 }
+      ]
+    }));
+    const manager = new HeadlessRecentlyUsedManager(null, null);
+    manager.maxHistory = 3;
+
+    manager.addEmoji('🔥', 'fire');
+    const emojis = manager.getRecentlyUsed().map(entry => entry.emoji);
+    console.assert(JSON.stringify(emojis) === '["🔥","🍕","🎉"]', `Least used emoji should be dropped, got ${emojis.join(' ')}`);
+
+    manager.maxHistory = 5;
+    manager.trimHistory();
+    console.assert(manager.getRecentlyUsed().length === 3, 'Should not trim a history that fits');
+
+    console.log('✅ All recently used trimming tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Recently used trimming test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test that undoing a removal puts entries back where they were
+ */
+function testRecentlyUsedUndo() {
+  console.log('Testing recently used undo...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    const now = Date.now();
+    mockLocalStorage(encodeStorage({
+      'emoji-copy-recently-used': [
+        { emoji: '🍕', name: 'pizza', timestamp: now - 1000, count: 1, frecency: 1 },
+        { emoji: '🔥', name: 'fire', timestamp: now - 2000, count: 1, frecency: 1 },
+        { emoji: '😀', name: 'grinning face', timestamp: now - 3000, count: 1, frecency: 1 }
+      ]
+    }));
+    const manager = new HeadlessRecentlyUsedManager(null, null);
+    const shown = [];
+    manager.setNotificationSystem({ show: (message, type, duration, options) => shown.push({ message, options }) });
+    const order = () => manager.getRecentlyUsed().map(entry => entry.emoji).join('');
+
+    // A removed entry returns to its original index
+    console.assert(manager.removeWithUndo('🔥') === true && order() === '🍕😀', 'Removal should happen straight away');
+    console.assert(shown[0].message === 'Removed fire from recently used', 'Removal should be announced');
+    console.assert(shown[0].options.focusAction === true, 'Undo should take focus so keyboard users can reach it');
+    shown[0].options.actions[0].handler();
+    console.assert(order() === '🍕🔥😀', `Undo should restore the entry in place, got ${order()}`);
+
+    // Emojis used again since the removal keep their newer use
+    manager.removeEmoji('🍕');
+    const removed = manager.clear();
+    manager.addEmoji('😀', 'grinning face');
+    manager.restoreEntries([...removed, { emoji: '🍕', name: 'pizza', timestamp: now - 1000, count: 1, frecency: 1 }]);
+    console.assert(order() === '😀🍕🔥', `Restored entries should merge with newer uses, got ${order()}`);
+    console.assert(manager.getRecentlyUsed()[0].timestamp >= now, 'The newer use should win over the restored one');
+
+    console.assert(manager.removeWithUndo('🎉') === false && shown.length === 1, 'Removing an unknown emoji should not offer undo');
+
+    console.log('✅ All recently used undo tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Recently used undo test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const trackingTestPassed = testRecentlyUsedTracking();
+  const trimmingTestPassed = testRecentlyUsedTrimming();
+  const undoTestPassed = testRecentlyUsedUndo();
+
+  if (trackingTestPassed && trimmingTestPassed && undoTestPassed) {
+    console.log('🎉 All recently used tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some recently used tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testRecentlyUsedTracking,
+  testRecentlyUsedTrimming,
+  testRecentlyUsedUndo
+};
@@ -238,6 +238,281 @@ async function testSearchSpecialCharacters() {
   }
 }
 
+/**
+ * Test typo-tolerant search
+ */
+async function testFuzzySearch() {
+  console.log('Testing typo-tolerant search...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    // Test common typos find the intended emoji
+    const happy = EmojiData.search('hapy');
+    console.assert(happy.length > 0, 'Should find results for "hapy"');
+    console.assert(happy.every(emoji => emoji.matchInfo.fuzzyMatch), 'Results for "hapy" should be fuzzy matches');
+    console.assert(happy.some(emoji => emoji.keywords.includes('happy')), 'Should match the "happy" keyword');
+    
+    const thumbs = EmojiData.search('thumsb up');
+    console.assert(thumbs.length > 0 && thumbs[0].name === 'thumbs up', 'Transposed letters should find thumbs up');
+    
+    const sunglasses = EmojiData.search('sunglases');
+    console.assert(sunglasses.length > 0 && sunglasses[0].name === 'smiling face with sunglasses', 'Missing letter should find sunglasses');
+    console.assert(sunglasses[0].matchInfo.highlightedName.includes('<mark>sunglasses</mark>'), 'Should highlight the fuzzy-matched word');
+    
+    // Test numeric scores
+    console.assert(typeof sunglasses[0].matchInfo.score === 'number', 'matchInfo should include a numeric score');
+    console.assert(sunglasses[0].matchInfo.similarity >= EmojiData.getFuzzyThreshold(), 'Similarity should meet the threshold');
+    
+    // Test fuzzy matches rank below substring matches
+    const heart = EmojiData.search('heart');
+    console.assert(heart.every(emoji => !emoji.matchInfo.fuzzyMatch), 'Exact substring results should not include fuzzy matches');
+    const scores = heart.map(emoji => emoji.matchInfo.score);
+    console.assert(scores.every((score, i) => i === 0 || scores[i - 1] >= score), 'Results should be sorted by score');
+    
+    // Test short queries are not fuzzy matched
+    const shortQuery = EmojiData.search('zq');
+    console.assert(shortQuery.length === 0, 'Short queries should not produce fuzzy matches');
+    
+    // Test the threshold is configurable
+    const strict = EmojiData.search('hapy', { fuzzyThreshold: 1 });
+    console.assert(strict.length === 0, 'Threshold of 1 should disable fuzzy matching');
+    
+    const previousThreshold = EmojiData.getFuzzyThreshold();
+    EmojiData.setFuzzyThreshold(0.95);
+    console.assert(EmojiData.search('sunglases').length === 0, 'Global threshold should apply to searches');
+    EmojiData.setFuzzyThreshold(previousThreshold);
+    
+    try {
+      EmojiData.setFuzzyThreshold(2);
+      console.assert(false, 'Should throw for an out-of-range threshold');
+    } catch (error) {
+      console.assert(error.message.includes('between 0 and 1'), 'Should throw specific error for invalid threshold');
+    }
+    
+    console.log('✅ Typo-tolerant search tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Typo-tolerant search test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test that the search index finds the same emojis as a full scan
+ */
+async function testSearchIndex() {
+  console.log('Testing search index...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    const allEmojis = EmojiData.getAllEmojis();
+    
+    // Compare indexed substring search against a brute-force scan
+    const queries = ['a', 'he', 'ear', 'heart', 'grinning face', 'face with', 'flag: u', '-', 'zzz', 'xyzzyx123'];
+    for (const query of queries) {
+      const expected = allEmojis.filter(emoji =>
+        emoji.name.toLowerCase().includes(query) ||
+        emoji.keywords.some(keyword => keyword.toLowerCase().includes(query))
+      ).map(emoji => emoji.unicode).sort();
+      const actual = EmojiData.search(query, { fuzzyThreshold: 1 }).map(emoji => emoji.unicode).sort();
+      console.assert(JSON.stringify(actual) === JSON.stringify(expected), `Indexed search for "${query}" should match a full scan`);
+    }
+    
+    // Test ties keep dataset order
+    const smile = EmojiData.search('smile');
+    const sameScore = smile.filter(emoji => emoji.matchInfo.score === smile[0].matchInfo.score);
+    const positions = sameScore.map(emoji => allEmojis.findIndex(e => e.unicode === emoji.unicode));
+    console.assert(positions.every((position, i) => i === 0 || positions[i - 1] < position), 'Equal scores should keep dataset order');
+    
+    // Test suggestions come from the prefix index in dataset order
+    const suggestions = EmojiData.getSearchSuggestions('g', 10);
+    const expectedSuggestions = [];
+    for (const emoji of allEmojis) {
+      for (const text of [emoji.name, ...emoji.keywords]) {
+        if (text.toLowerCase().startsWith('g') && !expectedSuggestions.some(s => s.toLowerCase() === text.toLowerCase())) {
+          expectedSuggestions.push(text);
+        }
+      }
+    }
+    console.assert(JSON.stringify(suggestions) === JSON.stringify(expectedSuggestions.slice(0, 10)), 'Suggestions should match a full scan');
+    
+    console.log('✅ Search index tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Search index test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test structured query syntax (field filters, exclusions, phrases, OR)
+ */
+async function testQuerySyntax() {
+  console.log('Testing query syntax...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    // Test parsing
+    const parsed = EmojiData.parseQuery('category:food -fruit "red heart" cat OR dog face');
+    console.assert(parsed.groups.length === 4, 'Should parse four AND groups');
+    console.assert(parsed.groups[0][0].field === 'category' && parsed.groups[0][0].value === 'food', 'Should parse field filters');
+    console.assert(parsed.groups[1][0].negated && parsed.groups[1][0].value === 'fruit', 'Should parse exclusions');
+    console.assert(parsed.groups[2][0].phrase && parsed.groups[2][0].value === 'red heart', 'Should parse quoted phrases');
+    console.assert(parsed.groups[3].length === 2 && parsed.groups[3][1].value === 'dog face', 'Should parse OR alternatives of plain words');
+    console.assert(EmojiData.parseQuery('flag: us').groups[0][0].value === 'flag: us', 'Unknown fields should be plain text');
+    console.assert(EmojiData.parseQuery('category:').groups.length === 0, 'Empty filters should be ignored');
+    
+    // Test field filters and exclusions
+    const food = EmojiData.search('category:food -fruit');
+    console.assert(food.length > 0, 'Should find food');
+    console.assert(food.every(emoji => emoji.category === 'food-drink'), 'Category filter should match category prefixes');
+    console.assert(food.every(emoji => !emoji.keywords.includes('fruit')), 'Should exclude negated terms');
+    
+    const codepoints = EmojiData.search('cp:1F60*');
+    console.assert(codepoints.length > 0 && codepoints.every(emoji => emoji.codepoint.startsWith('1F60')), 'Should match codepoint wildcards');
+    console.assert(EmojiData.search('cp:U+1F469').some(emoji => emoji.name === 'woman technologist'), 'Should match codepoints within sequences');
+    console.assert(EmojiData.search('name:"red heart"').length === 1, 'Should filter by name');
+    console.assert(EmojiData.search('kw:fruit').every(emoji => emoji.keywords.some(k => k.includes('fruit'))), 'Should filter by keyword');
+    
+    // Test phrases match exactly, plain words tolerate typos
+    console.assert(EmojiData.search('"hapy"').length === 0, 'Quoted phrases should not match typos');
+    console.assert(EmojiData.search('hapy').length > 0, 'Plain words should still match typos');
+    
+    // Test OR
+    const either = EmojiData.search('"cat face" OR "dog face"').map(emoji => emoji.name);
+    console.assert(either.includes('cat face') && either.includes('dog face') && either.length === 2, 'OR should match either term');
+    
+    // Test parsed queries can be extended, e.g. with the selected category
+    const query = EmojiData.parseQuery('heart');
+    query.groups.push([{ field: 'category', value: 'symbols', negated: false, phrase: false }]);
+    const symbolHearts = EmojiData.search(query);
+    console.assert(symbolHearts.length > 0 && symbolHearts.every(emoji => emoji.category === 'symbols'), 'Should accept parsed queries');
+    
+    // Test version filters against the bundled data
+    const recent = EmojiData.search('version:>=13');
+    console.assert(recent.length > 0 && recent.every(emoji => parseFloat(emoji.version) >= 13), 'Version filters should match the emoji versions');
+    console.assert(EmojiData.search('version:>=99').length === 0, 'No emoji should match a future version');
+    
+    console.log('✅ Query syntax tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Query syntax test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test reverse lookup by pasted emoji, codepoint, HTML entity or escape
+ */
+async function testReverseLookup() {
+  console.log('Testing reverse lookup...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    // Test every notation decodes to the same emoji
+    const notations = ['😀', 'U+1F600', 'u+1f600', '&#128512;', '&#x1F600;', '\\u{1F600}', '\\uD83D\\uDE00', '\\U0001F600'];
+    for (const notation of notations) {
+      console.assert(EmojiData.parseEmojiNotation(notation) === '😀', `Should decode ${notation}`);
+      const results = EmojiData.search(notation);
+      console.assert(results.length === 1 && results[0].name === 'grinning face', `Searching ${notation} should find the emoji`);
+      console.assert(results[0].matchInfo.lookupMatch, `Searching ${notation} should be a lookup match`);
+    }
+    
+    // Test non-notations
+    console.assert(EmojiData.parseEmojiNotation('grinning') === null, 'Words are not notations');
+    console.assert(EmojiData.parseEmojiNotation('123') === null, 'Digits alone are not emojis');
+    console.assert(EmojiData.parseEmojiNotation('U+110000') === null, 'Should reject codepoints outside Unicode');
+    
+    // Test sequences
+    console.assert(EmojiData.lookup('U+1F469 U+200D U+1F4BB').name === 'woman technologist', 'Should look up ZWJ sequences');
+    console.assert(EmojiData.lookup('&#x1F1FA;&#x1F1F8;').name === 'flag: United States', 'Should look up flag sequences');
+    console.assert(EmojiData.search('U+1F1FA U+1F1F8').length === 1, 'Should join regional indicators into one flag');
+    
+    // Test skin tones and variation selectors are ignored for identity
+    const toned = EmojiData.search('👍🏽');
+    console.assert(toned.length === 1 && toned[0].name === 'thumbs up', 'Should identify toned emojis');
+    console.assert(toned[0].matchInfo.lookupUnicode === '👍🏽', 'Should keep the looked-up skin tone');
+    console.assert(EmojiData.lookup('U+2764') && EmojiData.lookup('U+2764').name === 'red heart', 'Should ignore missing variation selectors');
+    
+    // Test several emojis at once
+    const several = EmojiData.search('😀👍🏽 U+1F431').map(emoji => emoji.name);
+    console.assert(several.length === 3 && several.includes('cat face'), 'Should find each pasted emoji');
+    console.assert(EmojiData.search('-😀 grinning').every(emoji => emoji.unicode !== '😀'), 'Should exclude negated emojis');
+    console.assert(EmojiData.search('&#x1F9FF;').length === 0, 'Unknown emojis should find nothing');
+    
+    console.log('✅ Reverse lookup tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Reverse lookup test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test highlight segments used to render matches without raw HTML
+ */
+async function testHighlightSegments() {
+  console.log('Testing highlight segments...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    const redHeart = EmojiData.search('heart').find(emoji => emoji.name === 'red heart');
+    const segments = redHeart.matchInfo.nameSegments;
+    console.assert(segments.map(segment => segment.text).join('') === 'red heart', 'Segments should cover the whole name');
+    console.assert(segments.some(segment => segment.highlighted && segment.text === 'heart'), 'Should mark the matched text');
+    console.assert(segments.some(segment => !segment.highlighted && segment.text === 'red '), 'Should keep unmatched text plain');
+    console.assert(segments.every(segment => !segment.text.includes('<mark>')), 'Segments should not contain markup');
+    
+    // Test keyword segments line up with the emoji's keywords
+    const happy = EmojiData.search('happy')[0];
+    console.assert(happy.matchInfo.keywordSegments.length === happy.keywords.length, 'Should have segments for every keyword');
+    console.assert(happy.matchInfo.keywordSegments.some(keyword => keyword.some(segment => segment.highlighted)), 'Should mark matched keywords');
+    
+    // Test several query terms are all highlighted
+    const several = EmojiData.search('"red" heart').find(emoji => emoji.name === 'red heart');
+    const highlighted = several.matchInfo.nameSegments.filter(segment => segment.highlighted).map(segment => segment.text);
+    console.assert(highlighted.includes('red') && highlighted.includes('heart'), 'Should highlight every matched term');
+    
+    // Test filter-only results have nothing highlighted
+    const filtered = EmojiData.search('category:flags')[0];
+    console.assert(filtered.matchInfo.nameSegments.every(segment => !segment.highlighted), 'Filters should not highlight');
+    
+    console.log('✅ Highlight segment tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Highlight segment test failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Test relevance order puts best matches first
+ */
+async function testRelevanceOrder() {
+  console.log('Testing relevance order...');
+  
+  try {
+    await EmojiData.loadEmojis();
+    
+    const heart = EmojiData.search('heart').map(emoji => emoji.name);
+    console.assert(heart[0] === 'heart on fire', 'Name prefix matches should come first');
+    console.assert(heart.indexOf('red heart') < heart.indexOf('smiling face with hearts'), 'Whole words should rank above parts of words');
+    
+    const scores = EmojiData.search('face').map(emoji => emoji.matchInfo.score);
+    console.assert(scores.every((score, i) => i === 0 || scores[i - 1] >= score), 'Results should be sorted by score');
+    
+    console.log('✅ Relevance order tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Relevance order test failed:', error);
+    return false;
+  }
+}
+
 // Run tests if this file is executed directly
 if (require.main === module) {
   (async () => {
@@ -246,9 +521,17 @@ if (require.main === module) {
     const rankingTestPassed = await testSearchRanking();
     const suggestionsTestPassed = await testSearchSuggestions();
     const specialCharsTestPassed = await testSearchSpecialCharacters();
+    const fuzzyTestPassed = await testFuzzySearch();
+    const indexTestPassed = await testSearchIndex();
+    const querySyntaxTestPassed = await testQuerySyntax();
+    const reverseLookupTestPassed = await testReverseLookup();
+    const highlightSegmentsTestPassed = await testHighlightSegments();
+    const relevanceTestPassed = await testRelevanceOrder();
     
     if (basicTestPassed && highlightingTestPassed && rankingTestPassed && 
-        suggestionsTestPassed && specialCharsTestPassed) {
+        suggestionsTestPassed && specialCharsTestPassed && fuzzyTestPassed && indexTestPassed &&
+        querySyntaxTestPassed && reverseLookupTestPassed && highlightSegmentsTestPassed &&
+        relevanceTestPassed) {
       console.log('🎉 All search functionality tests passed!');
       process.exit(0);
     } else {
@@ -263,5 +546,11 @@ module.exports = {
   testSearchHighlighting,
   testSearchRanking,
   testSearchSuggestions,
-  testSearchSpecialCharacters
+  testSearchSpecialCharacters,
+  testFuzzySearch,
+  testSearchIndex,
+  testQuerySyntax,
+  testReverseLookup,
+  testHighlightSegments,
+  testRelevanceOrder
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for exporting and importing settings backups
+ */
+
+global.EmojiData = require('./emoji-data.js');
+global.AppStorage = require('./app-storage.js');
+global.CopyFormats = require('./copy-formats.js');
+global.RecentlyUsedManager = require('./recently-used.js');
+const SettingsBackup = require('./settings-backup.js');
+const { mockLocalStorage, encodeStorage } = require('./test-helpers.js');
+
+/**
+ * Test exporting a backup and reading it back, including invalid files and items
+ */
+function testBackupRoundTrip() {
+  console.log('Testing settings backup export and parsing...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    mockLocalStorage(encodeStorage({
+      'emoji-copy-recently-used': [{ emoji: '🍕', name: 'pizza', timestamp: 2000, count: 3, frecency: 2.5 }],
+      'emoji-copy-favorites': [{ emoji: '❤️', name: 'red heart' }],
+      'emoji-copy-theme': 'dark',
+      'emoji-copy-shortcuts': { 'focus-search': 'Ctrl+K' }
+    }));
+
+    const backup = SettingsBackup.createBackup();
+    console.assert(backup.format === SettingsBackup.FORMAT && backup.version === SettingsBackup.VERSION, 'Backup should be versioned');
+    console.assert(backup.data.recentlyUsed[0].count === 3, 'Backup should keep usage data');
+    console.assert(backup.data.theme === 'dark' && backup.data.copyFormat === null, 'Unset settings should be exported as null');
+    console.assert(/^emoji-copy-backup-\d{4}-\d{2}-\d{2}\.json$/.test(SettingsBackup.getFileName()), 'File name should include the date');
+
+    const preview = SettingsBackup.parseBackup(JSON.stringify(backup));
+    console.assert(preview.errors.length === 0, 'Exported backup should have no errors');
+    console.assert(preview.sections.length === SettingsBackup.getSections().length, 'Every section should be previewed');
+    console.assert(preview.sections.find(section => section.id === 'favorites').count === 1, 'Preview should count items');
+
+    // Whole-file problems are thrown
+    const parseError = text => {
+      try {
+        SettingsBackup.parseBackup(text);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    console.assert(parseError('{"format":') === 'The file is not valid JSON', 'Should throw for invalid JSON');
+    console.assert(parseError('{"version":1,"data":{}}').includes('not an Emoji Copy backup'), 'Should throw for other files');
+    console.assert(parseError(JSON.stringify({ ...backup, version: 99 })).includes('newer version'), 'Should throw for newer backups');
+
+    // Invalid items are skipped and reported one by one
+    const partial = SettingsBackup.parseBackup(JSON.stringify({
+      format: SettingsBackup.FORMAT,
+      version: 1,
+      data: {
+        recentlyUsed: [{ emoji: '😀', name: 'grinning face', timestamp: 1000 }, { name: 'no emoji' }],
+        favorites: 'not a list',
+        theme: 'sepia',
+        copyFormat: 'morse',
+        shortcuts: { 'copy-last': 'Ctrl+Shift+C', 'show-help': 42 }
+      }
+    }));
+    console.assert(partial.errors.length === 5, 'Each invalid item should be reported');
+    console.assert(partial.errors[0] === 'Recently used emojis, item 2: not a valid emoji entry', 'Errors should say which item is invalid');
+    console.assert(partial.errors.some(error => error.startsWith('Copy format:')), 'Unknown copy formats should be reported');
+    console.assert(JSON.stringify(partial.sections.map(section => section.id)) === '["recentlyUsed","shortcuts"]', 'Only valid sections should be imported');
+    console.assert(partial.sections[0].value[0].count === 1, 'Imported entries should get usage data');
+
+    // Lists are rendered as markup, so only real emojis with string names are imported
+    const unsafe = SettingsBackup.parseBackup(JSON.stringify({
+      format: SettingsBackup.FORMAT,
+      version: 1,
+      data: {
+        recentlyUsed: [
+          { emoji: '<img src=x onerror=alert(1)>', name: 'markup', timestamp: 1000 },
+          { emoji: '😀', name: { toString: null }, timestamp: 1000 },
+          { emoji: '🍕', name: '<b>pizza</b>', timestamp: 1000 }
+        ],
+        favorites: [{ emoji: 'abc', name: 'letters' }, { emoji: 42, name: 'number' }]
+      }
+    }));
+    console.assert(unsafe.errors.length === 4, 'Entries without a real emoji or a string name should be rejected');
+    console.assert(JSON.stringify(unsafe.sections[0].value.map(item => item.emoji)) === '["🍕"]', 'Valid entries should still be imported');
+
+    console.log('✅ All settings backup tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Settings backup test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+/**
+ * Test merging a backup into the current data and replacing it
+ */
+function testBackupImportModes() {
+  console.log('Testing settings backup import modes...');
+
+  const originalLocalStorage = global.localStorage;
+  try {
+    const current = {
+      'emoji-copy-recently-used': [
+        { emoji: '🍕', name: 'pizza', timestamp: 3000, count: 2, frecency: 2 },
+        { emoji: '😀', name: 'grinning face', timestamp: 1000, count: 1, frecency: 1 },
+        { emoji: '✌️', name: 'victory hand', timestamp: 900, count: 1, frecency: 1 }
+      ],
+      'emoji-copy-favorites': [{ emoji: '❤️', name: 'red heart' }],
+      'emoji-copy-theme': 'dark',
+      'emoji-copy-shortcuts': { 'focus-search': 'Ctrl+K' }
+    };
+    const preview = SettingsBackup.parseBackup(JSON.stringify({
+      format: SettingsBackup.FORMAT,
+      version: 1,
+      data: {
+        recentlyUsed: [
+          { emoji: '😀', name: 'grinning face', timestamp: 2000, count: 5, frecency: 5 },
+          { emoji: '🍕', name: 'pizza', timestamp: 500, count: 1, frecency: 1 },
+          { emoji: '✌🏽', name: 'victory hand: medium skin tone', timestamp: 1500, count: 4, frecency: 4 }
+        ],
+        favorites: [{ emoji: '🔥', name: 'fire' }, { emoji: '❤️', name: 'red heart' }],
+        theme: null,
+        shortcuts: { 'copy-last': 'Ctrl+Shift+C' }
+      }
+    }));
+
+    mockLocalStorage(encodeStorage(current));
+    SettingsBackup.applyBackup(preview, 'merge');
+    const merged = AppStorage.get('emoji-copy-recently-used', []);
+    console.assert(merged.length === 3 && merged[0].emoji === '🍕' && merged[0].count === 2, 'Merge should keep the latest use of each emoji');
+    console.assert(merged[1].count === 5, 'Merge should take newer imported entries');
+    console.assert(merged[2].emoji === '✌🏽', 'Merge should match toned emojis with their catalog entry');
+    console.assert(JSON.stringify(AppStorage.get('emoji-copy-favorites', []).map(item => item.emoji)) === '["❤️","🔥"]', 'Merge should add new favorites after current ones');
+    console.assert(AppStorage.get('emoji-copy-theme') === 'dark', 'Merge should keep settings the backup leaves unset');
+    console.assert(Object.keys(AppStorage.get('emoji-copy-shortcuts', {})).length === 2, 'Merge should combine key bindings');
+
+    const storage = mockLocalStorage(encodeStorage({ ...current, 'emoji-copy-format': 'shortcode' }));
+    SettingsBackup.applyBackup(preview, 'replace');
+    console.assert(AppStorage.get('emoji-copy-recently-used', [])[0].emoji === '😀', 'Replace should overwrite the recent list');
+    console.assert(AppStorage.get('emoji-copy-favorites', [])[0].emoji === '🔥', 'Replace should overwrite favorites');
+    console.assert(!('emoji-copy-theme' in storage), 'Replace should reset settings the backup leaves unset');
+    console.assert(JSON.stringify(AppStorage.get('emoji-copy-shortcuts', {})) === '{"copy-last":"Ctrl+Shift+C"}', 'Replace should overwrite key bindings');
+    console.assert(AppStorage.get('emoji-copy-format') === 'shortcode', 'Sections missing from the backup should be left alone');
+
+    try {
+      SettingsBackup.applyBackup(preview, 'append');
+      console.assert(false, 'Should throw for an unknown import mode');
+    } catch (error) {
+      console.assert(error.message.includes('Unknown import mode'), 'Should throw specific error for unknown import mode');
+    }
+
+    console.log('✅ All settings import mode tests passed!');
+    return true;
+  } catch (error) {
+    console.error('❌ Settings import mode test failed:', error);
+    return false;
+  } finally {
+    global.localStorage = originalLocalStorage;
+  }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  const roundTripTestPassed = testBackupRoundTrip();
+  const importModesTestPassed = testBackupImportModes();
+
+  if (roundTripTestPassed && importModesTestPassed) {
+    console.log('🎉 All settings backup tests passed!');
+    process.exit(0);
+  } else {
+    console.log('💥 Some settings backup tests failed!');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  testBackupRoundTrip,
+  testBackupImportModes
+};
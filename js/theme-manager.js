@@ -32,13 +32,13 @@ class ThemeManager {
     }
     
     /**
-     * Load theme from localStorage or system preference
+     * Load theme from storage or system preference
      */
     loadTheme() {
-        // Check localStorage first
-        const savedTheme = localStorage.getItem('emoji-copy-theme');
+        // Check storage first
+        const savedTheme = AppStorage.get('emoji-copy-theme');
         
-        if (savedTheme && (savedTheme === 'light' || savedTheme === 'dark')) {
+        if (savedTheme) {
             this.setTheme(savedTheme);
         } else {
             // Check system preference
@@ -64,10 +64,20 @@ class ThemeManager {
             }
         });
         
+        // Apply a theme chosen, or reset, in another tab
+        AppStorage.onExternalChange('emoji-copy-theme', (theme) => {
+            if (theme) {
+                this.setTheme(theme);
+            } else {
+                const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+                this.setTheme(prefersDark ? 'dark' : 'light');
+            }
+        });
+        
         // Listen for system theme changes
         window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
             // Only auto-switch if user hasn't manually set a preference
-            if (!localStorage.getItem('emoji-copy-theme')) {
+            if (!AppStorage.get('emoji-copy-theme')) {
                 this.setTheme(e.matches ? 'dark' : 'light');
             }
         });
@@ -81,7 +91,7 @@ class ThemeManager {
         this.setTheme(newTheme);
         
         // Save user preference
-        localStorage.setItem('emoji-copy-theme', newTheme);
+        AppStorage.set('emoji-copy-theme', newTheme);
         
         // Announce theme change to screen readers
         this.announceThemeChange(newTheme);
@@ -170,7 +180,7 @@ class ThemeManager {
     }
     
     /**
-     * Force set theme without saving to localStorage
+     * Force set theme without saving it
      * @param {string} theme - 'light' or 'dark'
      */
     forceSetTheme(theme) {
@@ -181,7 +191,7 @@ class ThemeManager {
      * Reset theme to system preference
      */
     resetToSystemTheme() {
-        localStorage.removeItem('emoji-copy-theme');
+        AppStorage.remove('emoji-copy-theme');
         const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
         this.setTheme(prefersDark ? 'dark' : 'light');
     }
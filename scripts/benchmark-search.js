@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Search benchmark
+ *
+ * Measures EmojiData search index build time and per-keystroke latency of
+ * search() and getSearchSuggestions(). Without --data, the bundled dataset is
+ * expanded to the size of the full Unicode set (~3,700 emojis) with synthetic
+ * entries; pass the output of import-emoji-data.js to measure the real thing.
+ *
+ * Usage:
+ *   node scripts/benchmark-search.js [--data path/to/emoji-data.json] [--size 3700] [--runs 50]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const DEFAULT_SIZE = 3700;
+const DEFAULT_RUNS = 50;
+
+// Each query is typed one keystroke at a time, as the search box sees it
+const QUERIES = ['heart', 'grinning face', 'flag', 'thumbs up', 'hapy', 'sunglases', 'cat', 'a'];
+
+/**
+ * Parse command line arguments
+ * @param {Array} args Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = { data: null, size: DEFAULT_SIZE, runs: DEFAULT_RUNS };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--data': options.data = args[++i]; break;
+      case '--size': options.size = parseInt(args[++i], 10); break;
+      case '--runs': options.runs = parseInt(args[++i], 10); break;
+      default:
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.size) || options.size <= 0) {
+    throw new Error('--size must be a positive integer');
+  }
+
+  if (!Number.isInteger(options.runs) || options.runs <= 0) {
+    throw new Error('--runs must be a positive integer');
+  }
+
+  return options;
+}
+
+/**
+ * Expand a dataset to the requested size with synthetic variants of its emojis
+ * @param {Object} data { emojis } data
+ * @param {number} size Target number of emojis
+ * @returns {Object} Expanded { emojis } data
+ */
+function expandDataset(data, size) {
+  const source = data.emojis;
+  const emojis = [...source];
+  const suffixes = ['light', 'bright', 'small', 'large', 'round', 'striped', 'dotted', 'tall', 'old', 'new'];
+
+  for (let i = 0; emojis.length < size; i++) {
+    const base = source[i % source.length];
+    const suffix = suffixes[Math.floor(i / source.length) % suffixes.length];
+    // Private Use Area characters keep every synthetic unicode unique and valid
+    const unicode = base.unicode + String.fromCodePoint(0xF0000 + i);
+
+    emojis.push({
+      ...base,
+      unicode,
+      name: `${base.name} ${suffix}`,
+      keywords: [...base.keywords, suffix],
+      codepoint: `${base.codepoint} ${(0xF0000 + i).toString(16).toUpperCase()}`
+    });
+  }
+
+  return { emojis };
+}
+
+/**
+ * Summarize timings in milliseconds
+ * @param {Array} timings Durations in milliseconds
+ * @returns {Object} Median, 95th percentile and max
+ */
+function summarize(timings) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  return { p50: at(0.5), p95: at(0.95), max: sorted[sorted.length - 1] };
+}
+
+/**
+ * Format a number of milliseconds
+ * @param {number} ms Duration
+ * @returns {string} Formatted duration
+ */
+function formatMs(ms) {
+  return `${ms.toFixed(3)}ms`.padStart(10);
+}
+
+/**
+ * Run the benchmark
+ * @param {Array} args Command line arguments
+ */
+async function main(args) {
+  const options = parseArgs(args);
+  const dataPath = options.data || path.join(__dirname, '..', 'js', 'emoji-data.json');
+  let data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+
+  if (!options.data && data.emojis.length < options.size) {
+    data = expandDataset(data, options.size);
+  }
+
+  // EmojiData fetches its dataset, so serve the benchmark data instead
+  global.fetch = async () => ({ ok: true, json: async () => data });
+  const EmojiData = require('../js/emoji-data.js');
+
+  const loadStart = performance.now();
+  await EmojiData.loadEmojis();
+  const loadTime = performance.now() - loadStart;
+
+  console.log(`Emojis: ${EmojiData.getEmojiCount()}${options.data ? '' : ' (synthetic expansion)'}`);
+  console.log(`Load + index build: ${formatMs(loadTime).trim()}`);
+  console.log(`Runs per keystroke: ${options.runs}\n`);
+  console.log(`${'query'.padEnd(16)}${'results'.padStart(8)}${'search p50'.padStart(12)}${'p95'.padStart(10)}${'max'.padStart(10)}${'suggest p50'.padStart(13)}`);
+
+  const allSearchTimings = [];
+
+  for (const query of QUERIES) {
+    const searchTimings = [];
+    const suggestTimings = [];
+    let resultCount = 0;
+
+    for (let run = 0; run < options.runs; run++) {
+      for (let length = 1; length <= query.length; length++) {
+        const keystroke = query.slice(0, length);
+
+        let start = performance.now();
+        resultCount = EmojiData.search(keystroke).length;
+        searchTimings.push(performance.now() - start);
+
+        start = performance.now();
+        EmojiData.getSearchSuggestions(keystroke);
+        suggestTimings.push(performance.now() - start);
+      }
+    }
+
+    allSearchTimings.push(...searchTimings);
+    const search = summarize(searchTimings);
+    const suggest = summarize(suggestTimings);
+    console.log(
+      `${query.padEnd(16)}${String(resultCount).padStart(8)}` +
+      `${formatMs(search.p50).padStart(12)}${formatMs(search.p95)}${formatMs(search.max)}` +
+      `${formatMs(suggest.p50).padStart(13)}`
+    );
+  }
+
+  const overall = summarize(allSearchTimings);
+  console.log(`\nAll keystrokes: search p50 ${formatMs(overall.p50).trim()}, p95 ${formatMs(overall.p95).trim()}, max ${formatMs(overall.max).trim()}`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  expandDataset,
+  summarize
+};
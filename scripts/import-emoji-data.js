@@ -0,0 +1,466 @@
+#!/usr/bin/env node
+/**
+ * Emoji data importer
+ *
+ * Builds js/emoji-data.json from local copies of Unicode's emoji-test.txt and
+ * CLDR annotation XML files, and writes a diff report against the current file
+ * so curators can review what changed.
+ *
+ * Usage:
+ *   node scripts/import-emoji-data.js \
+ *     --emoji-test path/to/emoji-test.txt \
+ *     --annotations path/to/cldr/annotations/en.xml \
+ *     [--annotations path/to/cldr/annotationsDerived/en.xml] \
+ *     [--current js/emoji-data.json] [--output js/emoji-data.json] \
+ *     [--report emoji-data-report.md] [--all-statuses] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EmojiData = require('../js/emoji-data.js');
+
+// Unicode emoji groups mapped to the category IDs used by the site
+const GROUP_CATEGORIES = {
+  'Smileys & Emotion': 'smileys-emotion',
+  'People & Body': 'people-body',
+  'Animals & Nature': 'animals-nature',
+  'Food & Drink': 'food-drink',
+  'Travel & Places': 'travel-places',
+  'Activities': 'activities',
+  'Objects': 'objects',
+  'Symbols': 'symbols',
+  'Flags': 'flags'
+};
+
+const SKIN_TONE_MODIFIERS = ['1F3FB', '1F3FC', '1F3FD', '1F3FE', '1F3FF'];
+
+/**
+ * Parse Unicode's emoji-test.txt
+ * @param {string} text Contents of emoji-test.txt
+ * @returns {Array} Array of entries with codepoint, unicode, status, version, name, group and subgroup
+ */
+function parseEmojiTest(text) {
+  const entries = [];
+  let group = null;
+  let subgroup = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const groupMatch = line.match(/^#\s*group:\s*(.+?)\s*$/);
+    if (groupMatch) {
+      group = groupMatch[1];
+      return;
+    }
+
+    const subgroupMatch = line.match(/^#\s*subgroup:\s*(.+?)\s*$/);
+    if (subgroupMatch) {
+      subgroup = subgroupMatch[1];
+      return;
+    }
+
+    if (line.trim() === '' || line.startsWith('#')) {
+      return;
+    }
+
+    // 1F600 ; fully-qualified # 😀 E1.0 grinning face
+    const match = line.match(/^([0-9A-Fa-f ]+?)\s*;\s*([a-z-]+)\s*#\s*\S+\s+E(\d+\.\d+)\s+(.+?)\s*$/);
+    if (!match) {
+      throw new Error(`Unrecognized emoji-test.txt line ${index + 1}: ${line}`);
+    }
+
+    const codepoint = match[1].trim().toUpperCase().split(/\s+/).join(' ');
+    entries.push({
+      codepoint,
+      unicode: EmojiData.fromCodepointSequence(codepoint),
+      status: match[2],
+      version: match[3],
+      name: match[4],
+      group,
+      subgroup
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Parse a CLDR annotations XML file
+ * @param {string} xml Contents of a CLDR annotations file
+ * @returns {Map} Map of emoji (without variation selectors) to { keywords, name }
+ */
+function parseAnnotations(xml) {
+  const annotations = new Map();
+  const pattern = /<annotation\s+cp="([^"]+)"(\s+type="tts")?\s*>([^<]*)<\/annotation>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const key = stripVariationSelectors(decodeXml(match[1]));
+    const value = decodeXml(match[3]).trim();
+    const annotation = annotations.get(key) || { keywords: [], name: null };
+
+    if (match[2]) {
+      annotation.name = value;
+    } else {
+      annotation.keywords = value.split('|').map(keyword => keyword.trim()).filter(Boolean);
+    }
+
+    annotations.set(key, annotation);
+  }
+
+  return annotations;
+}
+
+/**
+ * Build the emoji-data.json structure
+ * @param {Array} testEntries Entries from parseEmojiTest
+ * @param {Map} annotations Annotations from parseAnnotations
+ * @param {Object} options Build options
+ * @param {Object} options.current Current { emojis } data whose curated keywords are kept
+ * @param {boolean} options.allStatuses Include minimally-qualified and unqualified entries
+ *   that have no fully-qualified form
+ * @returns {Object} Object with an emojis array, as EmojiData.loadEmojis expects
+ */
+function buildEmojiData(testEntries, annotations, options = {}) {
+  const { current = null, allStatuses = false } = options;
+  const sequences = new Set(testEntries.map(entry => entry.codepoint));
+  const curated = new Map(
+    (current && current.emojis ? current.emojis : []).map(emoji => [emoji.codepoint, emoji])
+  );
+
+  const entries = testEntries
+    .filter(entry => GROUP_CATEGORIES[entry.group])
+    .filter(entry => allStatuses || entry.status === 'fully-qualified')
+    // Toned entries are generated at runtime from their base emoji
+    .filter(entry => !SKIN_TONE_MODIFIERS.some(modifier => entry.codepoint.split(' ').includes(modifier)));
+
+  const emojis = dedupeByIdentity(entries)
+    .map(entry => {
+      const annotation = annotations.get(stripVariationSelectors(entry.unicode)) || { keywords: [] };
+      const name = entry.name;
+      const curatedEmoji = curated.get(entry.codepoint);
+      const keywords = uniqueKeywords([
+        ...annotation.keywords.filter(keyword => keyword.toLowerCase() !== name.toLowerCase()),
+        ...(curatedEmoji ? curatedEmoji.keywords : [])
+      ]);
+
+      const emoji = {
+        unicode: entry.unicode,
+        name,
+        category: GROUP_CATEGORIES[entry.group],
+        keywords,
+        codepoint: entry.codepoint,
+        version: entry.version
+      };
+
+      if (hasAllSkinTones(entry.codepoint, sequences)) {
+        emoji.skinTones = true;
+      }
+
+      // Reuse the site's own validation so the output always loads
+      EmojiData.parseEmojiData(emoji);
+      return emoji;
+    });
+
+  return { emojis };
+}
+
+/**
+ * Keep one entry per emoji, preferring the fully-qualified form
+ *
+ * Qualified and unqualified forms (☺️ and ☺) are the same emoji to EmojiData,
+ * so listing both would give the site two entries with one identity.
+ * @param {Array} entries Entries from parseEmojiTest
+ * @returns {Array} Entries in their original order, one per identity
+ */
+function dedupeByIdentity(entries) {
+  const kept = new Map();
+
+  entries.forEach(entry => {
+    const identity = EmojiData.getIdentity(entry.unicode);
+    const existing = kept.get(identity);
+    if (!existing || (existing.status !== 'fully-qualified' && entry.status === 'fully-qualified')) {
+      kept.set(identity, entry);
+    }
+  });
+
+  const winners = new Set(kept.values());
+  return entries.filter(entry => winners.has(entry));
+}
+
+/**
+ * Check whether all five toned forms of an emoji exist, in the form EmojiData generates
+ * @param {string} codepoint Base codepoint sequence
+ * @param {Set} sequences All codepoint sequences in emoji-test.txt
+ * @returns {boolean} True if the emoji has every skin tone variant
+ */
+function hasAllSkinTones(codepoint, sequences) {
+  const parts = codepoint.split(' ');
+  const rest = parts[1] === 'FE0F' ? parts.slice(2) : parts.slice(1);
+
+  return SKIN_TONE_MODIFIERS.every(modifier =>
+    sequences.has([parts[0], modifier, ...rest].join(' '))
+  );
+}
+
+/**
+ * Compare two emoji data objects
+ * @param {Object} previous Current { emojis } data
+ * @param {Object} next Generated { emojis } data
+ * @returns {Object} Diff with added, removed and changed arrays
+ */
+function diffEmojiData(previous, next) {
+  const before = new Map((previous.emojis || []).map(emoji => [emoji.codepoint, emoji]));
+  const after = new Map((next.emojis || []).map(emoji => [emoji.codepoint, emoji]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  after.forEach((emoji, codepoint) => {
+    const old = before.get(codepoint);
+    if (!old) {
+      diff.added.push(emoji);
+      return;
+    }
+
+    const changes = [];
+    ['name', 'category', 'version'].forEach(field => {
+      if (old[field] !== emoji[field]) {
+        changes.push({ field, from: old[field], to: emoji[field] });
+      }
+    });
+
+    if (Boolean(old.skinTones) !== Boolean(emoji.skinTones)) {
+      changes.push({ field: 'skinTones', from: Boolean(old.skinTones), to: Boolean(emoji.skinTones) });
+    }
+
+    const addedKeywords = emoji.keywords.filter(keyword => !old.keywords.includes(keyword));
+    const removedKeywords = old.keywords.filter(keyword => !emoji.keywords.includes(keyword));
+    if (addedKeywords.length > 0 || removedKeywords.length > 0) {
+      changes.push({ field: 'keywords', added: addedKeywords, removed: removedKeywords });
+    }
+
+    if (changes.length > 0) {
+      diff.changed.push({ emoji, changes });
+    }
+  });
+
+  before.forEach((emoji, codepoint) => {
+    if (!after.has(codepoint)) {
+      diff.removed.push(emoji);
+    }
+  });
+
+  return diff;
+}
+
+/**
+ * Format a diff as a Markdown report
+ * @param {Object} diff Diff from diffEmojiData
+ * @returns {string} Markdown report
+ */
+function formatDiffReport(diff) {
+  const lines = [
+    '# Emoji data import report',
+    '',
+    `- Added: ${diff.added.length}`,
+    `- Removed: ${diff.removed.length}`,
+    `- Changed: ${diff.changed.length}`,
+    ''
+  ];
+
+  if (diff.added.length > 0) {
+    lines.push('## Added', '');
+    diff.added.forEach(emoji => {
+      lines.push(`- ${emoji.unicode} \`${emoji.codepoint}\` ${emoji.name} (${emoji.category})`);
+    });
+    lines.push('');
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push('## Removed', '');
+    diff.removed.forEach(emoji => {
+      lines.push(`- ${emoji.unicode} \`${emoji.codepoint}\` ${emoji.name} (${emoji.category})`);
+    });
+    lines.push('');
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push('## Changed', '');
+    diff.changed.forEach(({ emoji, changes }) => {
+      lines.push(`- ${emoji.unicode} \`${emoji.codepoint}\` ${emoji.name}`);
+      changes.forEach(change => {
+        if (change.field === 'keywords') {
+          const parts = [];
+          if (change.added.length > 0) parts.push(`+ ${change.added.join(', ')}`);
+          if (change.removed.length > 0) parts.push(`- ${change.removed.join(', ')}`);
+          lines.push(`  - keywords: ${parts.join('; ')}`);
+        } else {
+          lines.push(`  - ${change.field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+        }
+      });
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a field value for the report
+ * @param {*} value Field value
+ * @returns {string} Printable value
+ */
+function formatValue(value) {
+  return value === undefined ? '(none)' : String(value);
+}
+
+/**
+ * Remove emoji variation selectors (U+FE0F) so CLDR keys match emoji-test.txt
+ * @param {string} text Emoji string
+ * @returns {string} Emoji string without U+FE0F
+ */
+function stripVariationSelectors(text) {
+  return text.replace(/\uFE0F/g, '');
+}
+
+/**
+ * Decode the XML entities used in CLDR files
+ * @param {string} text Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Remove duplicate keywords, ignoring case
+ * @param {Array} keywords Keywords
+ * @returns {Array} Keywords in first-seen order
+ */
+function uniqueKeywords(keywords) {
+  const seen = new Set();
+  return keywords.filter(keyword => {
+    const key = keyword.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array} args Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = {
+    emojiTest: null,
+    annotations: [],
+    current: path.join(__dirname, '..', 'js', 'emoji-data.json'),
+    output: null,
+    report: null,
+    allStatuses: false,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const next = () => {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return args[++i];
+    };
+
+    switch (arg) {
+      case '--emoji-test': options.emojiTest = next(); break;
+      case '--annotations': options.annotations.push(next()); break;
+      case '--current': options.current = next(); break;
+      case '--output': options.output = next(); break;
+      case '--report': options.report = next(); break;
+      case '--all-statuses': options.allStatuses = true; break;
+      case '--dry-run': options.dryRun = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!options.emojiTest) {
+    throw new Error('--emoji-test is required');
+  }
+
+  if (options.annotations.length === 0) {
+    throw new Error('At least one --annotations file is required');
+  }
+
+  options.output = options.output || options.current;
+  return options;
+}
+
+/**
+ * Run the importer
+ * @param {Array} args Command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+
+  const testEntries = parseEmojiTest(fs.readFileSync(options.emojiTest, 'utf8'));
+
+  // Later files (e.g. annotationsDerived) only fill in what earlier ones lack
+  const annotations = new Map();
+  options.annotations.forEach(file => {
+    parseAnnotations(fs.readFileSync(file, 'utf8')).forEach((annotation, key) => {
+      if (!annotations.has(key)) {
+        annotations.set(key, annotation);
+      }
+    });
+  });
+
+  const current = fs.existsSync(options.current)
+    ? JSON.parse(fs.readFileSync(options.current, 'utf8'))
+    : { emojis: [] };
+
+  const data = buildEmojiData(testEntries, annotations, {
+    current,
+    allStatuses: options.allStatuses
+  });
+  const diff = diffEmojiData(current, data);
+  const report = formatDiffReport(diff);
+
+  if (options.report) {
+    fs.writeFileSync(options.report, report);
+    console.log(`Wrote diff report to ${options.report}`);
+  } else {
+    console.log(report);
+  }
+
+  if (options.dryRun) {
+    console.log(`Dry run: ${data.emojis.length} emojis not written`);
+    return;
+  }
+
+  fs.writeFileSync(options.output, JSON.stringify(data, null, 2) + '\n');
+  console.log(`Wrote ${data.emojis.length} emojis to ${options.output}`);
+}
+
+if (require.main === module) {
+  try {
+    main(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseEmojiTest,
+  parseAnnotations,
+  buildEmojiData,
+  diffEmojiData,
+  formatDiffReport,
+  main
+};